@@ -0,0 +1,144 @@
+/**
+ * Audit Trail
+ * Authenticated changes and sign-in events leave one audit_log row each. Rows
+ * form hash chains (see auditChain): each row stores the hash of the row before
+ * it and a SHA-256 over its own contents and that previous hash, so editing,
+ * deleting or reordering rows breaks the chain from that point on. Pruning old
+ * rows keeps the last pruned hash as the chain's checkpoint, which the oldest
+ * remaining row then follows.
+ */
+
+const crypto = require('crypto');
+
+class AuditError extends Error {}
+
+// prev_hash of the first row of a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// The chain a row belongs to: its family's, else its user's (account-level rows
+// such as logins), else the shared one of sign-in failures for unknown emails
+const auditChain = ({ familyId, actorId }) =>
+  familyId ? `family:${familyId}` : actorId ? `user:${actorId}` : 'anonymous';
+
+// Keys never written to the log, at any depth of a change
+const SENSITIVE_KEY = /password|secret|token|totp|recovery/i;
+
+// JSON with object keys sorted, so a value hashes the same after a JSONB round trip
+const canonicalJson = (value) => {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (typeof value.toJSON === 'function') return canonicalJson(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+};
+
+const redact = (value) => {
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(redact);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) ? '[redacted]' : redact(item)
+  ]));
+};
+
+/**
+ * Field-level changes between two snapshots, as { field: { from, to } }. A
+ * created entity (no `before`) only gets `to` values, a deleted one (no
+ * `after`) only `from` values. Returns null when nothing changed.
+ */
+const diffChanges = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (canonicalJson(from) === canonicalJson(to)) continue;
+
+    const change = {};
+    if (before) change.from = from === undefined ? null : from;
+    if (after) change.to = to === undefined ? null : to;
+    changes[key] = change;
+  }
+
+  return Object.keys(changes).length > 0 ? redact(changes) : null;
+};
+
+// The fields a hash covers, read from an entry being written or a stored row
+const HASHED_FIELDS = [
+  ['id', 'id'],
+  ['familyId', 'family_id'],
+  ['actorId', 'actor_id'],
+  ['action', 'action'],
+  ['entityType', 'entity_type'],
+  ['entityId', 'entity_id'],
+  ['changes', 'changes'],
+  ['ip', 'ip_address'],
+  ['userAgent', 'user_agent'],
+  ['requestId', 'request_id'],
+  ['statusCode', 'status_code'],
+  ['createdAt', 'created_at']
+];
+
+const hashEntry = (entry, prevHash) => {
+  const fields = Object.fromEntries(HASHED_FIELDS.map(([name]) => [name, entry[name] === undefined ? null : entry[name]]));
+  return crypto.createHash('sha256').update(`${prevHash}\n${canonicalJson(fields)}`).digest('hex');
+};
+
+const rowEntry = (row) => {
+  const entry = Object.fromEntries(HASHED_FIELDS.map(([name, column]) => [name, row[column]]));
+  entry.createdAt = new Date(row.created_at).toISOString();
+  return entry;
+};
+
+/**
+ * Check a run of stored rows, oldest first, that follows `prevHash` in its
+ * chain. Returns { valid: true, checked, lastHash } or { valid: false, checked,
+ * brokenAt } where brokenAt is the first row that does not fit.
+ */
+const verifyChain = (rows, prevHash = GENESIS_HASH) => {
+  let expected = prevHash;
+
+  for (const [index, row] of rows.entries()) {
+    const reason = row.prev_hash !== expected ? 'Previous hash does not match the entry before it'
+      : hashEntry(rowEntry(row), row.prev_hash) !== row.hash ? 'Entry contents do not match its hash'
+        : null;
+    if (reason) {
+      return { valid: false, checked: index, brokenAt: { seq: row.seq, id: row.id, reason } };
+    }
+    expected = row.hash;
+  }
+
+  return { valid: true, checked: rows.length, lastHash: expected };
+};
+
+// Cells starting like a formula are prefixed so spreadsheets show them as text
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+      : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV from a header row and rows of values
+const formatCsv = (headers, rows) => {
+  if (rows.some(row => row.length !== headers.length)) {
+    throw new AuditError('Every CSV row needs one value per header');
+  }
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  AuditError,
+  GENESIS_HASH,
+  auditChain,
+  canonicalJson,
+  diffChanges,
+  hashEntry,
+  verifyChain,
+  formatCsv
+};
@@ -0,0 +1,188 @@
+/**
+ * Airport & Port Catalog
+ * CSV import (OurAirports airports.csv or plain code,name,city,country,
+ * timezone,latitude,longitude columns), IANA timezone checks and great-circle
+ * distances between catalog entries.
+ */
+
+// OurAirports has no timezone column; single-zone countries can be filled in
+const COUNTRY_TIMEZONES = {
+  PA: 'America/Panama',
+  CR: 'America/Costa_Rica',
+  CO: 'America/Bogota',
+  GT: 'America/Guatemala',
+  SV: 'America/El_Salvador',
+  HN: 'America/Tegucigalpa',
+  NI: 'America/Managua',
+  BZ: 'America/Belize',
+  PE: 'America/Lima',
+  VE: 'America/Caracas',
+  DO: 'America/Santo_Domingo',
+  JM: 'America/Jamaica',
+  CW: 'America/Curacao',
+  AW: 'America/Aruba',
+  BS: 'America/Nassau',
+  KY: 'America/Cayman',
+  PR: 'America/Puerto_Rico'
+};
+
+const EARTH_RADIUS_NM = 3440.065;
+
+class CatalogError extends Error {}
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const toNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Turn a catalog CSV into entries { code, name, city, country, timezone, latitude, longitude }.
+ * OurAirports rows use iata_code as the code; rows without one, and closed
+ * airports, are skipped. Rows that cannot be used are reported with their line.
+ */
+const parseCatalogCsv = (text, { defaultTimezone = null } = {}) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new CatalogError('CSV body is empty');
+  }
+
+  const [header, ...lines] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const ourAirports = columns.includes('iata_code');
+
+  if (!ourAirports && !columns.includes('code')) {
+    throw new CatalogError('CSV needs a code column (or OurAirports iata_code)');
+  }
+
+  const entries = [];
+  const skipped = [];
+
+  lines.forEach((cells, index) => {
+    const line = index + 2;
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = (cells[i] || '').trim();
+    });
+
+    if (ourAirports && row.type === 'closed') {
+      skipped.push({ line, reason: 'closed' });
+      return;
+    }
+    if (ourAirports && !row.iata_code) {
+      skipped.push({ line, reason: 'no iata_code' });
+      return;
+    }
+
+    const entry = ourAirports
+      ? {
+        code: row.iata_code.toUpperCase(),
+        name: row.name,
+        city: row.municipality || null,
+        country: row.iso_country || null,
+        timezone: row.timezone || row.tz || defaultTimezone || COUNTRY_TIMEZONES[row.iso_country] || null,
+        latitude: toNumber(row.latitude_deg),
+        longitude: toNumber(row.longitude_deg)
+      }
+      : {
+        code: row.code.toUpperCase(),
+        name: row.name,
+        city: row.city || null,
+        country: row.country || null,
+        timezone: row.timezone || defaultTimezone || null,
+        latitude: toNumber(row.latitude),
+        longitude: toNumber(row.longitude)
+      };
+
+    const problem = validateEntry(entry);
+    if (problem) {
+      skipped.push({ line, code: entry.code || null, reason: problem });
+      return;
+    }
+
+    entries.push(entry);
+  });
+
+  return { entries, skipped };
+};
+
+// First problem with a catalog entry, or null
+const validateEntry = (entry) => {
+  if (!entry.code || !/^[A-Z0-9]{2,10}$/.test(entry.code)) return 'code must be 2-10 letters or digits';
+  if (!entry.name) return 'name is required';
+  if (!entry.timezone) return 'timezone is required';
+  if (!isValidTimezone(entry.timezone)) return `unknown timezone ${entry.timezone}`;
+  if (entry.latitude !== null && !(entry.latitude >= -90 && entry.latitude <= 90)) return 'latitude must be between -90 and 90';
+  if (entry.longitude !== null && !(entry.longitude >= -180 && entry.longitude <= 180)) return 'longitude must be between -180 and 180';
+  return null;
+};
+
+// Great-circle distance in nautical miles, or null without coordinates
+const distanceNm = (from, to) => {
+  if ([from.latitude, from.longitude, to.latitude, to.longitude].some(value => value === null || value === undefined)) {
+    return null;
+  }
+
+  const rad = (degrees) => Number(degrees) * Math.PI / 180;
+  const dLat = rad(to.latitude - from.latitude);
+  const dLon = rad(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(from.latitude)) * Math.cos(rad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_NM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  CatalogError,
+  isValidTimezone,
+  parseCatalogCsv,
+  validateEntry,
+  distanceNm
+};
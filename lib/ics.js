@@ -0,0 +1,278 @@
+/**
+ * iCalendar (RFC 5545)
+ * Just enough of the format to publish reservation feeds and import VEVENTs
+ * from other calendars (Google, Apple, Outlook, Airbnb-style exports).
+ */
+
+const PRODID = '-//ReservePTY//Family Calendar//EN';
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// UTC date-time, e.g. 20261019T140000Z
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build a VCALENDAR document.
+ * Each event: { uid, start, end, summary, description?, location?, status?,
+ * sequence?, lastModified?, categories? }
+ */
+const formatCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  const now = formatDateTime(new Date());
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.lastModified ? formatDateTime(event.lastModified) : now}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    if (event.categories) lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+class IcsError extends Error {}
+
+const unescapeText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([;,\\])/g, '$1');
+
+// "DTSTART;TZID=America/Panama:20261019T080000" -> { name, params, value }
+const parseLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse DATE or DATE-TIME values. UTC ("Z") times are exact; floating and
+ * TZID times are read as server-local time, like the rest of the API.
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    throw new IcsError(`Invalid date: ${value}`);
+  }
+
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const allDay = params.VALUE === 'DATE' || h === undefined;
+
+  if (allDay) {
+    return { date: new Date(y, mo - 1, d), allDay: true };
+  }
+  return {
+    date: utc ? new Date(Date.UTC(y, mo - 1, d, h, mi, s)) : new Date(y, mo - 1, d, h, mi, s),
+    allDay: false
+  };
+};
+
+// P1D, PT2H30M, P1W ... -> milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) {
+    throw new IcsError(`Invalid duration: ${value}`);
+  }
+
+  const [, sign, w = 0, d = 0, h = 0, m = 0, s = 0] = match;
+  const ms = ((((Number(w) * 7 + Number(d)) * 24 + Number(h)) * 60 + Number(m)) * 60 + Number(s)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// Apply one content line to the event being read
+const readProperty = (current, line) => {
+  switch (line.name) {
+    case 'UID':
+      current.uid = line.value;
+      break;
+    case 'SUMMARY':
+      current.summary = unescapeText(line.value);
+      break;
+    case 'DESCRIPTION':
+      current.description = unescapeText(line.value);
+      break;
+    case 'LOCATION':
+      current.location = unescapeText(line.value);
+      break;
+    case 'STATUS':
+      current.status = line.value.toUpperCase();
+      break;
+    case 'RRULE':
+      current.rrule = line.value;
+      break;
+    case 'EXDATE':
+      current.exdates = [
+        ...(current.exdates || []),
+        ...line.value.split(',').map(value => parseDateValue(value, line.params).date)
+      ];
+      break;
+    case 'RECURRENCE-ID':
+      current.recurrenceId = parseDateValue(line.value, line.params).date;
+      break;
+    case 'DTSTART': {
+      const { date, allDay } = parseDateValue(line.value, line.params);
+      current.start = date;
+      current.allDay = allDay;
+      break;
+    }
+    case 'DTEND':
+      current.end = parseDateValue(line.value, line.params).date;
+      break;
+    case 'DURATION':
+      current.duration = parseDuration(line.value);
+      if (current.start) {
+        current.end = new Date(current.start.getTime() + current.duration);
+      }
+      break;
+    default:
+      break;
+  }
+};
+
+// Fill in a finished event's end, or mark it with an error if it cannot be used
+const finishEvent = (event) => {
+  if (event.error) return event;
+  if (!event.start) {
+    return { ...event, error: 'Event has no DTSTART' };
+  }
+  if (!event.end) {
+    // An all-day event without DTEND lasts one day; a timed one is instantaneous
+    event.end = event.allDay
+      ? new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate() + 1)
+      : new Date(event.start.getTime() + (event.duration || 0));
+  }
+  delete event.duration;
+  return event;
+};
+
+/**
+ * Parse the VEVENTs of an .ics document into { uid, summary, description,
+ * location, status, rrule, exdates, recurrenceId, start, end, allDay }. An
+ * event with a bad or missing value is returned with an `error` instead of
+ * failing the whole document; components nested in an event (VALARM) and
+ * stray END lines are ignored.
+ */
+const parseCalendar = (text) => {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new IcsError('Not an iCalendar document');
+  }
+
+  // Unfold continuation lines before splitting
+  const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const raw of lines) {
+    const line = parseLine(raw);
+    if (!line) continue;
+
+    const component = line.value.toUpperCase();
+    if (line.name === 'BEGIN') {
+      if (component === 'VEVENT' && !current) {
+        current = {};
+      } else if (current) {
+        nested++;
+      }
+      continue;
+    }
+
+    if (line.name === 'END') {
+      if (current && nested > 0) {
+        nested--;
+      } else if (current && component === 'VEVENT') {
+        events.push(finishEvent(current));
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || nested > 0 || current.error) continue;
+
+    try {
+      readProperty(current, line);
+    } catch (error) {
+      if (!(error instanceof IcsError)) throw error;
+      current.error = error.message;
+    }
+  }
+
+  return events;
+};
+
+module.exports = {
+  IcsError,
+  formatCalendar,
+  parseCalendar
+};
@@ -0,0 +1,139 @@
+/**
+ * Trip Itineraries
+ * Validation for the legs of plane and boat reservations: catalog codes, legs
+ * inside the reservation window, passenger limits and the repositioning time
+ * the asset is blocked for between one leg's arrival and the next departure.
+ */
+
+// Which catalog each trip asset type's legs use, and its default repositioning time
+const TRIP_ASSET_TYPES = {
+  plane: { catalog: 'airport', repositioningMinutes: 60 },
+  boat: { catalog: 'port', repositioningMinutes: 120 }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+class ItineraryError extends Error {}
+
+// Asset metadata may override its type's repositioning time
+const repositioningMinutes = (asset) => {
+  const configured = Number(asset.metadata && asset.metadata.repositioningMinutes);
+  return Number.isFinite(configured) && configured >= 0
+    ? configured
+    : TRIP_ASSET_TYPES[asset.type].repositioningMinutes;
+};
+
+const parseTime = (value, label) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || isNaN(date)) {
+    throw new ItineraryError(`${label} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Validate legs [{ origin, destination, departsAt, arrivesAt, passengers, notes }]
+ * for a reservation of `asset` over [startDate, endDate]. `knownCodes` holds the
+ * codes of the asset type's catalog. Returns the legs in departure order with
+ * uppercase codes, Date times and their legNumber.
+ */
+const validateLegs = (legs, { asset, startDate, endDate, knownCodes }) => {
+  if (!Array.isArray(legs)) {
+    throw new ItineraryError('legs must be an array');
+  }
+  if (legs.length === 0) return [];
+
+  const type = TRIP_ASSET_TYPES[asset.type];
+  if (!type) {
+    throw new ItineraryError(`${asset.type} reservations do not have trip legs`);
+  }
+
+  const capacity = Number(asset.metadata && asset.metadata.passengers) || null;
+  const windowStart = new Date(startDate);
+  const windowEnd = new Date(endDate);
+
+  const normalized = legs.map((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    const origin = String(leg.origin || '').trim().toUpperCase();
+    const destination = String(leg.destination || '').trim().toUpperCase();
+
+    for (const code of [origin, destination]) {
+      if (!knownCodes.has(code)) {
+        throw new ItineraryError(`${label}: unknown ${type.catalog} code "${code}"`);
+      }
+    }
+
+    const departsAt = parseTime(leg.departsAt, `${label} departsAt`);
+    const arrivesAt = parseTime(leg.arrivesAt, `${label} arrivesAt`);
+    if (arrivesAt <= departsAt) {
+      throw new ItineraryError(`${label}: arrivesAt must be after departsAt`);
+    }
+    if (departsAt < windowStart || arrivesAt > windowEnd) {
+      throw new ItineraryError(`${label} must depart and arrive within the reservation`);
+    }
+
+    const passengers = Number(leg.passengers);
+    if (!Number.isInteger(passengers) || passengers < 1) {
+      throw new ItineraryError(`${label}: passengers must be a positive integer`);
+    }
+    if (capacity && passengers > capacity) {
+      throw new ItineraryError(`${label}: ${asset.name} carries at most ${capacity} passengers`);
+    }
+
+    return { origin, destination, departsAt, arrivesAt, passengers, notes: leg.notes || null };
+  }).sort((a, b) => a.departsAt - b.departsAt);
+
+  const gap = repositioningMinutes(asset) * MINUTE_MS;
+  for (let i = 1; i < normalized.length; i++) {
+    const previous = normalized[i - 1];
+    if (normalized[i].departsAt - previous.arrivesAt < gap) {
+      throw new ItineraryError(
+        `${asset.name} needs ${repositioningMinutes(asset)} minutes to reposition after arriving at ` +
+        `${previous.destination}; the next leg departs too early`
+      );
+    }
+  }
+
+  return normalized.map((leg, index) => ({ ...leg, legNumber: index + 1 }));
+};
+
+/**
+ * Calendar sub-events for a reservation's legs (rows ordered by leg_number):
+ * each leg, then the repositioning block that follows it before the next leg.
+ */
+const itineraryEvents = (legs, asset) => {
+  const gap = repositioningMinutes(asset) * MINUTE_MS;
+  const events = [];
+
+  legs.forEach((leg, index) => {
+    events.push({
+      id: leg.id,
+      kind: 'leg',
+      title: `${leg.origin_code} → ${leg.destination_code}`,
+      start: leg.departs_at,
+      end: leg.arrives_at,
+      originTimezone: leg.origin_timezone || null,
+      destinationTimezone: leg.destination_timezone || null,
+      passengers: leg.passengers
+    });
+
+    if (index < legs.length - 1) {
+      events.push({
+        kind: 'repositioning',
+        title: `Repositioning at ${leg.destination_code}`,
+        start: leg.arrives_at,
+        end: new Date(new Date(leg.arrives_at).getTime() + gap)
+      });
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  TRIP_ASSET_TYPES,
+  ItineraryError,
+  repositioningMinutes,
+  validateLegs,
+  itineraryEvents
+};
@@ -0,0 +1,72 @@
+/**
+ * Outgoing Mail
+ * A mailer sends { to, subject, text } messages through a transport. Built-in
+ * transports print to the console or append to a local file, so account flows
+ * can be followed offline; any other MAIL_TRANSPORT value is loaded as a module
+ * exporting send(message).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MailError extends Error {}
+
+const formatMessage = (message) => [
+  `Date: ${new Date().toISOString()}`,
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${message.subject}`,
+  '',
+  message.text,
+  ''
+].join('\n');
+
+const TRANSPORTS = {
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 Mail\n${formatMessage(message)}`);
+    }
+  }),
+
+  // Messages are appended one after another, separated by a line of dashes
+  file: ({ file }) => ({
+    send: async (message) => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${formatMessage(message)}${'-'.repeat(72)}\n`);
+    }
+  })
+};
+
+/**
+ * Create a mailer. `transport` names a built-in transport or a module path
+ * resolved from the working directory; the module may export send() directly
+ * or a factory taking the options.
+ */
+const createMailer = ({ transport = 'console', from = 'ReservePTY <no-reply@reservepty.local>', file = 'mail/outbox.log' } = {}) => {
+  let impl;
+  if (TRANSPORTS[transport]) {
+    impl = TRANSPORTS[transport]({ file: path.resolve(file) });
+  } else {
+    const loaded = require(path.resolve(transport));
+    impl = typeof loaded === 'function' ? loaded({ from, file }) : loaded;
+  }
+
+  if (!impl || typeof impl.send !== 'function') {
+    throw new MailError(`Mail transport ${transport} does not provide send()`);
+  }
+
+  return {
+    transport,
+    send: (message) => {
+      if (!message.to || !message.subject || !message.text) {
+        return Promise.reject(new MailError('Messages need to, subject and text'));
+      }
+      return impl.send({ from, ...message });
+    }
+  };
+};
+
+module.exports = {
+  MailError,
+  createMailer
+};
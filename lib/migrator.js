@@ -0,0 +1,189 @@
+/**
+ * Schema Migrations
+ * Versioned migrations live in migrations/ as NNN_name.js modules exporting
+ * up(db) and down(db). Applied versions are recorded in schema_migrations with
+ * a checksum of the file, so an edited migration is caught instead of silently
+ * diverging. A Postgres advisory lock keeps two deploys from migrating at once.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class MigrationError extends Error {}
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'reservepty:schema_migrations';
+
+const TRACKING_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    duration_ms INTEGER,
+    applied_at TIMESTAMP DEFAULT NOW()
+  )
+`;
+
+// Migration files in version order: { version, name, file, checksum }
+const loadMigrations = (dir) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const source = fs.readFileSync(path.join(dir, file));
+      return {
+        version,
+        name,
+        file: path.resolve(dir, file),
+        checksum: crypto.createHash('sha256').update(source).digest('hex')
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new MigrationError(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+};
+
+const loadModule = (migration) => {
+  const definition = require(migration.file);
+  if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+    throw new MigrationError(`${path.basename(migration.file)} must export up(db) and down(db)`);
+  }
+  return definition;
+};
+
+/**
+ * Create a migrator for a pg Pool. Every command takes the advisory lock on
+ * one connection for its whole run; a second caller waits for it.
+ */
+const createMigrator = ({ pool, dir, log = () => {} }) => {
+  const withLock = async (fn) => {
+    const client = await pool.connect();
+    try {
+      const locked = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) as locked', [LOCK_NAME]);
+      if (!locked.rows[0].locked) {
+        log('Another migration is running; waiting for it to finish...');
+        await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_NAME]);
+      }
+
+      try {
+        await client.query(TRACKING_TABLE_SQL);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_NAME]);
+      }
+    } finally {
+      client.release();
+    }
+  };
+
+  // Run one direction of a migration, inside a transaction unless it opts out
+  // (e.g. for CREATE INDEX CONCURRENTLY) with `transaction: false`
+  const run = async (client, migration, direction, record) => {
+    const definition = loadModule(migration);
+    const useTransaction = definition.transaction !== false;
+    const started = Date.now();
+
+    if (useTransaction) await client.query('BEGIN');
+    try {
+      await definition[direction](client);
+      await record(Date.now() - started);
+      if (useTransaction) await client.query('COMMIT');
+    } catch (error) {
+      if (useTransaction) await client.query('ROLLBACK');
+      throw new MigrationError(`${direction} of ${migration.version}_${migration.name} failed: ${error.message}`);
+    }
+    return Date.now() - started;
+  };
+
+  // Every migration known from files or the tracking table, with its state:
+  // applied, pending, changed (file edited after applying) or missing (no file)
+  const statusWith = async (client) => {
+    const files = loadMigrations(dir);
+    const applied = await client.query('SELECT * FROM schema_migrations ORDER BY applied_at, version');
+    const appliedByVersion = new Map(applied.rows.map(row => [row.version, row]));
+
+    const entries = files.map(migration => {
+      const row = appliedByVersion.get(migration.version);
+      let state = 'pending';
+      if (row) state = row.checksum === migration.checksum ? 'applied' : 'changed';
+      return { ...migration, state, appliedAt: row ? row.applied_at : null };
+    });
+
+    for (const row of applied.rows) {
+      if (!files.some(migration => migration.version === row.version)) {
+        entries.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+      }
+    }
+
+    return entries.sort((a, b) => Number(a.version) - Number(b.version));
+  };
+
+  const status = () => withLock(statusWith);
+
+  // Apply pending migrations in version order, up to and including `to`
+  const migrate = ({ to } = {}) => withLock(async (client) => {
+    const entries = await statusWith(client);
+
+    const changed = entries.filter(entry => entry.state === 'changed');
+    if (changed.length > 0) {
+      throw new MigrationError(
+        `Applied migrations were edited: ${changed.map(entry => `${entry.version}_${entry.name}`).join(', ')}. ` +
+        'Restore them and add a new migration instead.'
+      );
+    }
+
+    const pending = entries.filter(entry =>
+      entry.state === 'pending' && (to === undefined || Number(entry.version) <= Number(to)));
+
+    for (const migration of pending) {
+      log(`↑ ${migration.version}_${migration.name}`);
+      const ms = await run(client, migration, 'up', (duration) => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, duration_ms, applied_at) VALUES ($1, $2, $3, $4, NOW())',
+        [migration.version, migration.name, migration.checksum, duration]
+      ));
+      log(`  done in ${ms} ms`);
+    }
+
+    return pending;
+  });
+
+  // Revert the last `steps` applied migrations, or every one after version `to`
+  const rollback = ({ steps = 1, to } = {}) => withLock(async (client) => {
+    const applied = (await statusWith(client))
+      .filter(entry => entry.state !== 'pending')
+      .reverse();
+
+    const targets = to !== undefined
+      ? applied.filter(entry => Number(entry.version) > Number(to))
+      : applied.slice(0, steps);
+
+    for (const migration of targets) {
+      if (migration.state === 'missing') {
+        throw new MigrationError(`Cannot roll back ${migration.version}_${migration.name}: its file is missing`);
+      }
+
+      log(`↓ ${migration.version}_${migration.name}`);
+      const ms = await run(client, migration, 'down', () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      log(`  done in ${ms} ms`);
+    }
+
+    return targets;
+  });
+
+  return { status, migrate, rollback };
+};
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  createMigrator
+};
@@ -0,0 +1,126 @@
+/**
+ * Notification Preferences
+ * Which events members hear about and through which channels. Every event has
+ * default channels that a member may override per event; email and webhook
+ * deliveries wait out the member's quiet hours and are retried with backoff.
+ */
+
+const CHANNELS = ['in_app', 'email', 'webhook'];
+
+// Event types sent through notify(), with their default channels
+const EVENT_TYPES = {
+  'reservation.created': {
+    description: 'Someone in the family booked an asset you can see',
+    channels: ['in_app']
+  },
+  'reservation.cancelled': {
+    description: 'A reservation on an asset you can see was cancelled',
+    channels: ['in_app', 'email']
+  },
+  'reservation.starting': {
+    description: 'One of your reservations starts within a day',
+    channels: ['in_app', 'email']
+  },
+  'reservation.checkout_overdue': {
+    description: 'One of your reservations has ended but the asset was not checked in',
+    channels: ['in_app', 'email']
+  },
+  'reservation.conflict': {
+    description: 'Someone tried to book an asset for a time you hold it',
+    channels: ['in_app']
+  },
+  'reservation.series_skipped': {
+    description: 'New occurrences of one of your recurring bookings could not be booked',
+    channels: ['in_app', 'email']
+  },
+  'reservation.bumped': {
+    description: 'A higher tier member claimed the slot of one of your reservations',
+    channels: ['in_app', 'email']
+  },
+  'waitlist.offered': {
+    description: 'A slot you are waiting for was freed and is held for you',
+    channels: ['in_app', 'email']
+  },
+  'family.invited': {
+    description: 'You were invited to a family',
+    channels: ['in_app', 'email']
+  },
+  'family.tier_changed': {
+    description: 'Your tier in a family changed',
+    channels: ['in_app']
+  },
+  'family.admin_transferred': {
+    description: 'You were made the administrator of a family',
+    channels: ['in_app', 'email']
+  }
+};
+
+const DEFAULT_CHANNELS = ['in_app'];
+
+// Channels for an event: the member's override if they set one, else the default
+const channelsFor = (preferences, type) => {
+  const override = preferences.find(preference => preference.event_type === type);
+  if (override) return override.channels;
+  return EVENT_TYPES[type] ? EVENT_TYPES[type].channels : DEFAULT_CHANNELS;
+};
+
+// 'HH:MM' on a 24 hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight at `date` on the wall clock of `timezone`
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+};
+
+/**
+ * When the quiet hours around `date` end, or null outside quiet hours. Quiet
+ * hours are { start, end, timezone } and may span midnight (22:00-07:00).
+ */
+const quietHoursEnd = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.start || !quietHours.end) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const now = localMinutes(date, quietHours.timezone || 'UTC');
+  const quiet = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!quiet) return null;
+
+  const wait = (end - now + 24 * 60) % (24 * 60);
+  const resume = new Date(date.getTime() + wait * 60 * 1000);
+  resume.setSeconds(0, 0);
+  return resume;
+};
+
+// Waits between delivery attempts; a delivery fails for good after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240];
+const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// When to try again after `attempts` failed deliveries, or null to give up
+const nextRetryAt = (attempts, date = new Date()) => {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+  return new Date(date.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000);
+};
+
+module.exports = {
+  CHANNELS,
+  EVENT_TYPES,
+  TIME_PATTERN,
+  MAX_DELIVERY_ATTEMPTS,
+  channelsFor,
+  quietHoursEnd,
+  nextRetryAt
+};
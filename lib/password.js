@@ -0,0 +1,56 @@
+/**
+ * Password Policy
+ * Strength checks applied whenever a password is set: registration, reset and
+ * change. Existing passwords are not re-checked at login.
+ */
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// bcrypt ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+// Length at which a password no longer needs a mix of character classes
+const PASSPHRASE_LENGTH = 16;
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', '1234567890', '12345678910', 'qwertyuiop', 'qwerty1234',
+  'iloveyou12', 'welcome123', 'letmein123', 'admin12345', 'abc1234567', 'changeme123', 'passw0rd!!',
+  'reservepty', 'reservepty1', 'reservepty123'
+]);
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/];
+
+// First reason the password is too weak, or null
+const passwordProblem = (password, { email, name } = {}) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    return 'Password is too common';
+  }
+
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classes < 3 && password.length < PASSPHRASE_LENGTH) {
+    return `Use three of lowercase, uppercase, digits and symbols, or at least ${PASSPHRASE_LENGTH} characters`;
+  }
+
+  const personal = [
+    email && email.split('@')[0],
+    ...(name ? name.split(/\s+/) : [])
+  ].filter(part => part && part.length >= 3);
+  if (personal.some(part => lower.includes(part.toLowerCase()))) {
+    return 'Password must not contain your name or email';
+  }
+
+  return null;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  passwordProblem
+};
@@ -0,0 +1,89 @@
+/**
+ * Asset Permissions
+ * Per-asset access rules on top of the numeric member tier. A rule grants one
+ * access level on a single asset, an asset type or every asset, to one member,
+ * a tier or the whole family. The most specific member scope wins, then the
+ * most specific asset scope, so "Ana may book the plane" beats "tier 4 may
+ * only view planes".
+ */
+
+// Ordered: each level includes everything the levels before it allow.
+// 'request' may book, but every booking goes through approval.
+const ACCESS_LEVELS = ['none', 'view', 'request', 'book', 'manage'];
+
+// Without a matching rule tier 1 manages every asset and everyone else books it
+const defaultAccess = (member) => (member.tier === 1 ? 'manage' : 'book');
+
+const hasAccess = (access, needed) => ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(needed);
+
+// Does a rule's asset scope cover this asset? New assets have no id yet.
+const coversAsset = (rule, asset) =>
+  (!rule.asset_id || rule.asset_id === asset.id) &&
+  (!rule.asset_type || rule.asset_type === asset.type);
+
+// Does a rule's member scope cover this member?
+const coversMember = (rule, member) =>
+  (!rule.user_id || rule.user_id === member.id) &&
+  (!rule.tier || rule.tier === member.tier);
+
+// Higher is more specific: an individual beats a tier beats the whole family
+const memberSpecificity = (rule) => (rule.user_id ? 2 : rule.tier ? 1 : 0);
+
+// Higher is more specific: one asset beats a type beats every asset
+const assetSpecificity = (rule) => (rule.asset_id ? 2 : rule.asset_type ? 1 : 0);
+
+// Should `rule` replace `current`? Equally specific rules resolve to the stricter one.
+const outranks = (rule, current) => {
+  if (memberSpecificity(rule) !== memberSpecificity(current)) {
+    return memberSpecificity(rule) > memberSpecificity(current);
+  }
+  if (assetSpecificity(rule) !== assetSpecificity(current)) {
+    return assetSpecificity(rule) > assetSpecificity(current);
+  }
+  return ACCESS_LEVELS.indexOf(rule.access) < ACCESS_LEVELS.indexOf(current.access);
+};
+
+/**
+ * Effective access of a member to an asset: { access, approverTier, rule }.
+ * approverTier is set for 'request' access and names who approves the bookings.
+ */
+const resolveAccess = (rules, member, asset) => {
+  let best = null;
+
+  for (const rule of rules) {
+    if (!coversAsset(rule, asset) || !coversMember(rule, member)) continue;
+    if (!best || outranks(rule, best)) best = rule;
+  }
+
+  if (!best) {
+    return { access: defaultAccess(member), approverTier: null, rule: null };
+  }
+
+  return {
+    access: best.access,
+    approverTier: best.access === 'request' ? best.approver_tier || 1 : null,
+    rule: best
+  };
+};
+
+// Human-readable rule, e.g. "Tier 4 members can view plane assets"
+const describePermission = (rule, { assetName, userName } = {}) => {
+  const who = rule.user_id ? (userName || 'This member') : rule.tier ? `Tier ${rule.tier} members` : 'Everyone';
+  const what = assetName ? assetName : rule.asset_type ? `${rule.asset_type} assets` : 'every asset';
+
+  switch (rule.access) {
+    case 'none':
+      return `${who} cannot see ${what}`;
+    case 'request':
+      return `${who} can request ${what} (approved by tier ${rule.approver_tier || 1})`;
+    default:
+      return `${who} can ${rule.access} ${what}`;
+  }
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  hasAccess,
+  resolveAccess,
+  describePermission
+};
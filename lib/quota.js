@@ -0,0 +1,195 @@
+/**
+ * Booking Policy Calculations
+ * Pure helpers behind the booking policy engine in server.js: which policies
+ * apply to a member and asset, the accounting periods a booking falls in, and
+ * how much of a quota a booking uses.
+ *
+ * Dates are evaluated in the server's local time zone, like lib/rrule.js.
+ */
+
+const POLICY_KINDS = ['advance_days', 'nights', 'hours', 'weekends', 'reservations'];
+const POLICY_PERIODS = ['month', 'quarter', 'year'];
+
+// Default advance-booking limits by tier, used when a family has no advance_days policy
+const DEFAULT_MAX_DAYS_AHEAD = [365, 180, 90, 30];
+
+const UNITS = {
+  advance_days: 'days',
+  nights: 'nights',
+  hours: 'hours',
+  weekends: 'weekends',
+  reservations: 'reservations'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const SEASON_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const monthDay = (date) => `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Seasons are MM-DD ranges and may wrap the new year (e.g. 12-15 to 01-15)
+const inSeason = (policy, date) => {
+  if (!policy.season_start || !policy.season_end) return true;
+
+  const md = monthDay(date);
+  return policy.season_start <= policy.season_end
+    ? md >= policy.season_start && md <= policy.season_end
+    : md >= policy.season_start || md <= policy.season_end;
+};
+
+// Calendar period containing a date
+const periodBounds = (period, date) => {
+  const y = date.getFullYear();
+  const m = date.getMonth();
+
+  switch (period) {
+    case 'month':
+      return { start: new Date(y, m, 1), end: new Date(y, m + 1, 1) };
+    case 'quarter': {
+      const q = Math.floor(m / 3) * 3;
+      return { start: new Date(y, q, 1), end: new Date(y, q + 3, 1) };
+    }
+    case 'year':
+      return { start: new Date(y, 0, 1), end: new Date(y + 1, 0, 1) };
+    default:
+      throw new Error(`Unknown period: ${period}`);
+  }
+};
+
+// Every accounting period a booking touches
+const periodsTouched = (period, start, end) => {
+  const periods = [];
+  let current = periodBounds(period, new Date(start));
+
+  while (current.start < end) {
+    periods.push(current);
+    current = periodBounds(period, current.end);
+  }
+
+  return periods;
+};
+
+/**
+ * How much of a policy's quota the part of [start, end) inside `window` uses.
+ * - nights: nights spent, counted by the date each night begins
+ * - hours: booked hours
+ * - weekends: distinct weekends (keyed by their Saturday) with a booked Sat or Sun
+ * - reservations: 1 if the booking starts inside the window
+ */
+const measureUsage = (policy, start, end, window = null) => {
+  const from = new Date(window ? Math.max(start, window.start) : start);
+  const to = new Date(window ? Math.min(end, window.end) : end);
+  if (!(to > from)) return 0;
+
+  switch (policy.kind) {
+    case 'nights': {
+      let nights = 0;
+      for (let day = startOfDay(from); day < startOfDay(to); day = addDays(day, 1)) {
+        if (inSeason(policy, day)) nights++;
+      }
+      return nights;
+    }
+
+    case 'hours':
+      return inSeason(policy, from) ? (to - from) / HOUR_MS : 0;
+
+    case 'weekends': {
+      const weekends = new Set();
+      for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+        const weekday = day.getDay();
+        if ((weekday === 6 || weekday === 0) && inSeason(policy, day)) {
+          const saturday = weekday === 6 ? day : addDays(day, -1);
+          weekends.add(saturday.getTime());
+        }
+      }
+      return weekends.size;
+    }
+
+    case 'reservations':
+      return new Date(start) >= from && inSeason(policy, new Date(start)) ? 1 : 0;
+
+    default:
+      return 0;
+  }
+};
+
+// Does a policy's asset scope cover this asset?
+const coversAsset = (policy, asset) =>
+  (!policy.asset_id || policy.asset_id === asset.id) &&
+  (!policy.asset_type || policy.asset_type === asset.type);
+
+// Does a policy's member scope cover this member?
+const coversMember = (policy, user) =>
+  (!policy.user_id || policy.user_id === user.id) &&
+  (!policy.tier || policy.tier === user.tier);
+
+// Higher is more specific: an individual beats a tier beats the whole family
+const memberSpecificity = (policy) => (policy.user_id ? 2 : 0) + (policy.tier ? 1 : 0);
+
+/**
+ * Policies that apply to this member booking this asset. Policies with the same
+ * kind, period, asset scope and season form one quota; within it only the most
+ * specific member rule applies, so an individual override replaces a tier rule.
+ */
+const selectPolicies = (policies, user, asset) => {
+  const groups = new Map();
+
+  for (const policy of policies) {
+    if (!coversAsset(policy, asset) || !coversMember(policy, user)) continue;
+
+    const key = [
+      policy.kind,
+      policy.period,
+      policy.asset_id,
+      policy.asset_type,
+      policy.season_start,
+      policy.season_end
+    ].join('|');
+    const current = groups.get(key);
+
+    if (!current || memberSpecificity(policy) > memberSpecificity(current)) {
+      groups.set(key, policy);
+    }
+  }
+
+  return [...groups.values()];
+};
+
+// Advance-booking limit in days; the tightest applicable policy wins
+const maxDaysAhead = (policies, user, asset) => {
+  const limits = selectPolicies(policies, user, asset)
+    .filter(policy => policy.kind === 'advance_days')
+    .map(policy => Number(policy.limit_value));
+
+  return limits.length > 0
+    ? Math.min(...limits)
+    : DEFAULT_MAX_DAYS_AHEAD[user.tier - 1] || DEFAULT_MAX_DAYS_AHEAD[DEFAULT_MAX_DAYS_AHEAD.length - 1];
+};
+
+// Human-readable policy, e.g. "14 nights per year on home assets for tier 3 members (12-15 to 01-15)"
+const describePolicy = (policy, { assetName } = {}) => {
+  const amount = `${Number(policy.limit_value)} ${UNITS[policy.kind]}`;
+  const scope = assetName ? ` on ${assetName}` : policy.asset_type ? ` on ${policy.asset_type} assets` : '';
+  const who = policy.user_id ? ' for this member' : policy.tier ? ` for tier ${policy.tier} members` : '';
+  const season = policy.season_start ? ` (${policy.season_start} to ${policy.season_end})` : '';
+
+  if (policy.kind === 'advance_days') {
+    return `Bookings up to ${amount} in advance${scope}${who}`;
+  }
+  return `${amount} per ${policy.period}${scope}${who}${season}`;
+};
+
+module.exports = {
+  POLICY_KINDS,
+  POLICY_PERIODS,
+  SEASON_PATTERN,
+  DEFAULT_MAX_DAYS_AHEAD,
+  UNITS,
+  periodBounds,
+  periodsTouched,
+  measureUsage,
+  selectPolicies,
+  maxDaysAhead,
+  describePolicy
+};
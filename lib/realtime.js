@@ -0,0 +1,139 @@
+/**
+ * Real-time Family Events
+ * Family events are stored in family_events and announced with NOTIFY on one
+ * channel, so every API instance hears about changes made by any other. The
+ * hub keeps a single LISTEN connection per instance, loads each announced
+ * event once and hands it to the local subscribers of that family.
+ */
+
+class RealtimeError extends Error {}
+
+// NOTIFY payloads are small ({ familyId, id }); the event itself is read back,
+// by id since its seq is only assigned as the transaction commits
+const parseNotification = (message) => {
+  try {
+    const payload = JSON.parse(message.payload);
+    return payload && payload.familyId && payload.id ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create a hub on a pg Pool. subscribe(familyId, { onEvent, onResync })
+ * resolves once the instance is listening and returns an unsubscribe function.
+ * onResync is called after the LISTEN connection was lost and re-established,
+ * since events may have been missed in between. close() stops listening.
+ */
+const createEventHub = ({ pool, channel, reconnectMs = 5000, log = console.error }) => {
+  if (!/^[a-z_][a-z0-9_]*$/.test(channel)) {
+    throw new RealtimeError(`Invalid channel name ${channel}`);
+  }
+
+  const subscribers = new Map();
+
+  const dispatch = async (message) => {
+    const payload = parseNotification(message);
+    if (!payload || !subscribers.has(payload.familyId)) return;
+
+    const result = await pool.query('SELECT * FROM family_events WHERE id = $1', [payload.id]);
+    if (result.rows.length === 0) return;
+
+    for (const subscriber of subscribers.get(payload.familyId) || []) {
+      subscriber.onEvent(result.rows[0]);
+    }
+  };
+
+  const resyncAll = () => {
+    for (const family of subscribers.values()) {
+      for (const subscriber of family) {
+        if (subscriber.onResync) subscriber.onResync();
+      }
+    }
+  };
+
+  const connect = async () => {
+    const client = await pool.connect();
+    client.on('notification', (message) => {
+      dispatch(message).catch(error => log('Real-time dispatch error:', error));
+    });
+    client.on('error', (error) => lose(client, error));
+    client.on('end', () => lose(client, new RealtimeError('Connection ended')));
+
+    try {
+      await client.query(`LISTEN ${channel}`);
+    } catch (error) {
+      client.release(true);
+      throw error;
+    }
+    return client;
+  };
+
+  let listener = null;
+  let connecting = null;
+
+  const listen = () => {
+    if (listener) return Promise.resolve();
+    if (!connecting) {
+      connecting = connect()
+        .then((client) => {
+          listener = client;
+        })
+        .finally(() => {
+          connecting = null;
+        });
+    }
+    return connecting;
+  };
+
+  // Reconnect every reconnectMs until listening again, then let subscribers catch up
+  const lose = (client, error) => {
+    if (listener !== client) return;
+    listener = null;
+    client.release(true);
+    log('Real-time listener lost its connection:', error.message);
+
+    const retry = () => listen().then(resyncAll, () => setTimeout(retry, reconnectMs).unref());
+    setTimeout(retry, reconnectMs).unref();
+  };
+
+  const subscribe = async (familyId, subscriber) => {
+    await listen();
+
+    if (!subscribers.has(familyId)) subscribers.set(familyId, new Set());
+    subscribers.get(familyId).add(subscriber);
+
+    return () => {
+      const family = subscribers.get(familyId);
+      if (!family) return;
+      family.delete(subscriber);
+      if (family.size === 0) subscribers.delete(familyId);
+    };
+  };
+
+  const connectionCount = () => [...subscribers.values()].reduce((total, family) => total + family.size, 0);
+
+  // Stop listening and hand the connection back, e.g. before the pool is ended
+  const close = () => {
+    const client = listener;
+    listener = null;
+    if (client) client.release(true);
+  };
+
+  return { subscribe, connectionCount, close };
+};
+
+// One Server-Sent Events message. Multi-line data is split over data: lines.
+const formatSse = ({ id, event, data }) => {
+  const lines = [];
+  if (id !== undefined) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  for (const line of JSON.stringify(data).split('\n')) lines.push(`data: ${line}`);
+  return `${lines.join('\n')}\n\n`;
+};
+
+module.exports = {
+  RealtimeError,
+  createEventHub,
+  formatSse
+};
@@ -0,0 +1,230 @@
+/**
+ * Recurrence Rules
+ * A subset of iCalendar RRULE (RFC 5545): FREQ, INTERVAL, BYDAY, UNTIL and COUNT.
+ *
+ * Dates are evaluated in the server's local time zone (set TZ, e.g.
+ * America/Panama), the same zone node-postgres uses for TIMESTAMP columns.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// Safety net for rules that never match (e.g. BYDAY=5FR with a large INTERVAL)
+const MAX_ITERATIONS = 10000;
+
+class RRuleError extends Error {}
+
+// Accepts 20261231, 20261231T080000, 20261231T130000Z or any Date-parsable string
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  let date;
+
+  if (match) {
+    const [, y, mo, d, h = '23', mi = '59', s = '59', utc] = match;
+    date = utc
+      ? new Date(Date.UTC(y, mo - 1, d, h, mi, s))
+      : new Date(y, mo - 1, d, h, mi, s);
+  } else {
+    date = new Date(value);
+  }
+
+  if (isNaN(date)) {
+    throw new RRuleError(`Invalid UNTIL: ${value}`);
+  }
+  return date;
+};
+
+// Parse "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10" (optionally prefixed with "RRULE:")
+const parseRRule = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new RRuleError('rrule must be a non-empty string');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], until: null, count: null };
+
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.toUpperCase();
+
+    if (value === undefined || value === '') {
+      throw new RRuleError(`Missing value for ${key}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        if (!FREQUENCIES.includes(rule.freq)) {
+          throw new RRuleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new RRuleError('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(entry => {
+          const match = BYDAY_PATTERN.exec(entry);
+          if (!match) {
+            throw new RRuleError(`Invalid BYDAY entry: ${entry}`);
+          }
+          return { ordinal: match[1] ? Number(match[1]) : null, day: DAY_CODES.indexOf(match[2]) };
+        });
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new RRuleError('COUNT must be a positive integer');
+        }
+        break;
+      default:
+        throw new RRuleError(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RRuleError('FREQ is required');
+  }
+  if (rule.until && rule.count) {
+    throw new RRuleError('UNTIL and COUNT cannot be combined');
+  }
+  if (rule.byDay.some(entry => entry.ordinal !== null) && rule.freq !== 'MONTHLY') {
+    throw new RRuleError('Numbered BYDAY entries (e.g. 1MO) are only supported with FREQ=MONTHLY');
+  }
+  if (rule.byDay.length > 0 && rule.freq === 'YEARLY') {
+    throw new RRuleError('BYDAY is not supported with FREQ=YEARLY');
+  }
+
+  return rule;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Serialize a parsed rule back to its canonical string
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(({ ordinal, day }) => `${ordinal || ''}${DAY_CODES[day]}`).join(',')}`);
+  }
+  if (rule.until) {
+    const u = rule.until;
+    parts.push(`UNTIL=${u.getUTCFullYear()}${pad(u.getUTCMonth() + 1)}${pad(u.getUTCDate())}` +
+      `T${pad(u.getUTCHours())}${pad(u.getUTCMinutes())}${pad(u.getUTCSeconds())}Z`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+
+  return parts.join(';');
+};
+
+// Same wall-clock time as dtstart on the given calendar day
+const atTimeOf = (dtstart, year, month, day) => new Date(
+  year, month, day,
+  dtstart.getHours(), dtstart.getMinutes(), dtstart.getSeconds(), dtstart.getMilliseconds()
+);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Candidate occurrences in the nth period after dtstart, in chronological order
+const periodCandidates = (rule, dtstart, n) => {
+  const y = dtstart.getFullYear();
+  const m = dtstart.getMonth();
+  const d = dtstart.getDate();
+  const step = n * rule.interval;
+  const weekdays = rule.byDay.map(entry => entry.day);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = atTimeOf(dtstart, y, m, d + step);
+      return weekdays.length === 0 || weekdays.includes(day.getDay()) ? [day] : [];
+    }
+
+    case 'WEEKLY': {
+      // Weeks start on Monday (RFC 5545 default WKST=MO)
+      const mondayOffset = (dtstart.getDay() + 6) % 7;
+      const days = weekdays.length > 0 ? weekdays : [dtstart.getDay()];
+      return days
+        .map(day => atTimeOf(dtstart, y, m, d - mondayOffset + step * 7 + (day + 6) % 7))
+        .sort((a, b) => a - b);
+    }
+
+    case 'MONTHLY': {
+      const first = new Date(y, m + step, 1);
+      const year = first.getFullYear();
+      const month = first.getMonth();
+      const length = daysInMonth(year, month);
+
+      if (rule.byDay.length === 0) {
+        // Months without this day of the month are skipped, as in RFC 5545
+        return d <= length ? [atTimeOf(dtstart, year, month, d)] : [];
+      }
+
+      const days = [];
+      for (const { ordinal, day } of rule.byDay) {
+        const matching = [];
+        for (let date = 1; date <= length; date++) {
+          if (new Date(year, month, date).getDay() === day) matching.push(date);
+        }
+        const picked = ordinal === null
+          ? matching
+          : [matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal]].filter(Boolean);
+        days.push(...picked);
+      }
+
+      return [...new Set(days)].sort((a, b) => a - b).map(date => atTimeOf(dtstart, year, month, date));
+    }
+
+    case 'YEARLY': {
+      const year = y + step;
+      return d <= daysInMonth(year, m) ? [atTimeOf(dtstart, year, m, d)] : [];
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Expand a parsed rule into occurrence start dates, beginning at dtstart.
+ * Stops at the rule's COUNT/UNTIL, the optional `until` cap or `limit` results.
+ * COUNT includes occurrences past the `until` cap, as RFC 5545 requires.
+ * Occurrences at or before `after` are left out but still count toward COUNT.
+ */
+const expandRRule = (rule, dtstart, { until = null, after = null, limit = 500 } = {}) => {
+  const start = new Date(dtstart);
+  const occurrences = [];
+  let counted = 0;
+
+  for (let n = 0; n < MAX_ITERATIONS; n++) {
+    for (const candidate of periodCandidates(rule, start, n)) {
+      if (candidate < start) continue;
+      if (rule.until && candidate > rule.until) return occurrences;
+      if (until && candidate > until) return occurrences;
+      if (rule.count && counted >= rule.count) return occurrences;
+
+      counted++;
+      if (after && candidate <= after) continue;
+      occurrences.push(candidate);
+      if (occurrences.length >= limit) return occurrences;
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  RRuleError,
+  parseRRule,
+  formatRRule,
+  expandRRule
+};
@@ -0,0 +1,73 @@
+/**
+ * Asset Specs
+ * What each asset type keeps in its metadata ("specs"), e.g. the tail number
+ * of a plane or the bedrooms of a home. Known fields are type-checked and a few
+ * are required; other keys are kept as free-form extras.
+ *
+ * Meter fields (flightHours, engineHours, mileage) are also written by
+ * check-in readings, see USAGE_METRICS in server.js.
+ */
+
+const v = require('./validate');
+
+// Lengths and ranges may be a number or a description like "55 ft"
+const measure = () => v.anyOf(
+  [v.number({ min: 0 }), v.string({ min: 1, max: 50 })],
+  'must be a non-negative number or a short description'
+);
+
+const meter = () => v.number({ min: 0 }).optional();
+const text = (max = 100) => v.string({ min: 1, max }).optional().nullable();
+const year = () => v.integer({ min: 1900, max: 2100 }).optional().nullable();
+
+const SPECS = {
+  plane: {
+    tailNumber: v.string({ pattern: /^[A-Z0-9-]{2,10}$/i, patternMessage: 'must be 2-10 letters, digits or dashes' }),
+    model: text(),
+    year: year(),
+    passengers: v.integer({ min: 1, max: 1000 }).optional(),
+    cruiseSpeed: v.number({ min: 1, max: 1000 }).optional(),
+    range: measure().optional(),
+    flightHours: meter(),
+    engineHours: meter()
+  },
+  boat: {
+    hullId: text(50),
+    model: text(),
+    year: year(),
+    length: measure().optional(),
+    passengers: v.integer({ min: 1, max: 1000 }).optional(),
+    cruiseSpeed: v.number({ min: 1, max: 100 }).optional(),
+    engineHours: meter()
+  },
+  home: {
+    bedrooms: v.integer({ min: 0, max: 100 }),
+    bathrooms: v.number({ min: 0, max: 100 }).optional(),
+    sqft: v.integer({ min: 1 }).optional(),
+    maxGuests: v.integer({ min: 1, max: 1000 }).optional(),
+    address: text(255)
+  },
+  vehicle: {
+    plate: text(20),
+    make: text(),
+    model: text(),
+    year: year(),
+    seats: v.integer({ min: 1, max: 100 }).optional(),
+    mileage: meter()
+  }
+};
+
+/**
+ * Problems with the metadata of an asset of `type`, in the shape of request
+ * validation errors ({ location, field, code, message }); empty when valid.
+ */
+const specProblems = (type, metadata) => {
+  const errors = [];
+  v.object(SPECS[type] || {})(metadata, 'metadata', errors, {});
+  return errors.map(error => ({ location: 'body', ...error }));
+};
+
+module.exports = {
+  SPECS,
+  specProblems
+};
@@ -0,0 +1,85 @@
+/**
+ * File Storage
+ * Uploaded files (asset photos) are stored under generated keys through a
+ * driver. The built-in local driver writes below a directory that the API
+ * serves itself; any other STORAGE_DRIVER value is loaded as a module
+ * exporting put(key, buffer, contentType), remove(key) and url(key).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class StorageError extends Error {}
+
+// Keys are generated by the server, e.g. assets/<assetId>/<uuid>.jpg
+const KEY_PATTERN = /^[\w-]+(\/[\w-]+)*\.[a-z0-9]+$/;
+
+const DRIVERS = {
+  local: ({ dir, publicUrl }) => {
+    const resolve = (key) => {
+      if (!KEY_PATTERN.test(key)) throw new StorageError(`Invalid storage key ${key}`);
+      return path.join(dir, key);
+    };
+
+    return {
+      dir,
+      put: async (key, buffer) => {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+      },
+      // Removing a file that is already gone is not an error
+      remove: async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+      },
+      url: (key) => `${publicUrl}/${key}`
+    };
+  }
+};
+
+/**
+ * Create a storage. `driver` names a built-in driver or a module path resolved
+ * from the working directory; the module may export the driver directly or a
+ * factory taking the options.
+ */
+const createStorage = ({ driver = 'local', dir = 'uploads', publicUrl = '/uploads' } = {}) => {
+  const options = { dir: path.resolve(dir), publicUrl: publicUrl.replace(/\/+$/, '') };
+
+  let impl;
+  if (DRIVERS[driver]) {
+    impl = DRIVERS[driver](options);
+  } else {
+    const loaded = require(path.resolve(driver));
+    impl = typeof loaded === 'function' ? loaded(options) : loaded;
+  }
+
+  for (const method of ['put', 'remove', 'url']) {
+    if (!impl || typeof impl[method] !== 'function') {
+      throw new StorageError(`Storage driver ${driver} does not provide ${method}()`);
+    }
+  }
+
+  return { driver, ...impl };
+};
+
+// Image formats accepted for upload, recognised by their leading bytes
+const IMAGE_TYPES = [
+  { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { contentType: 'image/png', extension: 'png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/gif', extension: 'gif', matches: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { contentType: 'image/webp', extension: 'webp', matches: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+// { contentType, extension } of an image buffer, or null if it is not one we accept
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const type = IMAGE_TYPES.find(candidate => candidate.matches(buffer));
+  return type ? { contentType: type.contentType, extension: type.extension } : null;
+};
+
+module.exports = {
+  StorageError,
+  IMAGE_CONTENT_TYPES: IMAGE_TYPES.map(type => type.contentType),
+  createStorage,
+  detectImageType
+};
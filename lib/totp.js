@@ -0,0 +1,115 @@
+/**
+ * Time-Based One-Time Passwords
+ * RFC 6238 TOTP (HMAC-SHA1, 30 second steps, 6 digits) as used by authenticator
+ * apps, with base32 secrets, otpauth:// enrollment URIs and recovery codes.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Codes from one step either side are accepted to allow for clock drift
+const DRIFT_STEPS = 1;
+
+class TotpError extends Error {}
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new TotpError(`Invalid base32 character "${char}"`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends for HMAC-SHA1
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const counterAt = (time) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const totp = (secret, time = Date.now()) => hotp(secret, counterAt(time));
+
+/**
+ * Check a code against the steps around `time`. Returns the matching counter so
+ * the caller can refuse it next time (codes are single-use), or null.
+ * Counters at or below `lastCounter` are never accepted.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), lastCounter = null } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = counterAt(time);
+  for (let counter = current - DRIFT_STEPS; counter <= current + DRIFT_STEPS; counter++) {
+    if (lastCounter !== null && counter <= lastCounter) continue;
+
+    const expected = Buffer.from(hotp(secret, counter));
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return counter;
+  }
+  return null;
+};
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// One-time recovery codes, e.g. "k7qm-2xnd". Unambiguous characters only.
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+  const chars = Array.from({ length: 8 }, () => RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+});
+
+// Recovery codes are compared case- and dash-insensitively
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+module.exports = {
+  TotpError,
+  generateSecret,
+  totp,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
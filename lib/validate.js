@@ -0,0 +1,208 @@
+/**
+ * Request Validation
+ * Small schema builders for request bodies, query strings and path parameters.
+ * A validator checks a value and records problems as { field, code, message };
+ * it never changes the value, so handlers keep reading req.body as before.
+ *
+ * Query and path values arrive as strings, so in those locations integers,
+ * numbers and booleans are accepted in their string form.
+ */
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super('Request validation failed');
+    this.errors = errors;
+  }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ISO 8601 date-time with an explicit offset, e.g. 2025-03-01T15:00:00Z or ...-05:00
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,9})?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Wrap a check (value, field, errors, options) as a validator. Validators are
+ * required by default; .optional() allows undefined and .nullable() allows null.
+ */
+const validator = (check) => {
+  const run = (value, field, errors, options = {}) => {
+    if (value === undefined) {
+      errors.push({ field, code: 'required', message: `${field} is required` });
+      return;
+    }
+    if (value === null) {
+      errors.push({ field, code: 'not_nullable', message: `${field} cannot be null` });
+      return;
+    }
+    check(value, field, errors, options);
+  };
+  return withModifiers(run);
+};
+
+const withModifiers = (run) => {
+  run.optional = () => withModifiers((value, field, errors, options) => {
+    if (value !== undefined) run(value, field, errors, options);
+  });
+  run.nullable = () => withModifiers((value, field, errors, options) => {
+    if (value !== null) run(value, field, errors, options);
+  });
+  return run;
+};
+
+const fail = (errors, field, code, message) => {
+  errors.push({ field, code, message: `${field} ${message}` });
+};
+
+// Surrounding whitespace does not count towards `min`; { min: 1 } means non-blank
+const string = ({ min = 0, max = 10000, pattern, patternMessage } = {}) => validator((value, field, errors) => {
+  if (typeof value !== 'string') return fail(errors, field, 'invalid_type', 'must be a string');
+  if (min === 1 && value.trim() === '') return fail(errors, field, 'empty', 'cannot be empty');
+  if (value.trim().length < min) return fail(errors, field, 'too_short', `must be at least ${min} characters`);
+  if (value.length > max) return fail(errors, field, 'too_long', `must be at most ${max} characters`);
+  if (pattern && !pattern.test(value)) return fail(errors, field, 'invalid_format', patternMessage || 'has an invalid format');
+});
+
+const uuid = () => validator((value, field, errors) => {
+  if (typeof value !== 'string' || !UUID_PATTERN.test(value)) fail(errors, field, 'invalid_uuid', 'must be a UUID');
+});
+
+const email = () => validator((value, field, errors) => {
+  if (typeof value !== 'string' || value.length > 255 || !EMAIL_PATTERN.test(value)) {
+    fail(errors, field, 'invalid_email', 'must be a valid email address');
+  }
+});
+
+const datetime = () => validator((value, field, errors) => {
+  if (typeof value !== 'string' || !DATETIME_PATTERN.test(value) || isNaN(new Date(value))) {
+    fail(errors, field, 'invalid_datetime', 'must be an ISO 8601 date-time with a timezone, e.g. 2025-03-01T15:00:00Z');
+  }
+});
+
+const toNumber = (value, options) =>
+  (options.fromString && typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const number = ({ min, max } = {}) => validator((value, field, errors, options) => {
+  const parsed = toNumber(value, options);
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return fail(errors, field, 'invalid_type', 'must be a number');
+  if (min !== undefined && parsed < min) return fail(errors, field, 'too_small', `must be at least ${min}`);
+  if (max !== undefined && parsed > max) return fail(errors, field, 'too_large', `must be at most ${max}`);
+});
+
+const integer = ({ min, max } = {}) => validator((value, field, errors, options) => {
+  const parsed = toNumber(value, options);
+  if (!Number.isInteger(parsed)) return fail(errors, field, 'invalid_type', 'must be an integer');
+  if (min !== undefined && parsed < min) return fail(errors, field, 'too_small', `must be at least ${min}`);
+  if (max !== undefined && parsed > max) return fail(errors, field, 'too_large', `must be at most ${max}`);
+});
+
+const boolean = () => validator((value, field, errors, options) => {
+  const ok = typeof value === 'boolean' || (options.fromString && (value === 'true' || value === 'false'));
+  if (!ok) fail(errors, field, 'invalid_type', 'must be true or false');
+});
+
+const oneOf = (values) => validator((value, field, errors) => {
+  if (!values.includes(value)) fail(errors, field, 'invalid_enum', `must be one of ${values.join(', ')}`);
+});
+
+const array = (item, { min = 0, max = 1000 } = {}) => validator((value, field, errors, options) => {
+  if (!Array.isArray(value)) return fail(errors, field, 'invalid_type', 'must be an array');
+  if (value.length < min) return fail(errors, field, 'too_short', `must have at least ${min} items`);
+  if (value.length > max) return fail(errors, field, 'too_long', `must have at most ${max} items`);
+  value.forEach((entry, index) => item(entry, `${field}[${index}]`, errors, options));
+});
+
+// Accepts a value any of `validators` accepts, e.g. a number or a descriptive string
+const anyOf = (validators, message) => validator((value, field, errors, options) => {
+  const accepted = validators.some(check => {
+    const found = [];
+    check(value, field, found, options);
+    return found.length === 0;
+  });
+  if (!accepted) fail(errors, field, 'invalid_type', message);
+});
+
+// Free-form JSON object (asset and reservation metadata), bounded in size
+const json = ({ maxBytes = 16 * 1024 } = {}) => validator((value, field, errors) => {
+  if (!isPlainObject(value)) return fail(errors, field, 'invalid_type', 'must be an object');
+  if (Buffer.byteLength(JSON.stringify(value)) > maxBytes) {
+    fail(errors, field, 'too_large', `must be at most ${maxBytes} bytes of JSON`);
+  }
+});
+
+/**
+ * An object with known fields. Fields not in the shape are left alone. Rules are
+ * cross-field checks { test(value), field, code, message }, run only when every
+ * field is valid.
+ */
+const object = (shape, { rules = [] } = {}) => validator((value, field, errors, options) => {
+  if (!isPlainObject(value)) return fail(errors, field || 'body', 'invalid_type', 'must be an object');
+
+  const before = errors.length;
+  for (const [key, check] of Object.entries(shape)) {
+    check(value[key], field ? `${field}.${key}` : key, errors, options);
+  }
+  if (errors.length > before) return;
+
+  for (const rule of rules) {
+    if (!rule.test(value)) {
+      const target = field ? `${field}.${rule.field}` : rule.field;
+      errors.push({ field: target, code: rule.code, message: rule.message });
+    }
+  }
+});
+
+// Cross-field rule: `later` must be after `earlier` when both are given
+const after = (later, earlier) => ({
+  test: (value) => value[later] === undefined || value[earlier] === undefined ||
+    value[later] === null || value[earlier] === null || new Date(value[later]) > new Date(value[earlier]),
+  field: later,
+  code: 'invalid_range',
+  message: `${later} must be after ${earlier}`
+});
+
+/**
+ * Check a request against { params, query, body } schemas (shapes or object()
+ * validators). Returns the problems, each tagged with where it was found.
+ */
+const validateRequest = (schemas, req) => {
+  const problems = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    const schema = typeof schemas[location] === 'function' ? schemas[location] : object(schemas[location]);
+    const errors = [];
+    schema(req[location] === undefined ? {} : req[location], '', errors, { fromString: location !== 'body' });
+
+    problems.push(...errors.map(error => ({
+      location,
+      ...error,
+      field: error.field || location
+    })));
+  }
+
+  return problems;
+};
+
+module.exports = {
+  ValidationError,
+  UUID_PATTERN,
+  EMAIL_PATTERN,
+  validateRequest,
+  string,
+  uuid,
+  email,
+  datetime,
+  number,
+  integer,
+  boolean,
+  oneOf,
+  anyOf,
+  array,
+  json,
+  object,
+  after
+};
@@ -0,0 +1,216 @@
+/**
+ * Outbound Webhooks
+ * Families register endpoints that receive reservation and asset events as
+ * signed JSON POSTs. Each request carries
+ *
+ *   X-ReservePTY-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ *
+ * where the HMAC is computed with the endpoint secret over "<t>.<raw body>",
+ * so receivers can check both origin and freshness.
+ *
+ * Endpoint URLs are chosen by families, so before registering one and before
+ * every delivery its host is resolved and refused if it points into the
+ * server's own network (loopback, link-local, private and similar ranges).
+ * Deliveries connect to the very addresses that were checked.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+class WebhookUrlError extends Error {}
+
+// Event types an endpoint may subscribe to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = {
+  'reservation.created': 'A reservation was booked or requested',
+  'reservation.updated': 'A reservation was rescheduled or edited',
+  'reservation.cancelled': 'A reservation was cancelled',
+  'reservation.approved': 'A pending request was approved',
+  'reservation.rejected': 'A pending request was rejected',
+  'reservation.expired': 'A pending request expired without a decision',
+  'reservation.bumped': 'A reservation was displaced by a higher tier booking',
+  'reservation.checked_out': 'An asset was checked out for a reservation',
+  'reservation.checked_in': 'An asset was checked back in',
+  'asset.created': 'An asset was added',
+  'asset.updated': 'An asset was renamed, moved or had its specs changed',
+  'asset.archived': 'An asset was retired from booking',
+  'asset.restored': 'An archived asset was put back into service',
+  'asset.deleted': 'An asset was deleted'
+};
+
+// Sent only by the "send test event" action, whatever the endpoint's filter
+const TEST_EVENT = 'webhook.test';
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const subscribes = (events, type) => events.includes('*') || events.includes(type);
+
+// Signature header value for a raw request body
+const signPayload = (secret, body, time = Date.now()) => {
+  const timestamp = Math.floor(time / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at 6 hours, with up to 10%
+// jitter so a recovering receiver is not hit by every retry at once
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 10;
+
+// When to retry after `attempts` failed attempts, or null once the delivery is dead
+const nextAttemptAt = (attempts, time = Date.now()) => {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  return new Date(time + delay + Math.floor(Math.random() * delay * 0.1));
+};
+
+// Addresses a webhook must not reach: this host, its networks and the cloud
+// metadata service (169.254.169.254 is link-local)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 96], // unspecified, loopback and IPv4-compatible (::127.0.0.1)
+  ['64:ff9b::', 96], // NAT64 of an IPv4 address
+  ['fc00::', 7], // unique local
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const isBlockedAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Why a URL's scheme or credentials rule it out, or null
+const urlFormProblem = (url, allowHttp) => {
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    return allowHttp ? 'must be an http or https URL' : 'must be an https URL';
+  }
+  if (url.username || url.password) {
+    return 'must not contain credentials';
+  }
+  return null;
+};
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch (error) {
+    throw new WebhookUrlError('must be a valid URL');
+  }
+};
+
+// The { address, family } entries a URL's host resolves to, all of them public.
+// Throws WebhookUrlError when the host does not resolve or reaches inside.
+const resolvePublicAddresses = async (url, lookup) => {
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await lookup(host, { all: true });
+    } catch (error) {
+      throw new WebhookUrlError(`host ${host} could not be resolved`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+    throw new WebhookUrlError(`host ${host} is not a public address`);
+  }
+  return addresses;
+};
+
+/**
+ * Why a URL may not receive webhooks, or null if it may. Plain http is only
+ * accepted with `allowHttp` (development). The host must resolve, and every
+ * address it resolves to must be public. `lookup` is dns.promises.lookup's
+ * signature, replaceable in tests.
+ */
+const webhookUrlProblem = async (value, { allowHttp = false, lookup = dns.promises.lookup } = {}) => {
+  try {
+    const url = parseUrl(value);
+    const problem = urlFormProblem(url, allowHttp);
+    if (problem) return problem;
+    await resolvePublicAddresses(url, lookup);
+    return null;
+  } catch (error) {
+    if (error instanceof WebhookUrlError) return error.message;
+    throw error;
+  }
+};
+
+/**
+ * POST `body` to a webhook URL under the rules of webhookUrlProblem, which it
+ * throws as a WebhookUrlError. The host is resolved once and the connection
+ * made to an address that passed the check, so a DNS answer changing in
+ * between (rebinding) cannot send the request inside. Redirects are not
+ * followed. Resolves to the response status code; a request still running
+ * after `timeoutMs` fails with a TimeoutError.
+ */
+const postWebhook = async (value, { headers = {}, body, timeoutMs = 10000, allowHttp = false, lookup = dns.promises.lookup }) => {
+  const url = parseUrl(value);
+  const problem = urlFormProblem(url, allowHttp);
+  if (problem) throw new WebhookUrlError(problem);
+  const addresses = await resolvePublicAddresses(url, lookup);
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      // A fresh connection each time, to the checked addresses only
+      agent: false,
+      lookup: (hostname, options, callback) => {
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    const timer = setTimeout(() => {
+      request.destroy(Object.assign(new Error(`No response within ${timeoutMs} ms`), { name: 'TimeoutError' }));
+    }, timeoutMs);
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  subscribes,
+  signPayload,
+  nextAttemptAt,
+  WebhookUrlError,
+  isBlockedAddress,
+  webhookUrlProblem,
+  postWebhook
+};
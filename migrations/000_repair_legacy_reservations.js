@@ -0,0 +1,73 @@
+/**
+ * Legacy reservation repair
+ * Databases set up by scripts/init-db.js may hold bookings the baseline's
+ * constraints rule out: the original seed's plane trip starts and ends at the
+ * same time, and nothing stopped overlapping bookings. This runs before the
+ * baseline so it can add those constraints, and does nothing on new databases.
+ */
+
+const RELEASED_STATUSES = ['cancelled', 'rejected', 'expired', 'bumped'];
+const OVERLAP_RELEASE_REASON = 'Released when overlapping bookings were ruled out';
+const MIN_DURATION_MS = 60 * 60 * 1000;
+
+// The end a legacy booking gets: zero-length or inverted ones last an hour
+const repairedEndDate = (reservation) => {
+  const start = new Date(reservation.start_date);
+  const end = new Date(reservation.end_date);
+  return end > start ? end : new Date(start.getTime() + MIN_DURATION_MS);
+};
+
+// Of slot-holding bookings (oldest first) that overlap on an asset, the ids of
+// all but the earliest made. Bookings only overlapping released ones are kept.
+const overlappingReservations = (reservations) => {
+  const kept = new Map();
+  const released = [];
+  for (const reservation of reservations) {
+    const slots = kept.get(reservation.asset_id) || [];
+    const overlaps = slots.some(slot =>
+      slot.start_date < reservation.end_date && reservation.start_date < slot.end_date);
+    if (overlaps) {
+      released.push(reservation.id);
+    } else {
+      kept.set(reservation.asset_id, [...slots, reservation]);
+    }
+  }
+  return released;
+};
+
+const up = async (db) => {
+  const existing = await db.query(`SELECT to_regclass('reservations') AS name`);
+  if (!existing.rows[0].name) return;
+
+  const zeroLength = await db.query(
+    'SELECT id, start_date, end_date FROM reservations WHERE end_date <= start_date'
+  );
+  for (const reservation of zeroLength.rows) {
+    await db.query(
+      'UPDATE reservations SET end_date = $2, updated_at = NOW() WHERE id = $1',
+      [reservation.id, repairedEndDate(reservation)]
+    );
+  }
+
+  const holding = await db.query(
+    `SELECT id, asset_id, start_date, end_date FROM reservations
+     WHERE status != ALL($1)
+     ORDER BY asset_id, created_at, id`,
+    [RELEASED_STATUSES]
+  );
+
+  const released = overlappingReservations(holding.rows);
+  if (released.length > 0) {
+    await db.query('ALTER TABLE reservations ADD COLUMN IF NOT EXISTS decision_reason TEXT');
+    await db.query(
+      `UPDATE reservations SET status = 'cancelled', decision_reason = $2, updated_at = NOW()
+       WHERE id = ANY($1)`,
+      [released, OVERLAP_RELEASE_REASON]
+    );
+  }
+};
+
+// Repaired bookings keep their new end and status
+const down = async () => {};
+
+module.exports = { up, down, repairedEndDate, overlappingReservations };
@@ -0,0 +1,582 @@
+/**
+ * Baseline schema
+ * Everything scripts/init-db.js used to create. Statements are idempotent
+ * (IF NOT EXISTS), so databases set up by init-db adopt this migration as
+ * already-applied schema instead of failing on existing tables.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const up = async (db) => {
+  await db.query(`
+    -- Families table
+    CREATE TABLE IF NOT EXISTS families (
+      id UUID PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Users table
+    CREATE TABLE IF NOT EXISTS users (
+      id UUID PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      family_id UUID REFERENCES families(id),
+      tier INTEGER DEFAULT 4 CHECK (tier >= 1 AND tier <= 4),
+      avatar_url VARCHAR(500),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Family memberships: a user may belong to several families with a tier in each.
+    -- users.family_id and users.tier predate this table and are no longer read.
+    CREATE TABLE IF NOT EXISTS family_memberships (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE NOT NULL,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      tier INTEGER NOT NULL DEFAULT 4 CHECK (tier >= 1 AND tier <= 4),
+      active BOOLEAN DEFAULT TRUE,
+      deactivated_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (family_id, user_id)
+    );
+
+    -- Single-use, expiring invitations to join a family with a preset tier
+    CREATE TABLE IF NOT EXISTS family_invitations (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      tier INTEGER NOT NULL CHECK (tier >= 1 AND tier <= 4),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      invited_by UUID REFERENCES users(id),
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      accepted_by UUID REFERENCES users(id),
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Login sessions, one per device. Each holds a chain of rotating refresh tokens;
+    -- revoking the session ends every token in the chain.
+    CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      user_agent VARCHAR(500),
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_seen_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      revoked_reason VARCHAR(50)
+    );
+
+    -- Refresh tokens are single-use: refreshing marks the token used and issues the
+    -- next one. Presenting a used token again revokes its session.
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id UUID PRIMARY KEY,
+      session_id UUID REFERENCES sessions(id) ON DELETE CASCADE NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Single-use, expiring tokens mailed to a user: password resets and email
+    -- verification. Only the hash is stored.
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id UUID PRIMARY KEY,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- One-time recovery codes for two-factor login, stored as hashes
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id UUID PRIMARY KEY,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Assets table
+    CREATE TABLE IF NOT EXISTS assets (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      type VARCHAR(50) NOT NULL CHECK (type IN ('plane', 'boat', 'home', 'vehicle')),
+      location VARCHAR(255),
+      image_url VARCHAR(500),
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Reservations table
+    CREATE TABLE IF NOT EXISTS reservations (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) NOT NULL,
+      user_id UUID REFERENCES users(id) NOT NULL,
+      start_date TIMESTAMP NOT NULL,
+      end_date TIMESTAMP NOT NULL,
+      status VARCHAR(50) DEFAULT 'confirmed' CHECK (status IN ('pending', 'confirmed', 'active', 'completed', 'cancelled')),
+      notes TEXT,
+      metadata JSONB DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Periods an asset cannot be booked (owner use, imported external calendars)
+    CREATE TABLE IF NOT EXISTS asset_blackouts (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) ON DELETE CASCADE NOT NULL,
+      start_date TIMESTAMP NOT NULL,
+      end_date TIMESTAMP NOT NULL,
+      reason VARCHAR(255),
+      source VARCHAR(50) DEFAULT 'manual' CHECK (source IN ('manual', 'ics')),
+      external_uid VARCHAR(500),
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (end_date > start_date),
+      UNIQUE (asset_id, external_uid)
+    );
+
+    -- Subscribable calendar feeds, authenticated by a revocable token (stored hashed)
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id UUID PRIMARY KEY,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE,
+      name VARCHAR(255),
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Waitlist for booked-out slots. When the slot frees up, the first eligible
+    -- entry (by tier, then request time) is offered a 'held' reservation.
+    CREATE TABLE IF NOT EXISTS waitlist_entries (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) ON DELETE CASCADE NOT NULL,
+      user_id UUID REFERENCES users(id) NOT NULL,
+      start_date TIMESTAMP NOT NULL,
+      end_date TIMESTAMP NOT NULL,
+      notes TEXT,
+      status VARCHAR(50) DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'claimed', 'withdrawn', 'expired')),
+      reservation_id UUID REFERENCES reservations(id),
+      offered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CHECK (end_date > start_date)
+    );
+
+    -- Airports and ports that trip legs may use, managed by tier 1 members
+    CREATE TABLE IF NOT EXISTS catalog_entries (
+      id UUID PRIMARY KEY,
+      kind VARCHAR(20) NOT NULL CHECK (kind IN ('airport', 'port')),
+      code VARCHAR(10) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      city VARCHAR(255),
+      country VARCHAR(100),
+      timezone VARCHAR(64) NOT NULL,
+      latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+      longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (kind, code)
+    );
+
+    -- Plane and boat itineraries: one row per leg, in departure order
+    CREATE TABLE IF NOT EXISTS trip_legs (
+      id UUID PRIMARY KEY,
+      reservation_id UUID REFERENCES reservations(id) ON DELETE CASCADE NOT NULL,
+      leg_number INTEGER NOT NULL CHECK (leg_number >= 1),
+      origin_code VARCHAR(10) NOT NULL,
+      destination_code VARCHAR(10) NOT NULL,
+      departs_at TIMESTAMP NOT NULL,
+      arrives_at TIMESTAMP NOT NULL,
+      passengers INTEGER NOT NULL CHECK (passengers >= 1),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (reservation_id, leg_number),
+      CHECK (arrives_at > departs_at)
+    );
+
+    -- Recurring reservation series (RRULE); each occurrence is a reservations row
+    CREATE TABLE IF NOT EXISTS reservation_series (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) NOT NULL,
+      user_id UUID REFERENCES users(id) NOT NULL,
+      rrule TEXT NOT NULL,
+      start_date TIMESTAMP NOT NULL,
+      end_date TIMESTAMP NOT NULL,
+      notes TEXT,
+      metadata JSONB DEFAULT '{}',
+      status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Revision history of changes made to a reservation
+    CREATE TABLE IF NOT EXISTS reservation_revisions (
+      id UUID PRIMARY KEY,
+      reservation_id UUID REFERENCES reservations(id) ON DELETE CASCADE NOT NULL,
+      changed_by UUID REFERENCES users(id),
+      action VARCHAR(50) NOT NULL,
+      changes JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- In-app notifications
+    CREATE TABLE IF NOT EXISTS notifications (
+      id UUID PRIMARY KEY,
+      user_id UUID REFERENCES users(id) NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSONB DEFAULT '{}',
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Booking policies: advance-booking limits and fair-share quotas. A policy may be
+    -- scoped to one asset or asset type, and to a tier or an individual member.
+    -- Seasons are 'MM-DD' ranges and may wrap the new year.
+    CREATE TABLE IF NOT EXISTS booking_policies (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) NOT NULL,
+      kind VARCHAR(50) NOT NULL CHECK (kind IN ('advance_days', 'nights', 'hours', 'weekends', 'reservations')),
+      limit_value DECIMAL(10, 2) NOT NULL CHECK (limit_value >= 0),
+      period VARCHAR(20) CHECK (period IN ('month', 'quarter', 'year')),
+      asset_id UUID REFERENCES assets(id) ON DELETE CASCADE,
+      asset_type VARCHAR(50),
+      tier INTEGER CHECK (tier >= 1 AND tier <= 4),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      season_start CHAR(5),
+      season_end CHAR(5),
+      description VARCHAR(255),
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK ((kind = 'advance_days') = (period IS NULL)),
+      CHECK ((season_start IS NULL) = (season_end IS NULL))
+    );
+
+    -- Approval rules: bookings by members in [min_tier, max_tier] need an approver
+    -- of approver_tier or better. asset_id NULL applies to every family asset.
+    CREATE TABLE IF NOT EXISTS approval_rules (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) NOT NULL,
+      asset_id UUID REFERENCES assets(id) ON DELETE CASCADE,
+      min_tier INTEGER NOT NULL CHECK (min_tier >= 1 AND min_tier <= 4),
+      max_tier INTEGER NOT NULL CHECK (max_tier >= 1 AND max_tier <= 4),
+      approver_tier INTEGER NOT NULL CHECK (approver_tier >= 1 AND approver_tier <= 4),
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (min_tier <= max_tier)
+    );
+
+    -- Asset permissions: access levels beyond the numeric tier. A rule is scoped to
+    -- one asset, an asset type or every asset, and to a member, a tier or everyone.
+    -- The most specific member scope wins, then the most specific asset scope.
+    -- Without a rule tier 1 manages assets and other members book them.
+    CREATE TABLE IF NOT EXISTS asset_permissions (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) NOT NULL,
+      asset_id UUID REFERENCES assets(id) ON DELETE CASCADE,
+      asset_type VARCHAR(50),
+      tier INTEGER CHECK (tier >= 1 AND tier <= 4),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      access VARCHAR(20) NOT NULL CHECK (access IN ('none', 'view', 'request', 'book', 'manage')),
+      approver_tier INTEGER CHECK (approver_tier >= 1 AND approver_tier <= 4),
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (asset_id IS NULL OR asset_type IS NULL),
+      CHECK (tier IS NULL OR user_id IS NULL),
+      CHECK (approver_tier IS NULL OR access = 'request')
+    );
+
+    -- Maintenance tasks table
+    -- An open task (pending/in_progress) with a scheduled window blocks bookings
+    CREATE TABLE IF NOT EXISTS maintenance_tasks (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      due_date TIMESTAMP,
+      scheduled_start TIMESTAMP,
+      scheduled_end TIMESTAMP,
+      completed_at TIMESTAMP,
+      completed_by UUID REFERENCES users(id),
+      completion_notes TEXT,
+      status VARCHAR(50) DEFAULT 'pending',
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Usage logs table (for tracking hours, miles, etc.)
+    -- Each row is a meter reading taken at check-out or check-in
+    CREATE TABLE IF NOT EXISTS usage_logs (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) NOT NULL,
+      reservation_id UUID REFERENCES reservations(id),
+      metric_type VARCHAR(50) NOT NULL,
+      value DECIMAL(10, 2) NOT NULL,
+      phase VARCHAR(20) CHECK (phase IN ('check_out', 'check_in')),
+      recorded_by UUID REFERENCES users(id),
+      recorded_at TIMESTAMP DEFAULT NOW(),
+      notes TEXT
+    );
+
+    -- Service intervals (e.g. every 100 engine hours) that raise maintenance tasks
+    CREATE TABLE IF NOT EXISTS service_intervals (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) NOT NULL,
+      metric_type VARCHAR(50) NOT NULL,
+      interval_value DECIMAL(10, 2) NOT NULL CHECK (interval_value > 0),
+      title VARCHAR(255) NOT NULL,
+      description TEXT,
+      last_service_reading DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Photo gallery of an asset; the files themselves live in the storage adapter
+    CREATE TABLE IF NOT EXISTS asset_images (
+      id UUID PRIMARY KEY,
+      asset_id UUID REFERENCES assets(id) ON DELETE CASCADE NOT NULL,
+      storage_key VARCHAR(500) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      caption VARCHAR(255),
+      position INTEGER NOT NULL DEFAULT 0,
+      is_cover BOOLEAN NOT NULL DEFAULT FALSE,
+      uploaded_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Create indexes
+    CREATE INDEX IF NOT EXISTS idx_users_family ON users(family_id);
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    CREATE INDEX IF NOT EXISTS idx_assets_family ON assets(family_id);
+    CREATE INDEX IF NOT EXISTS idx_assets_type ON assets(type);
+    CREATE INDEX IF NOT EXISTS idx_reservations_asset ON reservations(asset_id);
+    CREATE INDEX IF NOT EXISTS idx_reservations_user ON reservations(user_id);
+    CREATE INDEX IF NOT EXISTS idx_reservations_dates ON reservations(start_date, end_date);
+    CREATE INDEX IF NOT EXISTS idx_reservations_status ON reservations(status);
+  `);
+
+  // Bring tables created by earlier versions of init-db up to date
+  await db.query(`
+    CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT TRUE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+
+    -- Sessions started before the last password change are no longer valid
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+    -- Accounts from before email verification count as verified: the column is
+    -- filled in for them when it is added, and new accounts start unverified
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT NOW();
+    ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT;
+
+    -- Two-factor authentication. Secrets are encrypted; the pending secret waits
+    -- for the first code from the authenticator app. totp_last_counter stops a
+    -- code from being used twice.
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT;
+
+    -- Lockout after repeated failed sign-in attempts
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+    -- Members with tier <= mfa_required_tier must use two-factor sign-in (2 covers tiers 1 and 2)
+    ALTER TABLE families ADD COLUMN IF NOT EXISTS mfa_required_tier INTEGER CHECK (mfa_required_tier >= 1 AND mfa_required_tier <= 4);
+
+    -- Feeds show the family they were created in
+    ALTER TABLE calendar_feeds ADD COLUMN IF NOT EXISTS family_id UUID REFERENCES families(id) ON DELETE CASCADE;
+    UPDATE calendar_feeds f SET family_id = u.family_id
+      FROM users u WHERE f.user_id = u.id AND f.family_id IS NULL;
+
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS scheduled_start TIMESTAMP;
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS scheduled_end TIMESTAMP;
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES users(id);
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS completion_notes TEXT;
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id);
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+    ALTER TABLE maintenance_tasks ADD COLUMN IF NOT EXISTS service_interval_id UUID REFERENCES service_intervals(id) ON DELETE SET NULL;
+
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS approver_tier INTEGER;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS decided_by UUID REFERENCES users(id);
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS decision_reason TEXT;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES reservation_series(id);
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS occurrence_start TIMESTAMP;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS is_exception BOOLEAN DEFAULT FALSE;
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS bumped_by UUID REFERENCES reservations(id);
+    ALTER TABLE reservations ADD COLUMN IF NOT EXISTS bumped_at TIMESTAMP;
+    ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+    ALTER TABLE reservations ADD CONSTRAINT reservations_status_check
+      CHECK (status IN ('pending', 'held', 'confirmed', 'active', 'completed', 'cancelled', 'rejected', 'expired', 'bumped'));
+
+    -- No two slot-holding reservations may overlap on the same asset. Keep the
+    -- status list in sync with RELEASED_STATUSES_SQL in server.js.
+    ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_dates_check;
+    ALTER TABLE reservations ADD CONSTRAINT reservations_dates_check CHECK (end_date > start_date);
+    ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_no_overlap;
+    ALTER TABLE reservations ADD CONSTRAINT reservations_no_overlap
+      EXCLUDE USING gist (asset_id WITH =, tsrange(start_date, end_date) WITH &&)
+      WHERE (status NOT IN ('cancelled', 'rejected', 'expired', 'bumped'));
+
+    -- Priority bumping policy: opt-in per asset, with a minimum notice before the displaced start
+    ALTER TABLE assets ADD COLUMN IF NOT EXISTS bump_enabled BOOLEAN DEFAULT FALSE;
+    ALTER TABLE assets ADD COLUMN IF NOT EXISTS bump_notice_days INTEGER DEFAULT 14 CHECK (bump_notice_days >= 0);
+
+    -- Archived assets (sold, retired) keep their history but can no longer be booked
+    ALTER TABLE assets ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+    ALTER TABLE assets ADD COLUMN IF NOT EXISTS archived_by UUID REFERENCES users(id);
+    ALTER TABLE assets ADD COLUMN IF NOT EXISTS archive_reason VARCHAR(255);
+
+    ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS phase VARCHAR(20) CHECK (phase IN ('check_out', 'check_in'));
+    ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS recorded_by UUID REFERENCES users(id);
+
+    ALTER TABLE maintenance_tasks DROP CONSTRAINT IF EXISTS maintenance_tasks_status_check;
+    ALTER TABLE maintenance_tasks ADD CONSTRAINT maintenance_tasks_status_check
+      CHECK (status IN ('pending', 'in_progress', 'completed', 'cancelled'));
+    ALTER TABLE maintenance_tasks DROP CONSTRAINT IF EXISTS maintenance_tasks_window_check;
+    ALTER TABLE maintenance_tasks ADD CONSTRAINT maintenance_tasks_window_check
+      CHECK (scheduled_start IS NULL OR scheduled_end IS NULL OR scheduled_end > scheduled_start);
+
+    CREATE INDEX IF NOT EXISTS idx_maintenance_asset ON maintenance_tasks(asset_id);
+    CREATE INDEX IF NOT EXISTS idx_maintenance_window ON maintenance_tasks(scheduled_start, scheduled_end);
+    CREATE INDEX IF NOT EXISTS idx_usage_logs_asset ON usage_logs(asset_id, metric_type, recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_logs_reservation ON usage_logs(reservation_id);
+    CREATE INDEX IF NOT EXISTS idx_service_intervals_asset ON service_intervals(asset_id);
+    CREATE INDEX IF NOT EXISTS idx_blackouts_asset ON asset_blackouts(asset_id, start_date, end_date);
+    CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id);
+    CREATE INDEX IF NOT EXISTS idx_waitlist_asset ON waitlist_entries(asset_id, status, start_date);
+    CREATE INDEX IF NOT EXISTS idx_waitlist_user ON waitlist_entries(user_id);
+    CREATE INDEX IF NOT EXISTS idx_reservations_held ON reservations(expires_at) WHERE status = 'held';
+    CREATE INDEX IF NOT EXISTS idx_reservations_series ON reservations(series_id, occurrence_start);
+    CREATE INDEX IF NOT EXISTS idx_reservation_revisions ON reservation_revisions(reservation_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_booking_policies_family ON booking_policies(family_id);
+    CREATE INDEX IF NOT EXISTS idx_approval_rules_family ON approval_rules(family_id);
+    CREATE INDEX IF NOT EXISTS idx_asset_permissions_family ON asset_permissions(family_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id) WHERE revoked_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+    CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, purpose);
+    CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+    CREATE INDEX IF NOT EXISTS idx_reservations_pending ON reservations(expires_at) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_trip_legs_reservation ON trip_legs(reservation_id, leg_number);
+    CREATE INDEX IF NOT EXISTS idx_family_memberships_user ON family_memberships(user_id);
+    CREATE INDEX IF NOT EXISTS idx_family_invitations_family ON family_invitations(family_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_catalog_entries_name ON catalog_entries(kind, LOWER(name));
+    CREATE INDEX IF NOT EXISTS idx_asset_images_asset ON asset_images(asset_id, position);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_asset_images_cover ON asset_images(asset_id) WHERE is_cover;
+  `);
+
+  // Starting airport and port catalog (previously hard-coded in server.js)
+  const catalog = [
+    ['airport', 'PTY', 'Tocumen International', 'Panama City', 'Panama', 'America/Panama', 9.0714, -79.3835],
+    ['airport', 'SJO', 'Juan Santamaría International', 'San José', 'Costa Rica', 'America/Costa_Rica', 9.9939, -84.2088],
+    ['airport', 'BOG', 'El Dorado International', 'Bogotá', 'Colombia', 'America/Bogota', 4.7016, -74.1469],
+    ['airport', 'MDE', 'José María Córdova International', 'Medellín', 'Colombia', 'America/Bogota', 6.1645, -75.4231],
+    ['airport', 'CTG', 'Rafael Núñez International', 'Cartagena', 'Colombia', 'America/Bogota', 10.4424, -75.5130],
+    ['airport', 'MIA', 'Miami International', 'Miami', 'USA', 'America/New_York', 25.7959, -80.2870],
+    ['airport', 'FLL', 'Fort Lauderdale-Hollywood', 'Fort Lauderdale', 'USA', 'America/New_York', 26.0726, -80.1527],
+    ['airport', 'GUA', 'La Aurora International', 'Guatemala City', 'Guatemala', 'America/Guatemala', 14.5833, -90.5275],
+    ['port', 'FLM', 'Flamenco Marina', 'Panama City', 'Panama', 'America/Panama', 8.9120, -79.5205],
+    ['port', 'BLB', 'Balboa Yacht Club', 'Panama City', 'Panama', 'America/Panama', 8.9335, -79.5530],
+    ['port', 'SBL', 'Shelter Bay Marina', 'Colón', 'Panama', 'America/Panama', 9.3690, -79.9510],
+    ['port', 'BDT', 'Bocas Marina', 'Bocas del Toro', 'Panama', 'America/Panama', 9.3400, -82.2420],
+    ['port', 'PVR', 'Puerto Velero', 'Barranquilla', 'Colombia', 'America/Bogota', 10.9390, -75.0290],
+    ['port', 'CTG', 'Club Náutico', 'Cartagena', 'Colombia', 'America/Bogota', 10.4080, -75.5420]
+  ];
+  for (const entry of catalog) {
+    await db.query(
+      `INSERT INTO catalog_entries (id, kind, code, name, city, country, timezone, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (kind, code) DO NOTHING`,
+      [uuidv4(), ...entry]
+    );
+  }
+
+  // Copy single-family users (users.family_id/tier) into memberships. Member
+  // deactivation used to lock the whole account; it now applies per family.
+  const legacyMembers = await db.query(`
+    SELECT u.id, u.family_id, u.tier, u.active, u.deactivated_at FROM users u
+    WHERE u.family_id IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM family_memberships m WHERE m.user_id = u.id AND m.family_id = u.family_id)
+  `);
+  for (const member of legacyMembers.rows) {
+    await db.query(
+      `INSERT INTO family_memberships (id, family_id, user_id, tier, active, deactivated_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [uuidv4(), member.family_id, member.id, member.tier || 4, member.active !== false, member.deactivated_at]
+    );
+    await db.query('UPDATE users SET active = TRUE, deactivated_at = NULL WHERE id = $1', [member.id]);
+  }
+
+  // Plane bookings used to keep their route as metadata.departure/arrival;
+  // turn those into a single leg spanning the reservation
+  const legacyTrips = await db.query(`
+    SELECT r.id, r.start_date, r.end_date, r.metadata FROM reservations r
+    WHERE r.metadata ? 'departure' AND r.metadata ? 'arrival'
+    AND NOT EXISTS (SELECT 1 FROM trip_legs l WHERE l.reservation_id = r.id)
+  `);
+  for (const trip of legacyTrips.rows) {
+    await db.query(
+      `INSERT INTO trip_legs (id, reservation_id, leg_number, origin_code, destination_code, departs_at, arrives_at, passengers)
+       VALUES ($1, $2, 1, $3, $4, $5, $6, 1)`,
+      [uuidv4(), trip.id, trip.metadata.departure, trip.metadata.arrival, trip.start_date, trip.end_date]
+    );
+  }
+};
+
+// Drops every application table and its data
+const down = async (db) => {
+  await db.query(`
+    DROP TABLE IF EXISTS
+      asset_images,
+      service_intervals,
+      usage_logs,
+      maintenance_tasks,
+      asset_permissions,
+      approval_rules,
+      booking_policies,
+      notifications,
+      reservation_revisions,
+      reservation_series,
+      trip_legs,
+      catalog_entries,
+      waitlist_entries,
+      calendar_feeds,
+      asset_blackouts,
+      reservations,
+      assets,
+      recovery_codes,
+      user_tokens,
+      refresh_tokens,
+      sessions,
+      family_invitations,
+      family_memberships,
+      users,
+      families
+    CASCADE
+  `);
+};
+
+module.exports = { up, down };
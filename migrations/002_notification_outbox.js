@@ -0,0 +1,63 @@
+/**
+ * Notification channels
+ * Per-event channel preferences, quiet hours and a webhook URL per member, an
+ * outbox of email and webhook deliveries, and markers so reservation reminders
+ * go out once.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    -- A member's channels for one event type, overriding its defaults
+    CREATE TABLE notification_preferences (
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      channels TEXT[] NOT NULL DEFAULT '{}',
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (user_id, event_type)
+    );
+
+    -- Quiet hours are 'HH:MM' wall-clock times in the member's timezone
+    CREATE TABLE notification_settings (
+      user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      quiet_start VARCHAR(5),
+      quiet_end VARCHAR(5),
+      timezone VARCHAR(64),
+      webhook_url VARCHAR(2000),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    -- Email and webhook deliveries, written in the same transaction as the event
+    -- and sent by the background jobs. In-app notifications need no delivery.
+    CREATE TABLE notification_outbox (
+      id UUID PRIMARY KEY,
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+      notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+      event_type VARCHAR(100) NOT NULL,
+      channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'webhook')),
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    ALTER TABLE reservations ADD COLUMN start_reminder_sent_at TIMESTAMP;
+    ALTER TABLE reservations ADD COLUMN overdue_notified_at TIMESTAMP;
+
+    CREATE INDEX idx_notification_outbox_due ON notification_outbox(next_attempt_at) WHERE status = 'pending';
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE reservations DROP COLUMN IF EXISTS overdue_notified_at;
+    ALTER TABLE reservations DROP COLUMN IF EXISTS start_reminder_sent_at;
+    DROP TABLE IF EXISTS notification_outbox;
+    DROP TABLE IF EXISTS notification_settings;
+    DROP TABLE IF EXISTS notification_preferences;
+  `);
+};
+
+module.exports = { up, down };
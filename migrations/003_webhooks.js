@@ -0,0 +1,53 @@
+/**
+ * Family webhooks
+ * Endpoints registered by tier 1 members and one delivery row per event and
+ * endpoint. Deliveries that run out of retries stay behind as 'dead', which is
+ * the dead-letter log.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE webhook_endpoints (
+      id UUID PRIMARY KEY,
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE NOT NULL,
+      url VARCHAR(2000) NOT NULL,
+      description VARCHAR(255),
+      events TEXT[] NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by UUID REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE webhook_deliveries (
+      id UUID PRIMARY KEY,
+      endpoint_id UUID REFERENCES webhook_endpoints(id) ON DELETE CASCADE NOT NULL,
+      event_id UUID NOT NULL,
+      event_type VARCHAR(100) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP,
+      last_attempt_at TIMESTAMP,
+      last_status_code INTEGER,
+      last_error TEXT,
+      last_duration_ms INTEGER,
+      delivered_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_webhook_endpoints_family ON webhook_endpoints(family_id);
+    CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhook_endpoints;
+  `);
+};
+
+module.exports = { up, down };
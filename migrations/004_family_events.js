@@ -0,0 +1,28 @@
+/**
+ * Family event log
+ * Reservation and asset changes, in the order they were recorded. Real-time
+ * streams resume from a seq after reconnecting; old events are pruned by the
+ * background jobs.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE family_events (
+      seq BIGSERIAL PRIMARY KEY,
+      id UUID UNIQUE NOT NULL,
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      data JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX idx_family_events_family ON family_events(family_id, seq);
+    CREATE INDEX idx_family_events_created ON family_events(created_at);
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS family_events');
+};
+
+module.exports = { up, down };
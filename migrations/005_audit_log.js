@@ -0,0 +1,74 @@
+/**
+ * Audit log
+ * One row per audited request, hash-chained per family or user (see
+ * lib/audit.js). The table is append-only: a trigger rejects UPDATE, DELETE and
+ * TRUNCATE, except the retention job's deletes of old rows, whose chains keep a
+ * checkpoint of the last pruned hash. There are no foreign keys, so removing a
+ * user or family keeps its history.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE audit_log (
+      seq BIGSERIAL PRIMARY KEY,
+      id UUID UNIQUE NOT NULL,
+      chain VARCHAR(100) NOT NULL,
+      family_id UUID,
+      actor_id UUID,
+      action VARCHAR(200) NOT NULL,
+      entity_type VARCHAR(50),
+      entity_id UUID,
+      changes JSONB,
+      ip_address VARCHAR(64),
+      user_agent VARCHAR(500),
+      request_id VARCHAR(100),
+      status_code INTEGER NOT NULL,
+      prev_hash CHAR(64) NOT NULL,
+      hash CHAR(64) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE TABLE audit_log_checkpoints (
+      chain VARCHAR(100) PRIMARY KEY,
+      pruned_through_seq BIGINT NOT NULL,
+      last_hash CHAR(64) NOT NULL,
+      pruned_count BIGINT NOT NULL,
+      pruned_at TIMESTAMPTZ NOT NULL
+    );
+
+    -- Only the retention job deletes, with audit_log.pruning set for its transaction
+    CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'DELETE' AND current_setting('audit_log.pruning', true) = 'on' THEN
+        RETURN OLD;
+      END IF;
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER audit_log_no_update_or_delete
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+    CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+    CREATE INDEX idx_audit_log_chain ON audit_log(chain, seq);
+    CREATE INDEX idx_audit_log_failures ON audit_log(chain, created_at) WHERE status_code >= 400;
+    CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+    CREATE INDEX idx_audit_log_family ON audit_log(family_id, seq);
+    CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, seq);
+    CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id);
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    DROP TABLE IF EXISTS audit_log;
+    DROP TABLE IF EXISTS audit_log_checkpoints;
+    DROP FUNCTION IF EXISTS audit_log_append_only();
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+/**
+ * Series booking horizon
+ * Open-ended recurring series are booked only as far ahead as their owner may
+ * book. booked_until records how far that was, so the background jobs can book
+ * the occurrences that come into the window later.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE reservation_series ADD COLUMN booked_until TIMESTAMP;
+
+    -- Open-ended series (no UNTIL or COUNT) created so far were booked up to
+    -- their latest occurrence
+    UPDATE reservation_series s SET booked_until = COALESCE(
+      (SELECT MAX(r.occurrence_start) FROM reservations r WHERE r.series_id = s.id),
+      s.start_date
+    )
+    WHERE s.status = 'active' AND s.rrule !~* '(UNTIL|COUNT)=';
+  `);
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE reservation_series DROP COLUMN IF EXISTS booked_until');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+/**
+ * Platform admins
+ * The airport and port catalogs are shared by every family, so managing them
+ * is not up to a family's tier 1 members. users.platform_admin marks the
+ * operators who may; it is granted directly in the database (or by the seed).
+ */
+
+const up = async (db) => {
+  await db.query('ALTER TABLE users ADD COLUMN platform_admin BOOLEAN NOT NULL DEFAULT FALSE');
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE users DROP COLUMN IF EXISTS platform_admin');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+/**
+ * Family events numbered at commit
+ * Streams resume with "events after seq N", which only works if seq order is
+ * the order events become visible. A BIGSERIAL default numbers them when they
+ * are inserted, so a long transaction could commit event 11 after a client
+ * already saw 12 and moved on. Events are now inserted without a seq; a
+ * deferred trigger numbers them just before their transaction commits, one
+ * transaction at a time.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE family_events
+      DROP CONSTRAINT family_events_pkey,
+      ALTER COLUMN seq DROP NOT NULL,
+      ALTER COLUMN seq DROP DEFAULT,
+      ADD PRIMARY KEY (id);
+
+    CREATE UNIQUE INDEX idx_family_events_seq ON family_events(seq);
+
+    -- The lock is held until the commit finishes, so the next transaction
+    -- numbers its events only once these are visible
+    CREATE FUNCTION family_events_number() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_advisory_xact_lock(hashtext('family_events:seq'));
+      UPDATE family_events SET seq = nextval('family_events_seq_seq') WHERE id = NEW.id;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE CONSTRAINT TRIGGER family_events_number_at_commit
+      AFTER INSERT ON family_events
+      DEFERRABLE INITIALLY DEFERRED
+      FOR EACH ROW EXECUTE FUNCTION family_events_number();
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    DROP TRIGGER IF EXISTS family_events_number_at_commit ON family_events;
+    DROP FUNCTION IF EXISTS family_events_number();
+    DROP INDEX IF EXISTS idx_family_events_seq;
+
+    DELETE FROM family_events WHERE seq IS NULL;
+    ALTER TABLE family_events
+      DROP CONSTRAINT family_events_pkey,
+      ALTER COLUMN seq SET DEFAULT nextval('family_events_seq_seq'),
+      ALTER COLUMN seq SET NOT NULL,
+      ADD PRIMARY KEY (seq);
+  `);
+};
+
+module.exports = { up, down };
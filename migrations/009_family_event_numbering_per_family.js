@@ -0,0 +1,37 @@
+/**
+ * Family events numbered per family
+ * Migration 008 numbers events at commit under one lock for all families, so
+ * every transaction emitting an event waits for every other one to commit.
+ * Streams only read one family's events, so the order only has to hold within
+ * a family: the lock is now taken per family. Seqs still come from the shared
+ * sequence; across families they no longer follow commit order, so readers
+ * must compare them per family only.
+ */
+
+const up = async (db) => {
+  await db.query(`
+    -- The lock is held until the commit finishes, so the family's next
+    -- transaction numbers its events only once these are visible
+    CREATE OR REPLACE FUNCTION family_events_number() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_advisory_xact_lock(hashtext('family_events:' || NEW.family_id));
+      UPDATE family_events SET seq = nextval('family_events_seq_seq') WHERE id = NEW.id;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    CREATE OR REPLACE FUNCTION family_events_number() RETURNS trigger AS $$
+    BEGIN
+      PERFORM pg_advisory_xact_lock(hashtext('family_events:seq'));
+      UPDATE family_events SET seq = nextval('family_events_seq_seq') WHERE id = NEW.id;
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+};
+
+module.exports = { up, down };
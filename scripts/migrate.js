@@ -0,0 +1,98 @@
+/**
+ * Database Migrations
+ * Applies, reverts and lists the versioned migrations in migrations/.
+ *
+ * Usage:
+ *   node scripts/migrate.js [migrate] [--to VERSION]
+ *   node scripts/migrate.js rollback [--steps N | --to VERSION] [--yes]
+ *   node scripts/migrate.js status
+ *
+ * Rolling back in production drops data, so it also needs --yes there.
+ */
+
+const path = require('path');
+const { Pool } = require('pg');
+const { createMigrator, MigrationError } = require('../lib/migrator');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+const parseArgs = (argv) => {
+  const args = { command: 'migrate', yes: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to') args.to = argv[++i];
+    else if (arg === '--steps') args.steps = Number(argv[++i]);
+    else if (arg === '--yes') args.yes = true;
+    else if (!arg.startsWith('--')) args.command = arg;
+    else throw new MigrationError(`Unknown option ${arg}`);
+  }
+
+  if (args.to !== undefined && !/^\d+$/.test(args.to)) {
+    throw new MigrationError('--to must be a migration version, e.g. 003');
+  }
+  if (args.steps !== undefined && (!Number.isInteger(args.steps) || args.steps < 1)) {
+    throw new MigrationError('--steps must be a positive integer');
+  }
+  return args;
+};
+
+const printStatus = (entries) => {
+  if (entries.length === 0) {
+    console.log('No migrations found.');
+    return;
+  }
+  for (const entry of entries) {
+    const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : '';
+    console.log(`  ${entry.state.padEnd(8)} ${`${entry.version}_${entry.name}`.padEnd(40)} ${appliedAt}`);
+  }
+};
+
+/**
+ * Bring the database up to date (or to version `to`). Used by the CLI and by
+ * scripts/init-db.js.
+ */
+async function runMigrations(pool, { to } = {}) {
+  const migrator = createMigrator({ pool, dir: MIGRATIONS_DIR, log: console.log });
+  const applied = await migrator.migrate({ to });
+  console.log(applied.length > 0
+    ? `✅ Applied ${applied.length} migration(s)\n`
+    : 'ℹ️  Database schema is up to date\n');
+  return applied;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  const migrator = createMigrator({ pool, dir: MIGRATIONS_DIR, log: console.log });
+
+  try {
+    if (args.command === 'migrate') {
+      await runMigrations(pool, { to: args.to });
+    } else if (args.command === 'rollback') {
+      if (process.env.NODE_ENV === 'production' && !args.yes) {
+        throw new MigrationError('Rolling back in production drops data; pass --yes to confirm');
+      }
+      const reverted = await migrator.rollback({ steps: args.steps, to: args.to });
+      console.log(`✅ Rolled back ${reverted.length} migration(s)\n`);
+    } else if (args.command === 'status') {
+      printStatus(await migrator.status());
+    } else {
+      throw new MigrationError(`Unknown command ${args.command}; use migrate, rollback or status`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error('❌ Migration failed:', error instanceof MigrationError ? error.message : error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { runMigrations };
@@ -0,0 +1,211 @@
+/**
+ * Demo Data Seed
+ * Creates the Mendoza Family Trust demo family with members, assets and a few
+ * reservations. Safe to run repeatedly: it does nothing once the family exists.
+ * Run it after migrating, only in environments that should have demo data.
+ *
+ * Usage: node scripts/seed.js
+ */
+
+const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+async function seedDemoData(db) {
+  const existingFamily = await db.query("SELECT id FROM families WHERE name = 'Mendoza Family Trust'");
+
+  if (existingFamily.rows.length > 0) {
+    console.log('ℹ️  Demo data already exists. Skipping seed data.\n');
+    return false;
+  }
+
+  console.log('🌱 Inserting demo data...');
+  
+  // Create demo family
+  const familyId = uuidv4();
+  await db.query(
+    'INSERT INTO families (id, name) VALUES ($1, $2)',
+    [familyId, 'Mendoza Family Trust']
+  );
+
+  // Create demo users
+  const hashedPassword = await bcrypt.hash('demo123', 10);
+  
+  const users = [
+    { name: 'Carlos Mendoza', email: 'carlos@mendoza.family', tier: 1, platformAdmin: true },
+    { name: 'Maria Mendoza', email: 'maria@mendoza.family', tier: 2 },
+    { name: 'Ana Mendoza', email: 'ana@mendoza.family', tier: 3 },
+    { name: 'Juan Mendoza', email: 'juan@mendoza.family', tier: 4 }
+  ];
+
+  const userIds = [];
+  for (const user of users) {
+    const userId = uuidv4();
+    userIds.push(userId);
+    await db.query(
+      'INSERT INTO users (id, email, password_hash, name, email_verified_at, platform_admin) VALUES ($1, $2, $3, $4, NOW(), $5)',
+      [userId, user.email, hashedPassword, user.name, Boolean(user.platformAdmin)]
+    );
+    await db.query(
+      'INSERT INTO family_memberships (id, family_id, user_id, tier) VALUES ($1, $2, $3, $4)',
+      [uuidv4(), familyId, userId, user.tier]
+    );
+  }
+
+  // Create demo assets
+  const assets = [
+    {
+      name: 'Citation CJ4',
+      type: 'plane',
+      location: 'PTY - Tocumen Intl',
+      image_url: 'https://images.unsplash.com/photo-1540962351504-03099e0a754b?w=800',
+      metadata: { cruiseSpeed: 451, range: '2,165 nm', passengers: 8, tailNumber: 'HP-001' }
+    },
+    {
+      name: 'Azimut 55',
+      type: 'boat',
+      location: 'Flamenco Marina',
+      image_url: 'https://images.unsplash.com/photo-1567899378494-47b22a2ae96a?w=800',
+      metadata: { length: '55 ft', engineHours: 342, passengers: 12, hullId: 'AZM-055-PTY' }
+    },
+    {
+      name: 'Boquete Mountain Retreat',
+      type: 'home',
+      location: 'Boquete, Chiriquí',
+      image_url: 'https://images.unsplash.com/photo-1518780664697-55e3ad937233?w=800',
+      metadata: { bedrooms: 5, bathrooms: 4, sqft: 4200 }
+    },
+    {
+      name: 'Bocas Beach Villa',
+      type: 'home',
+      location: 'Bocas del Toro',
+      image_url: 'https://images.unsplash.com/photo-1499793983690-e29da59ef1c2?w=800',
+      metadata: { bedrooms: 4, bathrooms: 3, sqft: 3100 }
+    },
+    {
+      name: 'Range Rover Autobiography',
+      type: 'vehicle',
+      location: 'Punta Pacifica Garage',
+      image_url: 'https://images.unsplash.com/photo-1606664515524-ed2f786a0bd6?w=800',
+      metadata: { year: 2024, seats: 5, plate: 'PTY-001' }
+    }
+  ];
+
+  const assetIds = [];
+  for (const asset of assets) {
+    const assetId = uuidv4();
+    assetIds.push(assetId);
+    await db.query(
+      'INSERT INTO assets (id, family_id, name, type, location, image_url, metadata) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [assetId, familyId, asset.name, asset.type, asset.location, asset.image_url, asset.metadata]
+    );
+  }
+
+  // Tier 4 members can book the homes but only look at the plane and the car
+  for (const assetType of ['plane', 'vehicle']) {
+    await db.query(
+      'INSERT INTO asset_permissions (id, family_id, asset_type, tier, access, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+      [uuidv4(), familyId, assetType, 4, 'view', userIds[0]]
+    );
+  }
+
+  // Create demo reservations
+  const today = new Date();
+  const reservations = [
+    {
+      assetIndex: 2, // Boquete home
+      userIndex: 1,  // Maria
+      startOffset: -2,
+      endOffset: 3,
+      status: 'active'
+    },
+    {
+      assetIndex: 0, // Plane
+      userIndex: 0,  // Carlos
+      startOffset: 7,
+      endOffset: 8,
+      status: 'confirmed',
+      legs: [
+        { origin: 'PTY', destination: 'SJO', dayOffset: 7, departs: 9, arrives: 10, passengers: 4 },
+        { origin: 'SJO', destination: 'PTY', dayOffset: 8, departs: 16, arrives: 17, passengers: 4 }
+      ]
+    },
+    {
+      assetIndex: 1, // Boat
+      userIndex: 2,  // Ana
+      startOffset: 14,
+      endOffset: 16,
+      status: 'confirmed'
+    }
+  ];
+
+  for (const res of reservations) {
+    const legs = (res.legs || []).map(leg => ({
+      ...leg,
+      departsAt: new Date(today.getFullYear(), today.getMonth(), today.getDate() + leg.dayOffset, leg.departs),
+      arrivesAt: new Date(today.getFullYear(), today.getMonth(), today.getDate() + leg.dayOffset, leg.arrives)
+    }));
+
+    // Trips with legs run from the first departure to the last arrival
+    const startDate = new Date(today);
+    startDate.setDate(startDate.getDate() + res.startOffset);
+    const endDate = new Date(today);
+    endDate.setDate(endDate.getDate() + res.endOffset);
+    if (legs.length > 0) {
+      startDate.setTime(legs[0].departsAt.getTime());
+      endDate.setTime(legs[legs.length - 1].arrivesAt.getTime());
+    }
+    
+    const reservationId = uuidv4();
+    await db.query(
+      'INSERT INTO reservations (id, asset_id, user_id, start_date, end_date, status, metadata) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+      [reservationId, assetIds[res.assetIndex], userIds[res.userIndex], startDate, endDate, res.status, res.metadata || {}]
+    );
+
+    for (const [index, leg] of legs.entries()) {
+      await db.query(
+        'INSERT INTO trip_legs (id, reservation_id, leg_number, origin_code, destination_code, departs_at, arrives_at, passengers) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+        [uuidv4(), reservationId, index + 1, leg.origin, leg.destination, leg.departsAt, leg.arrivesAt, leg.passengers]
+      );
+    }
+  }
+
+  console.log('✅ Demo data inserted successfully\n');
+  console.log('📧 Demo accounts created:');
+  console.log('   Email: carlos@mendoza.family (Tier 1 - Admin)');
+  console.log('   Email: maria@mendoza.family (Tier 2)');
+  console.log('   Email: ana@mendoza.family (Tier 3)');
+  console.log('   Email: juan@mendoza.family (Tier 4)');
+  console.log('   Password for all: demo123\n');
+
+  return true;
+}
+
+// Seeds in one transaction so a failed run leaves nothing half-inserted
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await seedDemoData(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Seeding failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { seedDemoData };
@@ -3,9 +3,46 @@ const cors = require('cors');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
+const { RRuleError, parseRRule, formatRRule, expandRRule } = require('./lib/rrule');
+const { IcsError, formatCalendar, parseCalendar } = require('./lib/ics');
+const { TRIP_ASSET_TYPES, ItineraryError, validateLegs, itineraryEvents } = require('./lib/itinerary');
+const { CatalogError, isValidTimezone, parseCatalogCsv, validateEntry, distanceNm } = require('./lib/catalog');
+const { ACCESS_LEVELS, hasAccess, resolveAccess, describePermission } = require('./lib/permissions');
+const { createMailer } = require('./lib/mailer');
+const { CHANNELS, EVENT_TYPES, TIME_PATTERN, channelsFor, quietHoursEnd, nextRetryAt } = require('./lib/notifications');
+const { WEBHOOK_EVENTS, TEST_EVENT, WebhookUrlError, generateWebhookSecret, subscribes, signPayload, nextAttemptAt, webhookUrlProblem, postWebhook } = require('./lib/webhooks');
+const { createEventHub, formatSse } = require('./lib/realtime');
+const { GENESIS_HASH, auditChain, diffChanges, hashEntry, verifyChain, formatCsv } = require('./lib/audit');
+const { passwordProblem } = require('./lib/password');
+const { specProblems } = require('./lib/specs');
+const { IMAGE_CONTENT_TYPES, createStorage, detectImageType } = require('./lib/storage');
+const v = require('./lib/validate');
+const {
+  generateSecret,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('./lib/totp');
+const {
+  POLICY_KINDS,
+  POLICY_PERIODS,
+  SEASON_PATTERN,
+  UNITS,
+  periodBounds,
+  periodsTouched,
+  measureUsage,
+  selectPolicies,
+  maxDaysAhead,
+  describePolicy
+} = require('./lib/quota');
+
 const app = express();
 
 // =============================================================================
@@ -13,30 +50,354 @@ const app = express();
 // =============================================================================
 
 const PORT = process.env.PORT || 3001;
+
+// The fallback secret is public, so tokens signed with it would be forgeable
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('❌ JWT_SECRET must be set in production. Refusing to start.');
+  process.exit(1);
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Access tokens are short-lived JWTs; refresh tokens rotate on every use and
+// keep a session alive for REFRESH_TOKEN_TTL_DAYS after it was last refreshed
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Sign-in hardening: accounts lock for LOCKOUT_MINUTES after MAX_LOGIN_ATTEMPTS
+// failed passwords or codes in a row, and the step between password and
+// two-factor code must be finished within MFA_CHALLENGE_TTL
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const MFA_CHALLENGE_TTL = '5m';
+const TOTP_ISSUER = 'ReservePTY';
+
+// Links mailed for account recovery and email verification
+const APP_URL = process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+
+// MAIL_TRANSPORT is 'console' (default), 'file' (appends to MAIL_FILE) or a module path.
+// Console mail would leave reset and verification links in the server logs.
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  console.error('❌ MAIL_TRANSPORT must be set in production. Refusing to start.');
+  process.exit(1);
+}
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM,
+  file: process.env.MAIL_FILE
+});
+
+// Asset photos. STORAGE_DRIVER is 'local' (default: files under STORAGE_DIR,
+// served at /uploads) or a module path; STORAGE_PUBLIC_URL prefixes file URLs.
+const storage = createStorage({
+  driver: process.env.STORAGE_DRIVER || 'local',
+  dir: process.env.STORAGE_DIR,
+  publicUrl: process.env.STORAGE_PUBLIC_URL
+});
+const MAX_IMAGE_BYTES = (parseInt(process.env.MAX_IMAGE_MB) || 10) * 1024 * 1024;
+const MAX_IMAGES_PER_ASSET = parseInt(process.env.MAX_IMAGES_PER_ASSET) || 30;
+
+// Maintenance task lifecycle: which status each status may move to
+const MAINTENANCE_TRANSITIONS = {
+  pending: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['pending', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+const OPEN_MAINTENANCE_SQL = "('pending', 'in_progress')";
+
+// Values accepted by the database CHECK constraints, for request validation
+const ASSET_TYPES = ['plane', 'boat', 'home', 'vehicle'];
+const RESERVATION_STATUSES = ['pending', 'held', 'confirmed', 'active', 'completed', 'cancelled', 'rejected', 'expired', 'bumped'];
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'withdrawn', 'expired'];
+
+// Reservation statuses that no longer hold their time slot. Pending requests
+// keep holding it until they are approved, rejected or expire. Mirrored by the
+// reservations_no_overlap exclusion constraint in migrations/001_baseline.js.
+const RELEASED_STATUSES_SQL = "('cancelled', 'rejected', 'expired', 'bumped')";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// How long a pending request waits for an approver before it expires
+const APPROVAL_TTL_HOURS = parseInt(process.env.APPROVAL_TTL_HOURS) || 48;
+
+// How long a waitlisted member has to claim a freed slot
+const WAITLIST_HOLD_HOURS = parseInt(process.env.WAITLIST_HOLD_HOURS) || 12;
+
+// Checked-out assets not checked in this long after the reservation ended are
+// reported to their owner as overdue
+const CHECK_IN_GRACE_MINUTES = parseInt(process.env.CHECK_IN_GRACE_MINUTES) || 60;
+
+// Reservation and asset events are kept this long for real-time streams to resume from
+const FAMILY_EVENT_RETENTION_DAYS = parseInt(process.env.FAMILY_EVENT_RETENTION_DAYS) || 7;
+
+// Audit rows are kept AUDIT_RETENTION_DAYS. Refused requests are recorded at
+// most AUDIT_FAILURE_LIMIT times per AUDIT_FAILURE_WINDOW_MINUTES for one actor
+// (or, signed out, one IP), so a password-guessing run cannot flood the log.
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 730;
+const AUDIT_FAILURE_LIMIT = 10;
+const AUDIT_FAILURE_WINDOW_MINUTES = 15;
+
+// Webhooks (member notifications and family integrations) that take longer
+// than this count as a failed delivery
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Webhook URLs must be https, or http as well in development, and resolve to
+// public addresses (see lib/webhooks.js)
+const WEBHOOK_URL_OPTIONS = { allowHttp: (process.env.NODE_ENV || 'development') === 'development' };
+
+// Usage metrics recorded at check-out/check-in. Meters only ever go up and are
+// mirrored into the asset's metadata; fuel is a tank level.
+const USAGE_METRICS = {
+  flight_hours: { meter: true, metadataKey: 'flightHours', assetTypes: ['plane'] },
+  engine_hours: { meter: true, metadataKey: 'engineHours', assetTypes: ['plane', 'boat'] },
+  mileage: { meter: true, metadataKey: 'mileage', assetTypes: ['vehicle'] },
+  fuel: { meter: false, assetTypes: ['plane', 'boat', 'vehicle'] }
+};
+
 // Database connection
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// Run fn inside a transaction on a dedicated client
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Error with an HTTP status, thrown from helpers and sent as-is by route handlers
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Secrets handed out as bearer tokens (feeds, invitations) are stored only as hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // =============================================================================
 // MIDDLEWARE
 // =============================================================================
 
+// Behind a reverse proxy, read client IPs (shown on sessions) from X-Forwarded-For.
+// TRUST_PROXY is a hop count or a list of proxy addresses.
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// Every request gets an ID (the caller's X-Request-Id if it looks sane). It is
+// echoed in the response, prefixed to everything logged while handling the
+// request and included in error responses, so a 500 can be found in the logs.
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+for (const level of ['log', 'warn', 'error']) {
+  const write = console[level].bind(console);
+  console[level] = (...args) => {
+    const context = requestContext.getStore();
+    return context ? write(`[${context.requestId}]`, ...args) : write(...args);
+  };
+}
+
+app.use((req, res, next) => {
+  const given = req.get('x-request-id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : uuidv4();
+  res.set('X-Request-Id', req.id);
+  
+  requestContext.run({ requestId: req.id }, () => {
+    console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+    next();
+  });
+});
+
+// Error responses are RFC 7807 problem details. Handlers keep sending
+// { error, ...details }; this turns that into { type, title, status, detail,
+// code, instance, requestId, ...details }. `error` stays for older clients and
+// `code` defaults from the status unless the handler gave a code or reason.
+const PROBLEM_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'unavailable'
+};
+
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body || typeof body.error !== 'string') {
+      return json(body);
+    }
+    
+    const { error, code, ...details } = body;
+    res.type('application/problem+json');
+    return json({
+      type: 'about:blank',
+      title: http.STATUS_CODES[res.statusCode] || 'Error',
+      status: res.statusCode,
+      detail: error,
+      code: code || details.reason || PROBLEM_CODES[res.statusCode] || 'error',
+      instance: req.originalUrl,
+      requestId: req.id,
+      ...details,
+      error
+    });
+  };
+  next();
+});
+
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+
+// Locally stored uploads are public under unguessable keys, so <img> tags work without a token
+if (storage.driver === 'local') {
+  app.use('/uploads', express.static(storage.dir, { index: false, immutable: true, maxAge: '30d' }));
+}
+
+// Path ids are UUIDs; anything else is a validation error, not a database error
+for (const name of ['id', 'familyId', 'userId', 'invitationId', 'taskId', 'blackoutId', 'intervalId', 'imageId', 'webhookId', 'deliveryId']) {
+  app.param(name, (req, res, next, value) => {
+    if (!v.UUID_PATTERN.test(value)) {
+      return next(new v.ValidationError([
+        { location: 'params', field: name, code: 'invalid_uuid', message: `${name} must be a UUID` }
+      ]));
+    }
+    next();
+  });
+}
+
+// Check { params, query, body } against schemas (see lib/validate.js) before the handler runs
+const validate = (schemas) => (req, res, next) => {
+  const problems = v.validateRequest(schemas, req);
+  if (problems.length > 0) {
+    return next(new v.ValidationError(problems));
+  }
+  next();
+};
+
+// Audit trail (see lib/audit.js). Mutating requests of signed-in users are
+// recorded once answered, including refusals but not requests that failed
+// validation. Signed-out requests are only recorded when the handler asked
+// for it with auditAs() (sign-ups and sign-ins). Handlers say what they
+// changed with auditAs(); other requests are recorded under their route and path id.
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
 
-// Request logging
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+  if (AUDITED_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      if (!req.route || req.invalid || !(req.user || req.audit)) return;
+      recordAudit(req, res.statusCode).catch(error => console.error('Audit log error:', error));
+    });
+  }
   next();
 });
 
+// Describe the request for its audit row. Later calls add to earlier ones, so a
+// handler can record a failure first and overwrite the action once it succeeds.
+const auditAs = (req, { before, after, ...fields }) => {
+  req.audit = { ...req.audit, ...fields };
+  if (before !== undefined || after !== undefined) {
+    req.audit.changes = diffChanges(before, after);
+  }
+};
+
+// Generic rows point at the last id in the path, e.g. /api/assets/:id/archive -> asset
+const routeEntity = (req) => {
+  const segments = req.route.path.split('/');
+  for (let i = segments.length - 1; i > 0; i--) {
+    if (segments[i].startsWith(':') && !segments[i - 1].startsWith(':')) {
+      const type = segments[i - 1].replace(/ies$/, 'y').replace(/s$/, '');
+      return { entityType: type, entityId: req.params[segments[i].slice(1)] };
+    }
+  }
+  return { entityType: null, entityId: null };
+};
+
+// Where a chain continues from: its newest row, or the checkpoint left when its
+// rows were pruned
+const auditChainHead = async (db, chain) => {
+  const last = await db.query('SELECT hash FROM audit_log WHERE chain = $1 ORDER BY seq DESC LIMIT 1', [chain]);
+  if (last.rows.length > 0) return last.rows[0].hash;
+  
+  const checkpoint = await db.query('SELECT last_hash FROM audit_log_checkpoints WHERE chain = $1', [chain]);
+  return checkpoint.rows.length > 0 ? checkpoint.rows[0].last_hash : GENESIS_HASH;
+};
+
+// Rows of one chain are appended under an advisory lock, so each sees the last hash
+const recordAudit = async (req, statusCode) => {
+  const audit = req.audit || { action: `${req.method} ${req.route.path}`, ...routeEntity(req) };
+  const familyId = audit.familyId !== undefined ? audit.familyId : req.membership?.family_id || null;
+  
+  const entry = {
+    id: uuidv4(),
+    familyId,
+    actorId: audit.actorId !== undefined ? audit.actorId : req.user?.id || null,
+    action: audit.action,
+    entityType: audit.entityType || null,
+    entityId: audit.entityId || null,
+    // Stored as JSONB, so hashed as it will read back
+    changes: audit.changes ? JSON.parse(JSON.stringify(audit.changes)) : null,
+    ip: req.ip || null,
+    userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+    requestId: req.id,
+    statusCode,
+    createdAt: new Date().toISOString()
+  };
+  
+  const chain = auditChain(entry);
+  
+  await withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit_log:${chain}`]);
+    
+    if (statusCode >= 400) {
+      const recent = await client.query(
+        `SELECT COUNT(*)::int as count FROM audit_log
+         WHERE chain = $1 AND status_code >= 400 AND created_at > NOW() - make_interval(mins => $2)
+         AND (actor_id = $3::uuid OR ($3::uuid IS NULL AND actor_id IS NULL AND ip_address = $4))`,
+        [chain, AUDIT_FAILURE_WINDOW_MINUTES, entry.actorId, entry.ip]
+      );
+      if (recent.rows[0].count >= AUDIT_FAILURE_LIMIT) return;
+    }
+    
+    const prevHash = await auditChainHead(client, chain);
+    await client.query(
+      `INSERT INTO audit_log
+        (id, chain, family_id, actor_id, action, entity_type, entity_id, changes, ip_address, user_agent,
+         request_id, status_code, prev_hash, hash, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+      [entry.id, chain, entry.familyId, entry.actorId, entry.action, entry.entityType, entry.entityId, entry.changes,
+        entry.ip, entry.userAgent, entry.requestId, entry.statusCode, prevHash, hashEntry(entry, prevHash),
+        entry.createdAt]
+    );
+  });
+};
+
 // Auth middleware
 const authenticate = async (req, res, next) => {
   try {
@@ -52,13 +413,121 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
     
+    if (!result.rows[0].active) {
+      return res.status(401).json({ error: 'Account deactivated' });
+    }
+    
+    // Logging out revokes the session, which ends its access tokens too
+    const session = await pool.query(
+      `SELECT id FROM sessions
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [decoded.sessionId, decoded.userId]
+    );
+    if (session.rows.length === 0) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+    
     req.user = result.rows[0];
+    req.sessionId = decoded.sessionId;
+    req.memberships = await loadMemberships(req.user.id);
+    
+    // Active family context: the X-Family-Id header, or the only family the user belongs to
+    const familyId = req.headers['x-family-id'];
+    if (familyId) {
+      req.membership = req.memberships.find(m => m.family_id === familyId);
+      if (!req.membership) {
+        return res.status(403).json({ error: 'Not a member of this family' });
+      }
+    } else {
+      req.membership = req.memberships.length === 1 ? req.memberships[0] : null;
+    }
+    
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    // Clients refresh on 'Token expired' and send the user to login otherwise
+    res.status(401).json({ error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+  }
+};
+
+// Active memberships of a user, oldest first
+const loadMemberships = async (userId) => {
+  const result = await pool.query(
+    `SELECT m.family_id, m.tier, f.name as family_name, f.mfa_required_tier, m.created_at
+     FROM family_memberships m
+     JOIN families f ON m.family_id = f.id
+     WHERE m.user_id = $1 AND m.active = TRUE
+     ORDER BY m.created_at`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Does the family make this member's tier use two-factor sign-in?
+const mfaRequired = (membership) =>
+  Boolean(membership.mfa_required_tier) && membership.tier <= membership.mfa_required_tier;
+
+// Members the family requires two-factor for can only act in it once they enabled it
+const rejectWithoutMfa = (req, res) => {
+  if (mfaRequired(req.membership) && !req.user.totp_enabled_at) {
+    res.status(403).json({
+      error: 'This family requires two-factor authentication for your tier',
+      reason: 'mfa_required'
+    });
+    return true;
+  }
+  return false;
+};
+
+// Family-scoped routes resolve access through the membership of the active family
+const requireMembership = (req, res, next) => {
+  if (!req.membership) {
+    return req.memberships.length === 0
+      ? res.status(403).json({ error: 'You do not belong to a family yet' })
+      : res.status(400).json({ error: 'Select a family with the X-Family-Id header' });
+  }
+  if (rejectWithoutMfa(req, res)) return;
+  next();
+};
+
+// Shared data such as the airport and port catalogs is managed by platform
+// admins, not by any one family
+const requirePlatformAdmin = (req, res, next) => {
+  if (!req.user.platform_admin) {
+    return res.status(403).json({ error: 'Only platform admins can do this' });
+  }
+  next();
+};
+
+// Creating a family needs a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.email_verified_at) {
+    return res.status(403).json({ error: 'Verify your email address first' });
   }
+  next();
 };
 
+// The caller as a member of the active family, for helpers that take a user with a tier
+const actingMember = (req) => ({ ...req.user, family_id: req.membership.family_id, tier: req.membership.tier });
+
+// A user with their tier in the given family, or null if not an active member
+const loadMember = async (db, userId, familyId) => {
+  const result = await db.query(
+    `SELECT u.id, u.email, u.name, u.avatar_url, m.family_id, m.tier
+     FROM users u
+     JOIN family_memberships m ON m.user_id = u.id
+     WHERE u.id = $1 AND m.family_id = $2 AND m.active = TRUE`,
+    [userId, familyId]
+  );
+  return result.rows[0] || null;
+};
+
+const formatMemberships = (memberships) => memberships.map(m => ({
+  familyId: m.family_id,
+  familyName: m.family_name,
+  tier: m.tier,
+  mfaRequired: mfaRequired(m)
+}));
+
 // =============================================================================
 // HEALTH CHECK
 // =============================================================================
@@ -86,10 +555,270 @@ app.get('/api/health', async (req, res) => {
 // AUTH ROUTES
 // =============================================================================
 
-// Register
-app.post('/api/auth/register', async (req, res) => {
+// Short device label from a User-Agent header, e.g. "Chrome on macOS"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['iOS', /iPhone|iPad/], ['Android', /Android/], ['macOS', /Mac OS X/], ['Windows', /Windows/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+};
+
+// Hand out an access token and the next refresh token of a session, extending it
+const issueTokens = async (db, session, req) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+  
+  await db.query(
+    `INSERT INTO refresh_tokens (id, session_id, token_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [uuidv4(), session.id, hashToken(refreshToken), expiresAt]
+  );
+  await db.query(
+    `UPDATE sessions SET expires_at = $1, last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+     WHERE id = $3`,
+    [expiresAt, req.ip || null, session.id]
+  );
+  
+  return {
+    token: jwt.sign({ userId: session.user_id, sessionId: session.id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+    refreshToken,
+    sessionId: session.id
+  };
+};
+
+// Start a session for the device making the request (login, registration)
+const startSession = async (db, userId, req) => {
+  const result = await db.query(
+    `INSERT INTO sessions (id, user_id, user_agent, ip_address, created_at, last_seen_at, expires_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW(), $5)
+     RETURNING *`,
+    [uuidv4(), userId, (req.get('user-agent') || '').slice(0, 500) || null, req.ip || null,
+      new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)]
+  );
+  return issueTokens(db, result.rows[0], req);
+};
+
+// Emails carrying a single-use account link
+const ACCOUNT_EMAILS = {
+  password_reset: (user, token) => ({
+    to: user.email,
+    subject: 'Reset your ReservePTY password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password of your ReservePTY account. ` +
+      `Choose a new password here:\n\n${APP_URL}/reset-password?token=${token}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for it, ignore this email.`
+  }),
+  email_verification: (user, token) => ({
+    to: user.email,
+    subject: 'Confirm your ReservePTY email address',
+    text: `Hi ${user.name},\n\nConfirm that this is your email address:\n\n` +
+      `${APP_URL}/verify-email?token=${token}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  })
+};
+
+const USER_TOKEN_TTL_MS = {
+  password_reset: () => PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+  email_verification: () => EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+};
+
+// Mail a user a fresh single-use link for `purpose`; earlier unused links stop working
+const sendUserToken = async (db, user, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  
+  await db.query(
+    `UPDATE user_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [user.id, purpose]
+  );
+  await db.query(
+    `INSERT INTO user_tokens (id, user_id, purpose, token_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [uuidv4(), user.id, purpose, hashToken(token), new Date(Date.now() + USER_TOKEN_TTL_MS[purpose]())]
+  );
+  
+  await mailer.send(ACCOUNT_EMAILS[purpose](user, token));
+};
+
+// Use up a mailed token, returning its user id
+const consumeUserToken = async (client, token, purpose) => {
+  const result = await client.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(String(token || '')), purpose]
+  );
+  
+  if (result.rows.length === 0) {
+    throw new ApiError(400, 'Link is invalid or has expired');
+  }
+  return result.rows[0].user_id;
+};
+
+// Two-factor secrets are encrypted at rest (AES-256-GCM) with a key derived from
+// TOTP_ENCRYPTION_KEY. Outside production it falls back to JWT_SECRET; in
+// production it must be its own key, so rotating JWT_SECRET (which signs
+// tokens) does not lock every two-factor user out.
+if (!process.env.TOTP_ENCRYPTION_KEY && process.env.NODE_ENV === 'production') {
+  console.error('❌ TOTP_ENCRYPTION_KEY must be set in production. Refusing to start.');
+  process.exit(1);
+}
+const TOTP_KEY = crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET).digest();
+
+const sealSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+// A secret sealed with another key (TOTP_ENCRYPTION_KEY changed) or a damaged
+// one cannot be opened; recovery codes still work then
+const openSecret = (sealed) => {
+  try {
+    const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    console.error('❌ A two-factor secret could not be decrypted; was TOTP_ENCRYPTION_KEY changed?', error.message);
+    throw new ApiError(503, 'Authenticator codes cannot be checked right now; contact support', {
+      reason: 'totp_unavailable'
+    });
+  }
+};
+
+// Respond 429 if the account is locked; returns true when it was
+const rejectLocked = (user, res) => {
+  if (!user.locked_until || new Date(user.locked_until) <= new Date()) return false;
+  
+  const retryAfter = Math.ceil((new Date(user.locked_until) - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many failed attempts; try again later', retryAfter });
+  return true;
+};
+
+// Count a failed password or code; the attempt that reaches the limit locks the account
+const recordFailedLogin = async (userId) => {
+  const result = await pool.query(
+    `UPDATE users SET
+      locked_until = CASE WHEN failed_login_attempts + 1 >= $2 THEN $3 ELSE locked_until END,
+      failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= $2 THEN 0 ELSE failed_login_attempts + 1 END
+     WHERE id = $1
+     RETURNING locked_until`,
+    [userId, MAX_LOGIN_ATTEMPTS, new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)]
+  );
+  
+  const lockedUntil = result.rows[0] && result.rows[0].locked_until;
+  if (lockedUntil && new Date(lockedUntil) > new Date()) {
+    console.warn(`Locked account ${userId} until ${new Date(lockedUntil).toISOString()}`);
+  }
+};
+
+/**
+ * Check a second factor: a current authenticator code, or an unused recovery
+ * code. Either is used up by a successful check.
+ */
+const verifySecondFactor = async (db, user, { code, recoveryCode }) => {
+  if (code) {
+    const lastCounter = user.totp_last_counter === null ? null : Number(user.totp_last_counter);
+    const counter = verifyTotp(openSecret(user.totp_secret), code, { lastCounter });
+    if (counter === null) return false;
+    
+    // Conditional so two requests cannot both spend the same code
+    const result = await db.query(
+      `UPDATE users SET totp_last_counter = $1
+       WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1)
+       RETURNING id`,
+      [counter, user.id]
+    );
+    return result.rows.length > 0;
+  }
+  
+  if (recoveryCode) {
+    const result = await db.query(
+      `UPDATE recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [user.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return result.rows.length > 0;
+  }
+  
+  return false;
+};
+
+// Replace a user's recovery codes, returning the new ones in plain text (shown once)
+const replaceRecoveryCodes = async (db, userId) => {
+  const codes = generateRecoveryCodes();
+  
+  await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO recovery_codes (id, user_id, code_hash, created_at) VALUES ($1, $2, $3, NOW())',
+      [uuidv4(), userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  
+  return codes;
+};
+
+// Finish a sign-in: clear failed attempts and start a session for this device
+const completeLogin = async (req, res, user) => {
+  auditAs(req, { action: 'auth.login' });
+  
+  await pool.query(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+    [user.id]
+  );
+  
+  const tokens = await startSession(pool, user.id, req);
+  
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      emailVerified: Boolean(user.email_verified_at),
+      twoFactorEnabled: Boolean(user.totp_enabled_at)
+    },
+    memberships: formatMemberships(await loadMemberships(user.id)),
+    ...tokens
+  });
+};
+
+// Revoke a user's open sessions, except `keepSessionId` if given. Returns how many ended.
+const revokeSessions = async (db, userId, reason, keepSessionId = null) => {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id != $3::uuid)
+     RETURNING id`,
+    [userId, reason, keepSessionId]
+  );
+  return result.rows.length;
+};
+
+// Register. Joining a family takes an invitation token; without one the new
+// account has no family until it creates one or accepts an invitation.
+app.post('/api/auth/register', validate({
+  body: {
+    email: v.email(),
+    password: v.string({ max: 200 }),
+    name: v.string({ min: 1, max: 255 }),
+    invitationToken: v.string({ max: 200 }).optional().nullable()
+  }
+}), async (req, res) => {
   try {
-    const { email, password, name, familyId } = req.body;
+    const { email, password, name, invitationToken } = req.body;
+    
+    const weakness = passwordProblem(password, { email, name });
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
     
     // Check if user exists
     const existing = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
@@ -101,25 +830,54 @@ app.post('/api/auth/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, 10);
     
     // Create user
-    const result = await pool.query(
-      `INSERT INTO users (id, email, password_hash, name, family_id, tier, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
-       RETURNING id, email, name, tier`,
-      [uuidv4(), email, hashedPassword, name, familyId || null, 4]
-    );
+    const user = await withTransaction(async (client) => {
+      const invitation = invitationToken ? await findOpenInvitation(client, invitationToken, email) : null;
+      
+      const result = await client.query(
+        `INSERT INTO users (id, email, password_hash, name, created_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         RETURNING id, email, name`,
+        [uuidv4(), email, hashedPassword, name]
+      );
+      
+      if (invitation) {
+        await acceptInvitation(client, invitation, result.rows[0].id);
+      }
+      
+      return { ...result.rows[0], emailVerified: Boolean(invitation) };
+    });
     
-    const user = result.rows[0];
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    // A failed verification email can be re-sent; it should not fail the signup
+    if (!user.emailVerified) {
+      sendUserToken(pool, user, 'email_verification').catch(error => {
+        console.error('Verification email error:', error);
+      });
+    }
+    
+    auditAs(req, {
+      action: 'auth.registered',
+      actorId: user.id,
+      entityType: 'user',
+      entityId: user.id,
+      after: { email: user.email, name: user.name, invited: Boolean(invitationToken) }
+    });
+    
+    const tokens = await startSession(pool, user.id, req);
     
-    res.json({ user, token });
+    res.json({ user, memberships: formatMemberships(await loadMemberships(user.id)), ...tokens });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Register error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
 // Login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validate({
+  body: { email: v.string({ min: 1, max: 255 }), password: v.string({ min: 1, max: 200 }) }
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -129,344 +887,6087 @@ app.post('/api/auth/login', async (req, res) => {
     );
     
     if (result.rows.length === 0) {
+      auditAs(req, { action: 'auth.login_failed', entityType: 'user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
     const user = result.rows[0];
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    auditAs(req, { action: 'auth.login_failed', actorId: user.id, entityType: 'user', entityId: user.id });
+    if (rejectLocked(user, res)) return;
+    
+    const validPassword = await bcrypt.compare(String(password || ''), user.password_hash);
     
     if (!validPassword) {
+      await recordFailedLogin(user.id);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    if (!user.active) {
+      return res.status(403).json({ error: 'Account deactivated' });
+    }
     
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        tier: user.tier,
-        familyId: user.family_id
-      },
-      token
-    });
+    // With two-factor on, the password only earns a challenge for the second step
+    if (user.totp_enabled_at) {
+      auditAs(req, { action: 'auth.mfa_challenged' });
+      const challengeToken = jwt.sign({ userId: user.id, purpose: 'mfa' }, JWT_SECRET, { expiresIn: MFA_CHALLENGE_TTL });
+      return res.json({ mfaRequired: true, challengeToken, expiresIn: MFA_CHALLENGE_TTL });
+    }
+    
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Get current user
-app.get('/api/auth/me', authenticate, (req, res) => {
-  const { password_hash, ...user } = req.user;
-  res.json(user);
-});
-
-// =============================================================================
-// FAMILY ROUTES
-// =============================================================================
-
-// Get user's family
-app.get('/api/families/mine', authenticate, async (req, res) => {
+// Second login step: the challenge token plus an authenticator or recovery code
+app.post('/api/auth/login/verify', validate({
+  body: {
+    challengeToken: v.string({ min: 1, max: 2000 }),
+    code: v.string({ max: 20 }).optional(),
+    recoveryCode: v.string({ max: 20 }).optional()
+  }
+}), async (req, res) => {
   try {
-    if (!req.user.family_id) {
-      return res.json(null);
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    let challenge;
+    try {
+      challenge = jwt.verify(String(challengeToken || ''), JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ error: 'Sign-in challenge is invalid or has expired' });
+    }
+    if (challenge.purpose !== 'mfa') {
+      return res.status(401).json({ error: 'Sign-in challenge is invalid or has expired' });
     }
     
-    const result = await pool.query(
-      'SELECT * FROM families WHERE id = $1',
-      [req.user.family_id]
-    );
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [challenge.userId]);
+    const user = result.rows[0];
+    if (!user || !user.active || !user.totp_enabled_at) {
+      return res.status(401).json({ error: 'Sign-in challenge is invalid or has expired' });
+    }
+    auditAs(req, { action: 'auth.login_failed', actorId: user.id, entityType: 'user', entityId: user.id });
+    if (rejectLocked(user, res)) return;
+    
+    if (!(await verifySecondFactor(pool, user, { code, recoveryCode }))) {
+      await recordFailedLogin(user.id);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
     
-    res.json(result.rows[0] || null);
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error('Get family error:', error);
-    res.status(500).json({ error: 'Failed to fetch family' });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Login verify error:', error);
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Get family members
-app.get('/api/families/:familyId/members', authenticate, async (req, res) => {
+// Mail a password reset link. The response is the same whether or not the
+// email belongs to an account, so it cannot be used to probe for members.
+app.post('/api/auth/forgot-password', validate({
+  body: { email: v.string({ min: 1, max: 255 }) }
+}), async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, name, email, tier, created_at 
-       FROM users WHERE family_id = $1 
-       ORDER BY tier, name`,
-      [req.params.familyId]
+      'SELECT id, email, name FROM users WHERE email = $1 AND active = TRUE',
+      [req.body.email]
     );
     
-    res.json(result.rows);
+    // Not awaited: a slow or failing mail transport must not tell apart
+    // addresses that have an account from those that do not
+    if (result.rows[0]) {
+      sendUserToken(pool, result.rows[0], 'password_reset')
+        .catch(error => console.error('Password reset email error:', error));
+    }
+    
+    res.json({ success: true });
   } catch (error) {
-    console.error('Get members error:', error);
-    res.status(500).json({ error: 'Failed to fetch members' });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
   }
 });
 
-// =============================================================================
-// ASSET ROUTES
-// =============================================================================
-
-// Get all assets for user's family
-app.get('/api/assets', authenticate, async (req, res) => {
+// Set a new password with a mailed reset token. Every session is signed out.
+app.post('/api/auth/reset-password', validate({
+  body: { token: v.string({ min: 1, max: 200 }), password: v.string({ max: 200 }) }
+}), async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT a.*, 
-        (SELECT json_build_object(
-          'id', r.id,
-          'user_name', u.name,
-          'start_date', r.start_date,
-          'end_date', r.end_date
-        ) FROM reservations r 
-        JOIN users u ON r.user_id = u.id
-        WHERE r.asset_id = a.id 
-        AND r.status = 'active'
-        AND NOW() BETWEEN r.start_date AND r.end_date
-        LIMIT 1) as current_reservation
-       FROM assets a 
-       WHERE a.family_id = $1
-       ORDER BY a.type, a.name`,
-      [req.user.family_id]
-    );
+    const { token, password } = req.body;
     
-    const assets = result.rows.map(asset => ({
-      ...asset,
-      status: asset.current_reservation ? 'occupied' : 'available',
-      specs: asset.metadata || {}
-    }));
+    await withTransaction(async (client) => {
+      const userId = await consumeUserToken(client, token, 'password_reset');
+      const user = (await client.query('SELECT email, name FROM users WHERE id = $1', [userId])).rows[0];
+      
+      const weakness = passwordProblem(password, user);
+      if (weakness) {
+        throw new ApiError(400, weakness);
+      }
+      
+      // Receiving the reset email also proves the address
+      await client.query(
+        `UPDATE users SET password_hash = $1, password_changed_at = NOW(),
+          email_verified_at = COALESCE(email_verified_at, NOW()),
+          failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [await bcrypt.hash(password, 10), userId]
+      );
+      await revokeSessions(client, userId, 'password_reset');
+    });
     
-    res.json(assets);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Get assets error:', error);
-    res.status(500).json({ error: 'Failed to fetch assets' });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
-// Get single asset
-app.get('/api/assets/:id', authenticate, async (req, res) => {
+// Confirm an email address with a mailed verification token
+app.post('/api/auth/verify-email', validate({
+  body: { token: v.string({ min: 1, max: 200 }) }
+}), async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT * FROM assets WHERE id = $1 AND family_id = $2',
-      [req.params.id, req.user.family_id]
-    );
+    await withTransaction(async (client) => {
+      const userId = await consumeUserToken(client, req.body.token, 'email_verification');
+      await client.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() WHERE id = $1',
+        [userId]
+      );
+    });
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Asset not found' });
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Send the verification email again
+app.post('/api/auth/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
     }
     
-    res.json(result.rows[0]);
+    await sendUserToken(pool, req.user, 'email_verification');
+    
+    res.json({ success: true });
   } catch (error) {
-    console.error('Get asset error:', error);
-    res.status(500).json({ error: 'Failed to fetch asset' });
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
   }
 });
 
-// Create asset (admin only)
-app.post('/api/assets', authenticate, async (req, res) => {
+// Change password with the current one. Other devices are signed out and this
+// one continues on a new session, whose tokens are returned.
+app.post('/api/auth/change-password', authenticate, validate({
+  body: { currentPassword: v.string({ min: 1, max: 200 }), newPassword: v.string({ max: 200 }) }
+}), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    // Wrong current passwords count towards the same lockout as sign-in
+    if (rejectLocked(req.user, res)) return;
+    if (!(await bcrypt.compare(currentPassword, req.user.password_hash))) {
+      await recordFailedLogin(req.user.id);
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    const weakness = passwordProblem(newPassword, req.user);
+    if (weakness) {
+      return res.status(400).json({ error: weakness });
+    }
+    if (await bcrypt.compare(newPassword, req.user.password_hash)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+    
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    
+    const tokens = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users SET password_hash = $1, password_changed_at = NOW(),
+          failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [hashedPassword, req.user.id]
+      );
+      await revokeSessions(client, req.user.id, 'password_changed');
+      return startSession(client, req.user.id, req);
+    });
+    
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Trade a refresh token for a new access token and the next refresh token.
+// Each refresh token works once; a reused one means it was copied, so the
+// whole session is revoked and every device holding it must sign in again.
+app.post('/api/auth/refresh', validate({
+  body: { refreshToken: v.string({ min: 1, max: 200 }) }
+}), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const tokens = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT t.id, t.session_id, t.expires_at, t.used_at, s.user_id, s.created_at as session_created_at,
+           s.revoked_at, u.active, u.password_changed_at
+         FROM refresh_tokens t
+         JOIN sessions s ON t.session_id = s.id
+         JOIN users u ON s.user_id = u.id
+         WHERE t.token_hash = $1
+         FOR UPDATE OF t, s`,
+        [hashToken(refreshToken)]
+      );
+      const token = result.rows[0];
+      
+      if (!token || token.revoked_at) {
+        throw new ApiError(401, 'Invalid refresh token');
+      }
+      
+      // Reuse is reported after the revocation commits
+      if (token.used_at) {
+        await client.query(
+          `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse' WHERE id = $1`,
+          [token.session_id]
+        );
+        console.warn(`Refresh token reused; revoked session ${token.session_id}`);
+        return null;
+      }
+      
+      if (token.expires_at <= new Date()) {
+        throw new ApiError(401, 'Refresh token expired');
+      }
+      if (!token.active) {
+        throw new ApiError(403, 'Account deactivated');
+      }
+      if (token.password_changed_at && token.session_created_at < token.password_changed_at) {
+        throw new ApiError(401, 'Password changed; sign in again');
+      }
+      
+      await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [token.id]);
+      return issueTokens(client, { id: token.session_id, user_id: token.user_id }, req);
+    });
+    
+    if (!tokens) {
+      return res.status(401).json({ error: 'Refresh token already used; the session has been revoked' });
+    }
+    
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Log out this device
+app.post('/api/auth/logout', authenticate, async (req, res) => {
+  try {
+    await pool.query(
+      `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [req.sessionId]
+    );
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Log out every device, including this one
+app.post('/api/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, req.user.id, 'logout_all');
+    
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Active sessions of the current user, most recently seen first
+app.get('/api/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [req.user.id]
+    );
+    
+    res.json(result.rows.map(session => ({
+      ...session,
+      device: describeDevice(session.user_agent),
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Log out one device
+app.delete('/api/auth/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'revoked'
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.id, req.user.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Get current user, their memberships and the active family context
+app.get('/api/auth/me', authenticate, (req, res) => {
+  const {
+    password_hash, family_id, tier,
+    totp_secret, totp_pending_secret, totp_last_counter, failed_login_attempts, locked_until,
+    ...user
+  } = req.user;
+  res.json({
+    ...user,
+    twoFactorEnabled: Boolean(req.user.totp_enabled_at),
+    memberships: formatMemberships(req.memberships),
+    activeFamilyId: req.membership ? req.membership.family_id : null
+  });
+});
+
+// =============================================================================
+// TWO-FACTOR ROUTES
+// =============================================================================
+
+// Start enrolling: a new secret to add to an authenticator app, by URI or by hand.
+// It only takes effect once confirmed with a code.
+app.post('/api/auth/2fa/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = generateSecret();
+    await pool.query(
+      'UPDATE users SET totp_pending_secret = $1, updated_at = NOW() WHERE id = $2',
+      [sealSecret(secret), req.user.id]
+    );
+    
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: req.user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm enrollment with a code from the app. Returns the recovery codes, once.
+app.post('/api/auth/2fa/enable', authenticate, validate({
+  body: { code: v.string({ min: 1, max: 20 }) }
+}), async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!req.user.totp_pending_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    
+    const counter = verifyTotp(openSecret(req.user.totp_pending_secret), req.body.code);
+    if (counter === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    
+    const recoveryCodes = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+          totp_enabled_at = NOW(), totp_last_counter = $1, updated_at = NOW()
+         WHERE id = $2`,
+        [counter, req.user.id]
+      );
+      return replaceRecoveryCodes(client, req.user.id);
+    });
+    
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turn two-factor off with the password and a code, unless a family requires it
+app.post('/api/auth/2fa/disable', authenticate, validate({
+  body: {
+    password: v.string({ min: 1, max: 200 }),
+    code: v.string({ max: 20 }).optional(),
+    recoveryCode: v.string({ max: 20 }).optional()
+  }
+}), async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (rejectLocked(req.user, res)) return;
+    
+    const required = req.memberships.find(mfaRequired);
+    if (required) {
+      return res.status(409).json({ error: `${required.family_name} requires two-factor authentication for your tier` });
+    }
+    
+    if (!(await bcrypt.compare(password, req.user.password_hash)) ||
+      !(await verifySecondFactor(pool, req.user, { code, recoveryCode }))) {
+      await recordFailedLogin(req.user.id);
+      return res.status(401).json({ error: 'Invalid password or code' });
+    }
+    
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL,
+          totp_last_counter = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [req.user.id]
+      );
+      await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [req.user.id]);
+    });
+    
+    res.json({ enabled: false });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes (e.g. after using some); needs a current code
+app.post('/api/auth/2fa/recovery-codes', authenticate, validate({
+  body: { code: v.string({ min: 1, max: 20 }) }
+}), async (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (rejectLocked(req.user, res)) return;
+    
+    if (!(await verifySecondFactor(pool, req.user, { code: req.body.code }))) {
+      await recordFailedLogin(req.user.id);
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+    
+    const recoveryCodes = await withTransaction(client => replaceRecoveryCodes(client, req.user.id));
+    
+    res.json({ recoveryCodes });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to replace recovery codes' });
+  }
+});
+
+// =============================================================================
+// FAMILY ROUTES
+// =============================================================================
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+// The email carrying an invitation link. The token only ever travels here and
+// in the admin's response, never in notifications (which fan out to webhooks).
+const invitationEmail = ({ email, familyName, inviterName, tier, token, expiresAt }) => ({
+  to: email,
+  subject: `Join ${familyName} on ReservePTY`,
+  text: `Hi,\n\n${inviterName} invited you to join ${familyName} on ReservePTY as a tier ${tier} member. ` +
+    `Accept the invitation here:\n\n${APP_URL}/invitations/accept?token=${token}\n\n` +
+    `The link expires on ${expiresAt.toISOString()}. If you were not expecting it, ignore this email.`
+});
+
+// Routes under /api/families/:familyId act in that family, whatever the active context
+const requireFamilyMember = (req, res, next) => {
+  req.membership = req.memberships.find(m => m.family_id === req.params.familyId);
+  if (!req.membership) {
+    return res.status(404).json({ error: 'Family not found' });
+  }
+  if (rejectWithoutMfa(req, res)) return;
+  next();
+};
+
+const requireFamilyAdmin = (req, res, next) => requireFamilyMember(req, res, () => {
+  if (req.membership.tier > 1) {
+    return res.status(403).json({ error: 'Only tier 1 members can manage the family' });
+  }
+  next();
+});
+
+const parseTier = (value) => {
+  const tier = Number(value);
+  if (!Number.isInteger(tier) || tier < 1 || tier > 4) {
+    throw new ApiError(400, 'tier must be an integer from 1 to 4');
+  }
+  return tier;
+};
+
+// A family always keeps at least one active tier 1 admin besides `userId`
+const assertOtherAdmin = async (client, familyId, userId) => {
+  const result = await client.query(
+    `SELECT COUNT(*)::int as admins FROM family_memberships
+     WHERE family_id = $1 AND tier = 1 AND active = TRUE AND user_id != $2`,
+    [familyId, userId]
+  );
+  if (result.rows[0].admins === 0) {
+    throw new ApiError(409, 'A family needs at least one active tier 1 admin');
+  }
+};
+
+// Lock a member's membership for an admin change
+const lockFamilyMember = async (client, familyId, userId) => {
+  const result = await client.query(
+    `SELECT u.id, u.name, u.email, m.tier, m.active
+     FROM family_memberships m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.user_id = $1 AND m.family_id = $2
+     FOR UPDATE OF m`,
+    [userId, familyId]
+  );
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Member not found');
+  }
+  return result.rows[0];
+};
+
+// Open invitation for a token; `email`, when given, must be the invited address
+const findOpenInvitation = async (client, token, email) => {
+  const result = await client.query(
+    `SELECT i.*, f.name as family_name FROM family_invitations i
+     JOIN families f ON i.family_id = f.id
+     WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+     FOR UPDATE OF i`,
+    [hashToken(String(token || ''))]
+  );
+  
+  const invitation = result.rows[0];
+  if (!invitation) {
+    throw new ApiError(400, 'Invitation is invalid or has expired');
+  }
+  if (email !== undefined && String(email).toLowerCase() !== invitation.email.toLowerCase()) {
+    throw new ApiError(403, 'This invitation was sent to a different email address');
+  }
+  return invitation;
+};
+
+// Join the invited family with the invitation's tier (re-activating a former membership)
+const acceptInvitation = async (client, invitation, userId) => {
+  await client.query(
+    `INSERT INTO family_memberships (id, family_id, user_id, tier, active, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, TRUE, NOW(), NOW())
+     ON CONFLICT (family_id, user_id) DO UPDATE SET
+      tier = EXCLUDED.tier, active = TRUE, deactivated_at = NULL, updated_at = NOW()`,
+    [uuidv4(), invitation.family_id, userId, invitation.tier]
+  );
+  await client.query(
+    'UPDATE family_invitations SET accepted_at = NOW(), accepted_by = $1 WHERE id = $2',
+    [userId, invitation.id]
+  );
+  
+  // The invitation was addressed to this user's email, which proves they receive it
+  await client.query(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1',
+    [userId]
+  );
+};
+
+// Cancel a departing member's upcoming bookings and waitlist entries in one family.
+// Returns the freed slots so they can be offered to the waitlist.
+const releaseMemberBookings = async (client, userId, familyId, changedBy) => {
+  const upcoming = await client.query(
+    `SELECT r.*, a.name as asset_name, f.name as family_name FROM reservations r
+     JOIN assets a ON r.asset_id = a.id
+     JOIN families f ON a.family_id = f.id
+     WHERE a.family_id = $2 AND r.user_id = $1
+     AND r.status IN ('pending', 'held', 'confirmed') AND r.start_date > NOW()
+     ORDER BY r.start_date
+     FOR UPDATE OF r`,
+    [userId, familyId]
+  );
+  
+  const released = [];
+  for (const { asset_name: assetName, family_name: familyName, ...reservation } of upcoming.rows) {
+    await client.query(
+      `UPDATE reservations SET status = 'cancelled', expires_at = NULL, updated_at = NOW() WHERE id = $1`,
+      [reservation.id]
+    );
+    await recordRevision(client, reservation.id, changedBy, 'cancelled', {
+      status: { from: reservation.status, to: 'cancelled' },
+      reason: 'member_deactivated'
+    });
+    await emitFamilyEvent(client, familyId, 'reservation.cancelled', {
+      reservation: { ...reservation, status: 'cancelled', expires_at: null },
+      reason: 'member_deactivated'
+    });
+    await notify(client, userId, 'reservation.cancelled', {
+      title: `Your ${assetName} reservation was cancelled`,
+      body: `Your membership in ${familyName} was deactivated, cancelling your reservation for ` +
+        `${reservation.start_date.toISOString()} – ${reservation.end_date.toISOString()}.`,
+      data: { reservationId: reservation.id, assetId: reservation.asset_id }
+    });
+    released.push(reservation);
+  }
+  
+  await client.query(
+    `UPDATE waitlist_entries w SET status = 'withdrawn', updated_at = NOW()
+     FROM assets a
+     WHERE w.asset_id = a.id AND a.family_id = $2
+     AND w.user_id = $1 AND w.status IN ('waiting', 'offered')`,
+    [userId, familyId]
+  );
+  
+  return released;
+};
+
+// Families the user belongs to, with their tier in each
+app.get('/api/families', authenticate, (req, res) => {
+  res.json(formatMemberships(req.memberships));
+});
+
+// Get the active family
+app.get('/api/families/mine', authenticate, async (req, res) => {
+  try {
+    if (!req.membership) {
+      return res.json(null);
+    }
+    
+    const result = await pool.query(
+      'SELECT * FROM families WHERE id = $1',
+      [req.membership.family_id]
+    );
+    
+    res.json(result.rows[0] ? { ...result.rows[0], tier: req.membership.tier } : null);
+  } catch (error) {
+    console.error('Get family error:', error);
+    res.status(500).json({ error: 'Failed to fetch family' });
+  }
+});
+
+// Create a family; the creator becomes its first tier 1 admin
+app.post('/api/families', authenticate, requireVerifiedEmail, validate({
+  body: { name: v.string({ min: 1, max: 255 }) }
+}), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+    
+    const family = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO families (id, name, created_at, updated_at)
+         VALUES ($1, $2, NOW(), NOW())
+         RETURNING *`,
+        [uuidv4(), name]
+      );
+      
+      await client.query(
+        `INSERT INTO family_memberships (id, family_id, user_id, tier, active, created_at, updated_at)
+         VALUES ($1, $2, $3, 1, TRUE, NOW(), NOW())`,
+        [uuidv4(), result.rows[0].id, req.user.id]
+      );
+      
+      return result.rows[0];
+    });
+    
+    res.json(family);
+  } catch (error) {
+    console.error('Create family error:', error);
+    res.status(500).json({ error: 'Failed to create family' });
+  }
+});
+
+// Update family settings (admin only): its name, and mfaRequiredTier to make
+// two-factor sign-in mandatory for that tier and above (null turns it off)
+app.patch('/api/families/:familyId', authenticate, requireFamilyAdmin, validate({
+  body: {
+    name: v.string({ min: 1, max: 255 }).optional(),
+    mfaRequiredTier: v.integer({ min: 1, max: 4 }).optional().nullable()
+  }
+}), async (req, res) => {
+  try {
+    const { mfaRequiredTier } = req.body;
+    const name = req.body.name === undefined ? null : req.body.name.trim();
+    
+    const requiredTier = mfaRequiredTier === undefined || mfaRequiredTier === null ? null : parseTier(mfaRequiredTier);
+    
+    // Admins cannot lock themselves out by requiring what they do not have
+    if (requiredTier && req.membership.tier <= requiredTier && !req.user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Enable two-factor authentication on your own account first' });
+    }
+    
+    const result = await pool.query(
+      `UPDATE families SET
+        name = COALESCE($1, name),
+        mfa_required_tier = CASE WHEN $2 THEN $3::int ELSE mfa_required_tier END,
+        updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [name, mfaRequiredTier !== undefined, requiredTier, req.params.familyId]
+    );
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Update family error:', error);
+    res.status(500).json({ error: 'Failed to update family' });
+  }
+});
+
+// Get family members
+app.get('/api/families/:familyId/members', authenticate, requireFamilyMember, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.email, m.tier, m.active, m.deactivated_at, m.created_at as joined_at
+       FROM family_memberships m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.family_id = $1
+       ORDER BY m.active DESC, m.tier, u.name`,
+      [req.params.familyId]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+// Change a member's tier (admin only)
+app.patch('/api/families/:familyId/members/:userId', authenticate, requireFamilyAdmin, validate({
+  body: { tier: v.integer({ min: 1, max: 4 }) }
+}), async (req, res) => {
+  try {
+    const member = await withTransaction(async (client) => {
+      const tier = parseTier(req.body.tier);
+      const current = await lockFamilyMember(client, req.params.familyId, req.params.userId);
+      
+      if (current.tier === 1 && tier > 1) {
+        await assertOtherAdmin(client, req.params.familyId, current.id);
+      }
+      
+      const result = await client.query(
+        `UPDATE family_memberships SET tier = $1, updated_at = NOW() WHERE family_id = $2 AND user_id = $3
+         RETURNING user_id as id, tier, active`,
+        [tier, req.params.familyId, current.id]
+      );
+      
+      if (tier !== current.tier) {
+        await notify(client, current.id, 'family.tier_changed', {
+          title: 'Your tier changed',
+          body: `${req.user.name} changed your tier from ${current.tier} to ${tier}.`,
+          data: { familyId: req.params.familyId, from: current.tier, to: tier }
+        });
+      }
+      
+      return { ...result.rows[0], name: current.name, email: current.email };
+    });
+    
+    res.json(member);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Change tier error:', error);
+    res.status(500).json({ error: 'Failed to change tier' });
+  }
+});
+
+// Deactivate a member: they lose access to this family, and their upcoming
+// reservations in it are cancelled (admin only)
+app.post('/api/families/:familyId/members/:userId/deactivate', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const { member, released } = await withTransaction(async (client) => {
+      const current = await lockFamilyMember(client, req.params.familyId, req.params.userId);
+      if (!current.active) {
+        throw new ApiError(409, 'Member is already deactivated');
+      }
+      if (current.tier === 1) {
+        await assertOtherAdmin(client, req.params.familyId, current.id);
+      }
+      
+      const result = await client.query(
+        `UPDATE family_memberships SET active = FALSE, deactivated_at = NOW(), updated_at = NOW()
+         WHERE family_id = $1 AND user_id = $2
+         RETURNING user_id as id, tier, active, deactivated_at`,
+        [req.params.familyId, current.id]
+      );
+      
+      return {
+        member: { ...result.rows[0], name: current.name, email: current.email },
+        released: await releaseMemberBookings(client, current.id, req.params.familyId, req.user.id)
+      };
+    });
+    
+    for (const freed of released) {
+      await promoteWaitlist(freed.asset_id, freed.start_date, freed.end_date);
+    }
+    
+    res.json({ ...member, cancelledReservations: released.map(r => r.id) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Deactivate member error:', error);
+    res.status(500).json({ error: 'Failed to deactivate member' });
+  }
+});
+
+// Reactivate a member (admin only)
+app.post('/api/families/:familyId/members/:userId/reactivate', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE family_memberships SET active = TRUE, deactivated_at = NULL, updated_at = NOW()
+       WHERE user_id = $1 AND family_id = $2
+       RETURNING user_id as id, tier, active`,
+      [req.params.userId, req.params.familyId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Reactivate member error:', error);
+    res.status(500).json({ error: 'Failed to reactivate member' });
+  }
+});
+
+// Hand tier 1 to another member; the caller steps down to tier 2 (admin only)
+app.post('/api/families/:familyId/transfer-admin', authenticate, requireFamilyAdmin, validate({
+  body: { userId: v.uuid() }
+}), async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const target = await lockFamilyMember(client, req.params.familyId, req.body.userId);
+      if (target.id === req.user.id) {
+        throw new ApiError(400, 'You are already an admin');
+      }
+      if (!target.active) {
+        throw new ApiError(409, 'Cannot transfer admin rights to a deactivated member');
+      }
+      
+      await client.query(
+        `UPDATE family_memberships SET tier = CASE WHEN user_id = $2 THEN 1 ELSE 2 END, updated_at = NOW()
+         WHERE family_id = $1 AND user_id IN ($2, $3)`,
+        [req.params.familyId, target.id, req.user.id]
+      );
+      
+      await notify(client, target.id, 'family.admin_transferred', {
+        title: 'You are now a family admin',
+        body: `${req.user.name} transferred tier 1 admin rights to you.`,
+        data: { familyId: req.params.familyId, from: req.user.id }
+      });
+      
+      return { admin: target.id, previousAdmin: req.user.id };
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Transfer admin error:', error);
+    res.status(500).json({ error: 'Failed to transfer admin rights' });
+  }
+});
+
+// List invitations (admin only)
+app.get('/api/families/:familyId/invitations', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT i.id, i.email, i.tier, i.expires_at, i.accepted_at, i.revoked_at, i.created_at,
+        u.name as invited_by_name,
+        CASE
+          WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+          WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+          WHEN i.expires_at <= NOW() THEN 'expired'
+          ELSE 'pending'
+        END as status
+       FROM family_invitations i
+       LEFT JOIN users u ON i.invited_by = u.id
+       WHERE i.family_id = $1
+       ORDER BY i.created_at DESC`,
+      [req.params.familyId]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite someone by email with a preset tier (admin only). The invitee is mailed
+// a link; the token is also returned so the admin can pass it on another way.
+// A new invitation to the same address replaces the old one.
+app.post('/api/families/:familyId/invitations', authenticate, requireFamilyAdmin, validate({
+  body: { email: v.email(), tier: v.integer({ min: 1, max: 4 }).optional() }
+}), async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    
+    const invitation = await withTransaction(async (client) => {
+      const tier = parseTier(req.body.tier === undefined ? 4 : req.body.tier);
+      
+      const existing = await client.query('SELECT * FROM users WHERE LOWER(email) = $1', [email]);
+      if (existing.rows[0] && await loadMember(client, existing.rows[0].id, req.params.familyId)) {
+        throw new ApiError(409, `${email} is already a member of this family`);
+      }
+      
+      await client.query(
+        `UPDATE family_invitations SET revoked_at = NOW()
+         WHERE family_id = $1 AND LOWER(email) = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [req.params.familyId, email]
+      );
+      
+      const token = crypto.randomBytes(24).toString('base64url');
+      const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * DAY_MS);
+      const result = await client.query(
+        `INSERT INTO family_invitations (id, family_id, email, tier, token_hash, invited_by, expires_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         RETURNING id, email, tier, expires_at, created_at`,
+        [uuidv4(), req.params.familyId, email, tier, hashToken(token), req.user.id, expiresAt]
+      );
+      
+      const family = (await client.query('SELECT name FROM families WHERE id = $1', [req.params.familyId])).rows[0];
+      
+      // Members who already have an account also see it in the app
+      if (existing.rows[0]) {
+        await notify(client, existing.rows[0].id, 'family.invited', {
+          title: 'Family invitation',
+          body: `${req.user.name} invited you to join ${family.name} as a tier ${tier} member. ` +
+            `Accept it with the link sent to ${email}.`,
+          data: { invitationId: result.rows[0].id, familyId: req.params.familyId, expiresAt }
+        });
+      }
+      
+      return { ...result.rows[0], token, familyName: family.name };
+    });
+    
+    // The invitation stands if the email fails; the admin still has the token to share
+    const { familyName, ...created } = invitation;
+    const emailed = await mailer.send(invitationEmail({
+      email,
+      familyName,
+      inviterName: req.user.name,
+      tier: created.tier,
+      token: created.token,
+      expiresAt: created.expires_at
+    })).then(() => true, (error) => {
+      console.error('Invitation email error:', error);
+      return false;
+    });
+    
+    res.json({ ...created, emailed });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+// Revoke an invitation (admin only)
+app.delete('/api/families/:familyId/invitations/:invitationId', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE family_invitations SET revoked_at = NOW()
+       WHERE id = $1 AND family_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [req.params.invitationId, req.params.familyId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// What an invitation is for, shown before signing up or accepting
+app.post('/api/invitations/preview', validate({
+  body: { token: v.string({ min: 1, max: 200 }) }
+}), async (req, res) => {
+  try {
+    const invitation = await findOpenInvitation(pool, req.body.token);
+    
+    res.json({
+      familyName: invitation.family_name,
+      email: invitation.email,
+      tier: invitation.tier,
+      expiresAt: invitation.expires_at
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Preview invitation error:', error);
+    res.status(500).json({ error: 'Failed to look up invitation' });
+  }
+});
+
+// Accept an invitation with an existing account, adding a membership alongside
+// any others. New users pass the token to POST /api/auth/register instead.
+app.post('/api/invitations/accept', authenticate, validate({
+  body: { token: v.string({ min: 1, max: 200 }) }
+}), async (req, res) => {
+  try {
+    const family = await withTransaction(async (client) => {
+      const invitation = await findOpenInvitation(client, req.body.token, req.user.email);
+      
+      if (await loadMember(client, req.user.id, invitation.family_id)) {
+        throw new ApiError(409, 'You are already a member of this family');
+      }
+      
+      await acceptInvitation(client, invitation, req.user.id);
+      
+      return { id: invitation.family_id, name: invitation.family_name, tier: invitation.tier };
+    });
+    
+    res.json(family);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// =============================================================================
+// ASSET ROUTES
+// =============================================================================
+
+// Access rules of a family, for resolveAccess
+const loadAssetPermissions = async (db, familyId) => {
+  const result = await db.query('SELECT * FROM asset_permissions WHERE family_id = $1', [familyId]);
+  return result.rows;
+};
+
+// Effective access of a member to one asset: { access, approverTier, rule }
+const assetAccess = async (db, member, asset) =>
+  resolveAccess(await loadAssetPermissions(db, asset.family_id), member, asset);
+
+// Ids of the family's assets a member can see, for filtering calendars and lists
+const visibleAssetIds = async (db, member) => {
+  const rules = await loadAssetPermissions(db, member.family_id);
+  const assets = await db.query('SELECT id, type FROM assets WHERE family_id = $1', [member.family_id]);
+  
+  return assets.rows
+    .filter(asset => hasAccess(resolveAccess(rules, member, asset).access, 'view'))
+    .map(asset => asset.id);
+};
+
+// Archived assets keep their history but take no new or changed bookings
+const archivedError = (asset) => new ApiError(409, `${asset.name} is archived and cannot be booked`, { reason: 'archived' });
+
+// Lock an asset row for a booking transaction and re-check it is not archived.
+// Archiving locks the same row, so a booking either commits before the archive
+// (which then sees it) or finds archived_at set here.
+const lockBookableAsset = async (client, assetId) => {
+  const asset = (await client.query('SELECT * FROM assets WHERE id = $1 FOR UPDATE', [assetId])).rows[0];
+  if (asset.archived_at) {
+    throw archivedError(asset);
+  }
+  return asset;
+};
+
+// Throws unless the member may book the asset, directly or by request.
+// Assets they cannot see are reported as missing.
+const assertCanBook = async (db, member, asset) => {
+  const { access } = await assetAccess(db, member, asset);
+  
+  if (!hasAccess(access, 'view')) {
+    throw new ApiError(404, 'Asset not found');
+  }
+  if (!hasAccess(access, 'request')) {
+    throw new ApiError(403, `You cannot book ${asset.name}`, { reason: 'permission' });
+  }
+  if (asset.archived_at) {
+    throw archivedError(asset);
+  }
+};
+
+// Get all assets for user's family; archived ones only with ?includeArchived=true
+app.get('/api/assets', authenticate, requireMembership, validate({
+  query: { includeArchived: v.boolean().optional() }
+}), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.*, 
+        (SELECT json_build_object(
+          'id', r.id,
+          'user_name', u.name,
+          'start_date', r.start_date,
+          'end_date', r.end_date
+        ) FROM reservations r 
+        JOIN users u ON r.user_id = u.id
+        WHERE r.asset_id = a.id 
+        AND r.status = 'active'
+        AND NOW() BETWEEN r.start_date AND r.end_date
+        LIMIT 1) as current_reservation,
+        (SELECT json_build_object(
+          'id', m.id,
+          'title', m.title,
+          'start_date', m.scheduled_start,
+          'end_date', m.scheduled_end
+        ) FROM maintenance_tasks m
+        WHERE m.asset_id = a.id
+        AND m.status IN ('pending', 'in_progress')
+        AND NOW() BETWEEN m.scheduled_start AND m.scheduled_end
+        LIMIT 1) as current_maintenance
+       FROM assets a 
+       WHERE a.family_id = $1
+       AND ($2 OR a.archived_at IS NULL)
+       ORDER BY a.type, a.name`,
+      [req.membership.family_id, req.query.includeArchived === 'true']
+    );
+    
+    const rules = await loadAssetPermissions(pool, req.membership.family_id);
+    const member = actingMember(req);
+    
+    const assets = result.rows.map(asset => ({
+      ...asset,
+      access: resolveAccess(rules, member, asset).access
+    })).filter(asset => hasAccess(asset.access, 'view')).map(asset => ({
+      ...asset,
+      status: asset.archived_at
+        ? 'archived'
+        : asset.current_maintenance
+          ? 'maintenance'
+          : asset.current_reservation ? 'occupied' : 'available',
+      specs: asset.metadata || {}
+    }));
+    
+    res.json(assets);
+  } catch (error) {
+    console.error('Get assets error:', error);
+    res.status(500).json({ error: 'Failed to fetch assets' });
+  }
+});
+
+// Get single asset
+app.get('/api/assets/:id', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    const { access } = await assetAccess(pool, actingMember(req), asset);
+    
+    res.json({ ...asset, access, images: await loadAssetImages(pool, asset.id) });
+  } catch (error) {
+    console.error('Get asset error:', error);
+    res.status(500).json({ error: 'Failed to fetch asset' });
+  }
+});
+
+// Create asset (admin only)
+app.post('/api/assets', authenticate, requireMembership, validate({
+  body: {
+    name: v.string({ min: 1, max: 255 }),
+    type: v.oneOf(ASSET_TYPES),
+    location: v.string({ max: 255 }).optional().nullable(),
+    imageUrl: v.string({ max: 500 }).optional().nullable(),
+    metadata: v.json().optional().nullable()
+  }
+}), async (req, res, next) => {
+  try {
+    const { name, type, location, imageUrl, metadata } = req.body;
+    
+    const problems = specProblems(type, metadata || {});
+    if (problems.length > 0) {
+      return next(new v.ValidationError(problems));
+    }
+    
+    // Creating needs manage access to the new asset's type (tier 1 by default)
+    const { access } = await assetAccess(pool, actingMember(req), { id: null, type, family_id: req.membership.family_id });
+    if (!hasAccess(access, 'manage')) {
+      return res.status(403).json({ error: `You cannot create ${type} assets` });
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO assets (id, family_id, name, type, location, image_url, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING *`,
+      [uuidv4(), req.membership.family_id, name, type, location, imageUrl, metadata || {}]
+    );
+    
+    await emitFamilyEvent(pool, req.membership.family_id, 'asset.created', { asset: result.rows[0] });
+    auditAs(req, { action: 'asset.created', entityType: 'asset', entityId: result.rows[0].id, after: result.rows[0] });
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Create asset error:', error);
+    res.status(500).json({ error: 'Failed to create asset' });
+  }
+});
+
+// Update an asset's name, location or specs (admin only). Metadata is merged
+// key by key, so meter readings are kept; a null value removes a key.
+app.patch('/api/assets/:id', authenticate, requireMembership, validate({
+  body: {
+    name: v.string({ min: 1, max: 255 }).optional(),
+    location: v.string({ max: 255 }).optional().nullable(),
+    metadata: v.json().optional()
+  }
+}), async (req, res, next) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { name, location, metadata = {} } = req.body;
+    if (req.body.type !== undefined && req.body.type !== asset.type) {
+      return res.status(400).json({ error: 'The type of an asset cannot be changed' });
+    }
+    
+    const removed = Object.keys(metadata).filter(key => metadata[key] === null);
+    const merged = { ...asset.metadata, ...metadata };
+    removed.forEach(key => delete merged[key]);
+    
+    const problems = specProblems(asset.type, merged);
+    if (problems.length > 0) {
+      return next(new v.ValidationError(problems));
+    }
+    
+    // Merged in SQL too, so a check-in reading written meanwhile is not lost
+    const result = await pool.query(
+      `UPDATE assets SET
+        name = COALESCE($1, name),
+        location = CASE WHEN $2 THEN $3 ELSE location END,
+        metadata = (COALESCE(metadata, '{}'::jsonb) || $4::jsonb) - $5::text[],
+        updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [name === undefined ? null : name.trim(), location !== undefined, location, metadata, removed, asset.id]
+    );
+    
+    await emitFamilyEvent(pool, asset.family_id, 'asset.updated', { asset: result.rows[0] });
+    auditAs(req, { action: 'asset.updated', entityType: 'asset', entityId: asset.id, before: asset, after: result.rows[0] });
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update asset error:', error);
+    res.status(500).json({ error: 'Failed to update asset' });
+  }
+});
+
+// Reservations still to come on an asset: anything holding a slot that has not
+// ended and was not checked out. Trips in progress are left to finish.
+const findUpcomingReservations = async (db, assetId) => {
+  const result = await db.query(
+    `SELECT r.*, u.name as user_name FROM reservations r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.asset_id = $1 AND r.status IN ('pending', 'held', 'confirmed') AND r.end_date > NOW()
+     ORDER BY r.start_date
+     FOR UPDATE OF r`,
+    [assetId]
+  );
+  return result.rows;
+};
+
+// Archive (retire) an asset so it can no longer be booked (admin only). Upcoming
+// reservations block archiving unless cancelReservations is true, in which case
+// they are cancelled and their owners notified. Waitlist entries are withdrawn.
+app.post('/api/assets/:id/archive', authenticate, requireMembership, validate({
+  body: { reason: v.string({ max: 255 }).optional().nullable(), cancelReservations: v.boolean().optional() }
+}), async (req, res) => {
+  try {
+    const found = await findFamilyAsset(req, res, 'manage');
+    if (!found) return;
+    
+    const result = await withTransaction(async (client) => {
+      const asset = (await client.query('SELECT * FROM assets WHERE id = $1 FOR UPDATE', [found.id])).rows[0];
+      if (asset.archived_at) {
+        throw new ApiError(409, `${asset.name} is already archived`);
+      }
+      
+      const upcoming = await findUpcomingReservations(client, asset.id);
+      if (upcoming.length > 0 && !req.body.cancelReservations) {
+        throw new ApiError(409, `${asset.name} has ${upcoming.length} upcoming reservation(s)`, {
+          reason: 'has_reservations',
+          reservations: upcoming.map(r => ({
+            id: r.id,
+            userName: r.user_name,
+            status: r.status,
+            startDate: r.start_date,
+            endDate: r.end_date
+          }))
+        });
+      }
+      
+      for (const reservation of upcoming) {
+        await client.query(
+          `UPDATE reservations SET status = 'cancelled', expires_at = NULL, updated_at = NOW() WHERE id = $1`,
+          [reservation.id]
+        );
+        await recordRevision(client, reservation.id, req.user.id, 'cancelled', {
+          status: { from: reservation.status, to: 'cancelled' },
+          reason: 'asset_archived'
+        });
+        await emitFamilyEvent(client, asset.family_id, 'reservation.cancelled', {
+          reservation: { ...reservation, status: 'cancelled', expires_at: null },
+          reason: 'asset_archived'
+        });
+        
+        if (reservation.user_id !== req.user.id) {
+          await notify(client, reservation.user_id, 'reservation.cancelled', {
+            title: `Your ${asset.name} reservation was cancelled`,
+            body: `${req.user.name} retired ${asset.name}` +
+              `${req.body.reason ? ` (${req.body.reason})` : ''}, cancelling your reservation for ` +
+              `${reservation.start_date.toISOString()} – ${reservation.end_date.toISOString()}.`,
+            data: { reservationId: reservation.id, assetId: asset.id }
+          });
+        }
+      }
+      
+      await client.query(
+        `UPDATE reservation_series SET status = 'cancelled', updated_at = NOW() WHERE asset_id = $1 AND status = 'active'`,
+        [asset.id]
+      );
+      await client.query(
+        `UPDATE waitlist_entries SET status = 'withdrawn', updated_at = NOW()
+         WHERE asset_id = $1 AND status IN ('waiting', 'offered')`,
+        [asset.id]
+      );
+      
+      const archived = await client.query(
+        `UPDATE assets SET archived_at = NOW(), archived_by = $1, archive_reason = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [req.user.id, req.body.reason || null, asset.id]
+      );
+      await emitFamilyEvent(client, asset.family_id, 'asset.archived', { asset: archived.rows[0] });
+      
+      return { ...archived.rows[0], cancelledReservations: upcoming.map(r => r.id) };
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Archive asset error:', error);
+    res.status(500).json({ error: 'Failed to archive asset' });
+  }
+});
+
+// Put an archived asset back into service (admin only)
+app.post('/api/assets/:id/restore', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const result = await pool.query(
+      `UPDATE assets SET archived_at = NULL, archived_by = NULL, archive_reason = NULL, updated_at = NOW()
+       WHERE id = $1 AND archived_at IS NOT NULL
+       RETURNING *`,
+      [asset.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `${asset.name} is not archived` });
+    }
+    
+    await emitFamilyEvent(pool, asset.family_id, 'asset.restored', { asset: result.rows[0] });
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Restore asset error:', error);
+    res.status(500).json({ error: 'Failed to restore asset' });
+  }
+});
+
+// Delete an asset for good (admin only). Only assets without history (bookings,
+// maintenance or usage) can be deleted; anything else should be archived.
+app.delete('/api/assets/:id', authenticate, requireMembership, async (req, res) => {
+  try {
+    const found = await findFamilyAsset(req, res, 'manage');
+    if (!found) return;
+    
+    const storageKeys = await withTransaction(async (client) => {
+      const asset = (await client.query('SELECT * FROM assets WHERE id = $1 FOR UPDATE', [found.id])).rows[0];
+      
+      const history = (await client.query(
+        `SELECT
+          (SELECT COUNT(*) FROM reservations WHERE asset_id = $1)::int as reservations,
+          (SELECT COUNT(*) FROM reservation_series WHERE asset_id = $1)::int as series,
+          (SELECT COUNT(*) FROM maintenance_tasks WHERE asset_id = $1)::int as maintenance_tasks,
+          (SELECT COUNT(*) FROM usage_logs WHERE asset_id = $1)::int as usage_logs`,
+        [asset.id]
+      )).rows[0];
+      
+      if (Object.values(history).some(count => count > 0)) {
+        throw new ApiError(409, `${asset.name} has history and cannot be deleted; archive it instead`, {
+          reason: 'has_history',
+          history
+        });
+      }
+      
+      const images = await client.query('SELECT storage_key FROM asset_images WHERE asset_id = $1', [asset.id]);
+      
+      // Blackouts, waitlist entries, rules and images go with the asset (ON DELETE CASCADE)
+      await client.query('DELETE FROM service_intervals WHERE asset_id = $1', [asset.id]);
+      await client.query('DELETE FROM assets WHERE id = $1', [asset.id]);
+      await emitFamilyEvent(client, asset.family_id, 'asset.deleted', { asset });
+      
+      return images.rows.map(image => image.storage_key);
+    });
+    
+    auditAs(req, { action: 'asset.deleted', entityType: 'asset', entityId: found.id, before: found });
+    await removeStoredFiles(storageKeys);
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Delete asset error:', error);
+    res.status(500).json({ error: 'Failed to delete asset' });
+  }
+});
+
+// List asset permission rules (admin only)
+app.get('/api/asset-permissions', authenticate, requireMembership, async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage asset permissions' });
+    }
+    
+    const result = await pool.query(
+      `SELECT p.*, a.name as asset_name, u.name as user_name
+       FROM asset_permissions p
+       LEFT JOIN assets a ON p.asset_id = a.id
+       LEFT JOIN users u ON p.user_id = u.id
+       WHERE p.family_id = $1
+       ORDER BY p.created_at`,
+      [req.membership.family_id]
+    );
+    
+    res.json(result.rows.map(rule => ({
+      ...rule,
+      summary: describePermission(rule, { assetName: rule.asset_name, userName: rule.user_name })
+    })));
+  } catch (error) {
+    console.error('Get asset permissions error:', error);
+    res.status(500).json({ error: 'Failed to fetch asset permissions' });
+  }
+});
+
+// Create asset permission rule (admin only)
+app.post('/api/asset-permissions', authenticate, requireMembership, validate({
+  body: {
+    access: v.oneOf(ACCESS_LEVELS),
+    assetId: v.uuid().optional().nullable(),
+    assetType: v.oneOf(ASSET_TYPES).optional().nullable(),
+    tier: v.integer({ min: 1, max: 4 }).optional().nullable(),
+    userId: v.uuid().optional().nullable(),
+    approverTier: v.integer({ min: 1, max: 4 }).optional().nullable()
+  }
+}), async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage asset permissions' });
+    }
+    
+    const { access, assetId, assetType, tier, userId, approverTier } = req.body;
+    
+    if (assetId && assetType) {
+      return res.status(400).json({ error: 'Give assetId or assetType, not both' });
+    }
+    if (tier && userId) {
+      return res.status(400).json({ error: 'Give tier or userId, not both' });
+    }
+    if (approverTier !== undefined && approverTier !== null && access !== 'request') {
+      return res.status(400).json({ error: "approverTier only applies to 'request' access" });
+    }
+    
+    let assetName;
+    if (assetId) {
+      const asset = await pool.query(
+        'SELECT name FROM assets WHERE id = $1 AND family_id = $2',
+        [assetId, req.membership.family_id]
+      );
+      if (asset.rows.length === 0) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+      assetName = asset.rows[0].name;
+    }
+    
+    let userName;
+    if (userId) {
+      const member = await loadMember(pool, userId, req.membership.family_id);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      userName = member.name;
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO asset_permissions
+        (id, family_id, asset_id, asset_type, tier, user_id, access, approver_tier, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       RETURNING *`,
+      [uuidv4(), req.membership.family_id, assetId || null, assetType || null, tier || null, userId || null,
+        access, access === 'request' ? approverTier || 1 : null, req.user.id]
+    );
+    
+    res.json({ ...result.rows[0], summary: describePermission(result.rows[0], { assetName, userName }) });
+  } catch (error) {
+    console.error('Create asset permission error:', error);
+    res.status(500).json({ error: 'Failed to create asset permission' });
+  }
+});
+
+// Delete asset permission rule (admin only)
+app.delete('/api/asset-permissions/:id', authenticate, requireMembership, async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage asset permissions' });
+    }
+    
+    const result = await pool.query(
+      'DELETE FROM asset_permissions WHERE id = $1 AND family_id = $2 RETURNING id',
+      [req.params.id, req.membership.family_id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Asset permission not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete asset permission error:', error);
+    res.status(500).json({ error: 'Failed to delete asset permission' });
+  }
+});
+
+// =============================================================================
+// ASSET IMAGE ROUTES
+// =============================================================================
+
+// Gallery of an asset in display order, each image with its URL
+const loadAssetImages = async (db, assetId) => {
+  const result = await db.query(
+    'SELECT * FROM asset_images WHERE asset_id = $1 ORDER BY position, created_at',
+    [assetId]
+  );
+  return result.rows.map(image => ({ ...image, url: storage.url(image.storage_key) }));
+};
+
+// assets.image_url mirrors the cover so asset lists show it without a join
+const syncCoverImage = async (db, assetId) => {
+  const cover = await db.query('SELECT storage_key FROM asset_images WHERE asset_id = $1 AND is_cover', [assetId]);
+  await db.query(
+    'UPDATE assets SET image_url = $1, updated_at = NOW() WHERE id = $2',
+    [cover.rows[0] ? storage.url(cover.rows[0].storage_key) : null, assetId]
+  );
+};
+
+// Files are removed after the database change commits; a leftover file is only
+// wasted space, so failures are logged rather than reported
+const removeStoredFiles = async (keys) => {
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove stored file ${key}:`, error);
+    }
+  }
+};
+
+// Lock an asset's image for changes
+const lockAssetImage = async (client, assetId, imageId) => {
+  const result = await client.query(
+    'SELECT * FROM asset_images WHERE id = $1 AND asset_id = $2 FOR UPDATE',
+    [imageId, assetId]
+  );
+  if (result.rows.length === 0) {
+    throw new ApiError(404, 'Image not found');
+  }
+  return result.rows[0];
+};
+
+// List an asset's images
+app.get('/api/assets/:id/images', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    res.json(await loadAssetImages(pool, asset.id));
+  } catch (error) {
+    console.error('Get asset images error:', error);
+    res.status(500).json({ error: 'Failed to fetch images' });
+  }
+});
+
+// Upload an image as the raw request body (JPEG, PNG, GIF or WebP) with
+// optional ?caption= and ?cover=true. The first image becomes the cover (admin only).
+app.post('/api/assets/:id/images', authenticate, requireMembership, express.raw({ type: IMAGE_CONTENT_TYPES, limit: MAX_IMAGE_BYTES }), validate({
+  query: { caption: v.string({ max: 255 }).optional(), cover: v.boolean().optional() }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: `Send the image as the request body with Content-Type ${IMAGE_CONTENT_TYPES.join(', ')}` });
+    }
+    const type = detectImageType(req.body);
+    if (!type) {
+      return res.status(415).json({ error: 'The file is not a JPEG, PNG, GIF or WebP image' });
+    }
+    
+    const key = `assets/${asset.id}/${uuidv4()}.${type.extension}`;
+    await storage.put(key, req.body, type.contentType);
+    
+    try {
+      const image = await withTransaction(async (client) => {
+        // Serializes uploads to one asset so positions and the cover stay consistent
+        await client.query('SELECT id FROM assets WHERE id = $1 FOR UPDATE', [asset.id]);
+        
+        const existing = await client.query(
+          'SELECT COUNT(*)::int as count, COALESCE(MAX(position), -1) as last, BOOL_OR(is_cover) as has_cover FROM asset_images WHERE asset_id = $1',
+          [asset.id]
+        );
+        const { count, last, has_cover: hasCover } = existing.rows[0];
+        if (count >= MAX_IMAGES_PER_ASSET) {
+          throw new ApiError(409, `An asset can have at most ${MAX_IMAGES_PER_ASSET} images`);
+        }
+        
+        const cover = req.query.cover === 'true' || !hasCover;
+        if (cover) {
+          await client.query('UPDATE asset_images SET is_cover = FALSE WHERE asset_id = $1 AND is_cover', [asset.id]);
+        }
+        
+        const result = await client.query(
+          `INSERT INTO asset_images
+            (id, asset_id, storage_key, content_type, size_bytes, caption, position, is_cover, uploaded_by, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+           RETURNING *`,
+          [uuidv4(), asset.id, key, type.contentType, req.body.length, req.query.caption || null, last + 1, cover, req.user.id]
+        );
+        
+        if (cover) {
+          await syncCoverImage(client, asset.id);
+        }
+        
+        return result.rows[0];
+      });
+      
+      res.json({ ...image, url: storage.url(image.storage_key) });
+    } catch (error) {
+      await removeStoredFiles([key]);
+      throw error;
+    }
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Upload asset image error:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+// Set the gallery order; imageIds must list every image of the asset (admin only)
+app.put('/api/assets/:id/images/order', authenticate, requireMembership, validate({
+  body: { imageIds: v.array(v.uuid(), { max: MAX_IMAGES_PER_ASSET }) }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { imageIds } = req.body;
+    
+    await withTransaction(async (client) => {
+      const current = await client.query('SELECT id FROM asset_images WHERE asset_id = $1 FOR UPDATE', [asset.id]);
+      const known = new Set(current.rows.map(image => image.id));
+      
+      if (new Set(imageIds).size !== imageIds.length || imageIds.length !== known.size ||
+        imageIds.some(id => !known.has(id))) {
+        throw new ApiError(400, 'imageIds must list each image of the asset exactly once');
+      }
+      
+      for (const [position, id] of imageIds.entries()) {
+        await client.query('UPDATE asset_images SET position = $1 WHERE id = $2', [position, id]);
+      }
+    });
+    
+    res.json(await loadAssetImages(pool, asset.id));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Reorder asset images error:', error);
+    res.status(500).json({ error: 'Failed to reorder images' });
+  }
+});
+
+// Change an image's caption or make it the cover (admin only)
+app.patch('/api/assets/:id/images/:imageId', authenticate, requireMembership, validate({
+  body: { caption: v.string({ max: 255 }).optional().nullable(), cover: v.boolean().optional() }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { caption, cover } = req.body;
+    
+    const image = await withTransaction(async (client) => {
+      const current = await lockAssetImage(client, asset.id, req.params.imageId);
+      if (cover === false && current.is_cover) {
+        throw new ApiError(400, 'Choose another image as the cover instead');
+      }
+      
+      if (cover && !current.is_cover) {
+        await client.query('UPDATE asset_images SET is_cover = FALSE WHERE asset_id = $1 AND is_cover', [asset.id]);
+      }
+      
+      const result = await client.query(
+        `UPDATE asset_images SET
+          caption = CASE WHEN $1 THEN $2 ELSE caption END,
+          is_cover = is_cover OR $3
+         WHERE id = $4
+         RETURNING *`,
+        [caption !== undefined, caption || null, cover === true, current.id]
+      );
+      
+      if (cover && !current.is_cover) {
+        await syncCoverImage(client, asset.id);
+      }
+      
+      return result.rows[0];
+    });
+    
+    res.json({ ...image, url: storage.url(image.storage_key) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Update asset image error:', error);
+    res.status(500).json({ error: 'Failed to update image' });
+  }
+});
+
+// Delete an image; removing the cover promotes the next image in order (admin only)
+app.delete('/api/assets/:id/images/:imageId', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const image = await withTransaction(async (client) => {
+      const current = await lockAssetImage(client, asset.id, req.params.imageId);
+      await client.query('DELETE FROM asset_images WHERE id = $1', [current.id]);
+      
+      if (current.is_cover) {
+        await client.query(
+          `UPDATE asset_images SET is_cover = TRUE
+           WHERE id = (SELECT id FROM asset_images WHERE asset_id = $1 ORDER BY position, created_at LIMIT 1)`,
+          [asset.id]
+        );
+        await syncCoverImage(client, asset.id);
+      }
+      
+      return current;
+    });
+    
+    await removeStoredFiles([image.storage_key]);
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Delete asset image error:', error);
+    res.status(500).json({ error: 'Failed to delete image' });
+  }
+});
+
+// =============================================================================
+// MAINTENANCE ROUTES
+// =============================================================================
+
+// Load an asset from the caller's family that they have `level` access to.
+// Assets they cannot see are a 404 like any other unknown asset.
+const findFamilyAsset = async (req, res, level = 'view', assetId = req.params.id) => {
+  const result = await pool.query(
+    'SELECT * FROM assets WHERE id = $1 AND family_id = $2',
+    [assetId, req.membership.family_id]
+  );
+  
+  const { access } = result.rows[0]
+    ? await assetAccess(pool, actingMember(req), result.rows[0])
+    : { access: 'none' };
+  
+  if (!hasAccess(access, 'view')) {
+    res.status(404).json({ error: 'Asset not found' });
+    return null;
+  }
+  
+  if (!hasAccess(access, level)) {
+    res.status(403).json({ error: `You do not have ${level} access to ${result.rows[0].name}` });
+    return null;
+  }
+  
+  // Loading an asset to book it
+  if (level === 'request' && result.rows[0].archived_at) {
+    const error = archivedError(result.rows[0]);
+    res.status(error.status).json({ error: error.message, ...error.details });
+    return null;
+  }
+  
+  return result.rows[0];
+};
+
+// Reservations that overlap a maintenance window, so admins see who is affected
+const findReservationsInWindow = async (assetId, start, end) => {
+  if (!start || !end) return [];
+  
+  const result = await pool.query(
+    `SELECT r.id, r.start_date, r.end_date, r.status, u.name as user_name
+     FROM reservations r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.asset_id = $1
+     AND r.status NOT IN ${RELEASED_STATUSES_SQL}
+     AND (r.start_date, r.end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+     ORDER BY r.start_date`,
+    [assetId, start, end]
+  );
+  
+  return result.rows;
+};
+
+// Open maintenance task whose scheduled window overlaps the given range
+const findMaintenanceConflict = async (db, assetId, start, end) => {
+  const result = await db.query(
+    `SELECT id, title, scheduled_start, scheduled_end FROM maintenance_tasks
+     WHERE asset_id = $1
+     AND status IN ${OPEN_MAINTENANCE_SQL}
+     AND scheduled_start IS NOT NULL AND scheduled_end IS NOT NULL
+     AND (scheduled_start, scheduled_end) OVERLAPS ($2::timestamp, $3::timestamp)
+     ORDER BY scheduled_start
+     LIMIT 1`,
+    [assetId, start, end]
+  );
+  
+  return result.rows[0] || null;
+};
+
+const maintenanceConflictError = (task) => new ApiError(
+  409,
+  `Asset is unavailable for scheduled maintenance: ${task.title}`,
+  {
+    reason: 'maintenance',
+    maintenance: {
+      id: task.id,
+      title: task.title,
+      startDate: task.scheduled_start,
+      endDate: task.scheduled_end
+    }
+  }
+);
+
+// Blackout period overlapping the given range
+const findBlackoutConflict = async (db, assetId, start, end) => {
+  const result = await db.query(
+    `SELECT id, reason, start_date, end_date FROM asset_blackouts
+     WHERE asset_id = $1
+     AND (start_date, end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+     ORDER BY start_date
+     LIMIT 1`,
+    [assetId, start, end]
+  );
+  
+  return result.rows[0] || null;
+};
+
+const blackoutConflictError = (blackout) => new ApiError(
+  409,
+  `Asset is unavailable${blackout.reason ? `: ${blackout.reason}` : ''}`,
+  {
+    reason: 'blackout',
+    blackout: {
+      id: blackout.id,
+      reason: blackout.reason,
+      startDate: blackout.start_date,
+      endDate: blackout.end_date
+    }
+  }
+);
+
+// List maintenance tasks for an asset
+app.get('/api/assets/:id/maintenance', authenticate, requireMembership, validate({
+  query: { status: v.oneOf(['open', ...Object.keys(MAINTENANCE_TRANSITIONS)]).optional() }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    const { status } = req.query;
+    
+    let query = `
+      SELECT m.*, cu.name as created_by_name, du.name as completed_by_name
+      FROM maintenance_tasks m
+      LEFT JOIN users cu ON m.created_by = cu.id
+      LEFT JOIN users du ON m.completed_by = du.id
+      WHERE m.asset_id = $1
+    `;
+    const params = [asset.id];
+    
+    if (status === 'open') {
+      query += ` AND m.status IN ${OPEN_MAINTENANCE_SQL}`;
+    } else if (status) {
+      params.push(status);
+      query += ` AND m.status = $${params.length}`;
+    }
+    
+    query += ` ORDER BY COALESCE(m.scheduled_start, m.due_date) ASC NULLS LAST, m.created_at DESC`;
+    
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get maintenance error:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance tasks' });
+  }
+});
+
+// Get single maintenance task
+app.get('/api/assets/:id/maintenance/:taskId', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    const result = await pool.query(
+      'SELECT * FROM maintenance_tasks WHERE id = $1 AND asset_id = $2',
+      [req.params.taskId, asset.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Maintenance task not found' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Get maintenance task error:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance task' });
+  }
+});
+
+// Create maintenance task (admin only)
+app.post('/api/assets/:id/maintenance', authenticate, requireMembership, validate({
+  body: v.object({
+    title: v.string({ min: 1, max: 255 }),
+    description: v.string({ max: 5000 }).optional().nullable(),
+    dueDate: v.datetime().optional().nullable(),
+    scheduledStart: v.datetime().optional().nullable(),
+    scheduledEnd: v.datetime().optional().nullable()
+  }, { rules: [v.after('scheduledEnd', 'scheduledStart')] })
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { title, description, dueDate, scheduledStart, scheduledEnd } = req.body;
+    
+    if (Boolean(scheduledStart) !== Boolean(scheduledEnd)) {
+      return res.status(400).json({ error: 'A maintenance window needs both scheduledStart and scheduledEnd' });
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO maintenance_tasks
+        (id, asset_id, title, description, due_date, scheduled_start, scheduled_end, status, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8, NOW(), NOW())
+       RETURNING *`,
+      [uuidv4(), asset.id, title, description, dueDate || null, scheduledStart || null, scheduledEnd || null, req.user.id]
+    );
+    
+    const conflictingReservations = await findReservationsInWindow(asset.id, scheduledStart, scheduledEnd);
+    
+    res.json({ ...result.rows[0], conflictingReservations });
+  } catch (error) {
+    console.error('Create maintenance task error:', error);
+    res.status(500).json({ error: 'Failed to create maintenance task' });
+  }
+});
+
+// Update maintenance task, including status transitions (admin only)
+app.patch('/api/assets/:id/maintenance/:taskId', authenticate, requireMembership, validate({
+  body: {
+    title: v.string({ min: 1, max: 255 }).optional(),
+    description: v.string({ max: 5000 }).optional().nullable(),
+    dueDate: v.datetime().optional().nullable(),
+    scheduledStart: v.datetime().optional().nullable(),
+    scheduledEnd: v.datetime().optional().nullable(),
+    status: v.oneOf(Object.keys(MAINTENANCE_TRANSITIONS)).optional(),
+    completionNotes: v.string({ max: 5000 }).optional().nullable()
+  }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const existing = await pool.query(
+      'SELECT * FROM maintenance_tasks WHERE id = $1 AND asset_id = $2',
+      [req.params.taskId, asset.id]
+    );
+    
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Maintenance task not found' });
+    }
+    
+    const task = existing.rows[0];
+    const { title, description, dueDate, scheduledStart, scheduledEnd, status, completionNotes } = req.body;
+    
+    if (status && status !== task.status) {
+      const allowed = MAINTENANCE_TRANSITIONS[task.status] || [];
+      if (!allowed.includes(status)) {
+        return res.status(400).json({
+          error: `Cannot move maintenance task from ${task.status} to ${status}`
+        });
+      }
+    }
+    
+    const start = scheduledStart !== undefined ? scheduledStart : task.scheduled_start;
+    const end = scheduledEnd !== undefined ? scheduledEnd : task.scheduled_end;
+    
+    if (Boolean(start) !== Boolean(end)) {
+      return res.status(400).json({ error: 'A maintenance window needs both scheduledStart and scheduledEnd' });
+    }
+    
+    if (start && new Date(end) <= new Date(start)) {
+      return res.status(400).json({ error: 'scheduledEnd must be after scheduledStart' });
+    }
+    
+    const nextStatus = status || task.status;
+    const completing = nextStatus === 'completed' && task.status !== 'completed';
+    
+    const result = await pool.query(
+      `UPDATE maintenance_tasks SET
+        title = $1,
+        description = $2,
+        due_date = $3,
+        scheduled_start = $4,
+        scheduled_end = $5,
+        status = $6,
+        completed_at = CASE WHEN $7 THEN NOW() ELSE completed_at END,
+        completed_by = CASE WHEN $7 THEN $8::uuid ELSE completed_by END,
+        completion_notes = COALESCE($9, completion_notes),
+        updated_at = NOW()
+       WHERE id = $10
+       RETURNING *`,
+      [
+        title !== undefined ? title : task.title,
+        description !== undefined ? description : task.description,
+        dueDate !== undefined ? dueDate : task.due_date,
+        start || null,
+        end || null,
+        nextStatus,
+        completing,
+        req.user.id,
+        completionNotes || null,
+        task.id
+      ]
+    );
+    
+    if (completing) {
+      await resetServiceInterval(pool, asset, result.rows[0]);
+    }
+    
+    const conflictingReservations = MAINTENANCE_TRANSITIONS[nextStatus].length > 0
+      ? await findReservationsInWindow(asset.id, start, end)
+      : [];
+    
+    res.json({ ...result.rows[0], conflictingReservations });
+  } catch (error) {
+    console.error('Update maintenance task error:', error);
+    res.status(500).json({ error: 'Failed to update maintenance task' });
+  }
+});
+
+// Complete maintenance task (admin only)
+app.post('/api/assets/:id/maintenance/:taskId/complete', authenticate, requireMembership, validate({
+  body: { notes: v.string({ max: 5000 }).optional().nullable() }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const result = await pool.query(
+      `UPDATE maintenance_tasks SET
+        status = 'completed',
+        completed_at = NOW(),
+        completed_by = $1,
+        completion_notes = $2,
+        updated_at = NOW()
+       WHERE id = $3 AND asset_id = $4
+       AND status IN ${OPEN_MAINTENANCE_SQL}
+       RETURNING *`,
+      [req.user.id, req.body.notes || null, req.params.taskId, asset.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Open maintenance task not found' });
+    }
+    
+    await resetServiceInterval(pool, asset, result.rows[0]);
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Complete maintenance task error:', error);
+    res.status(500).json({ error: 'Failed to complete maintenance task' });
+  }
+});
+
+// Delete maintenance task (admin only)
+app.delete('/api/assets/:id/maintenance/:taskId', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const result = await pool.query(
+      'DELETE FROM maintenance_tasks WHERE id = $1 AND asset_id = $2 RETURNING id',
+      [req.params.taskId, asset.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Maintenance task not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete maintenance task error:', error);
+    res.status(500).json({ error: 'Failed to delete maintenance task' });
+  }
+});
+
+// =============================================================================
+// BLACKOUT ROUTES
+// =============================================================================
+
+// List blackout periods for an asset
+app.get('/api/assets/:id/blackouts', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    const result = await pool.query(
+      `SELECT * FROM asset_blackouts
+       WHERE asset_id = $1 AND end_date >= NOW()
+       ORDER BY start_date`,
+      [asset.id]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get blackouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch blackout periods' });
+  }
+});
+
+// Create blackout period (admin only)
+app.post('/api/assets/:id/blackouts', authenticate, requireMembership, validate({
+  body: v.object({
+    startDate: v.datetime(),
+    endDate: v.datetime(),
+    reason: v.string({ max: 255 }).optional().nullable()
+  }, { rules: [v.after('endDate', 'startDate')] })
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { startDate, endDate, reason } = req.body;
+    
+    const result = await pool.query(
+      `INSERT INTO asset_blackouts (id, asset_id, start_date, end_date, reason, source, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, 'manual', $6, NOW())
+       RETURNING *`,
+      [uuidv4(), asset.id, startDate, endDate, reason || null, req.user.id]
+    );
+    
+    const conflictingReservations = await findReservationsInWindow(asset.id, startDate, endDate);
+    
+    res.json({ ...result.rows[0], conflictingReservations });
+  } catch (error) {
+    console.error('Create blackout error:', error);
+    res.status(500).json({ error: 'Failed to create blackout period' });
+  }
+});
+
+// Delete blackout period (admin only)
+app.delete('/api/assets/:id/blackouts/:blackoutId', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const result = await pool.query(
+      'DELETE FROM asset_blackouts WHERE id = $1 AND asset_id = $2 RETURNING id',
+      [req.params.blackoutId, asset.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Blackout period not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete blackout error:', error);
+    res.status(500).json({ error: 'Failed to delete blackout period' });
+  }
+});
+
+// =============================================================================
+// RESERVATION ROUTES
+// =============================================================================
+
+// Trip legs as sent by clients; codes, capacity and turnaround are checked by lib/itinerary.js
+const tripLegSchema = v.object({
+  origin: v.string({ min: 1, max: 10 }),
+  destination: v.string({ min: 1, max: 10 }),
+  departsAt: v.datetime(),
+  arrivesAt: v.datetime(),
+  passengers: v.integer({ min: 1 }),
+  notes: v.string({ max: 2000 }).optional().nullable()
+}, { rules: [v.after('arrivesAt', 'departsAt')] });
+
+// Which occurrences of a series a change applies to
+const SERIES_SCOPES = ['this', 'following'];
+
+// Get all reservations
+app.get('/api/reservations', authenticate, requireMembership, validate({
+  query: {
+    assetId: v.uuid().optional(),
+    status: v.oneOf(RESERVATION_STATUSES).optional(),
+    upcoming: v.boolean().optional(),
+    queue: v.oneOf(['approver']).optional()
+  }
+}), async (req, res) => {
+  try {
+    const { assetId, status, upcoming, queue } = req.query;
+    
+    let query = `
+      SELECT r.*, a.name as asset_name, a.type as asset_type, u.name as user_name,
+        um.tier as user_tier, du.name as decided_by_name
+      FROM reservations r
+      JOIN assets a ON r.asset_id = a.id
+      JOIN users u ON r.user_id = u.id
+      LEFT JOIN family_memberships um ON um.user_id = r.user_id AND um.family_id = a.family_id
+      LEFT JOIN users du ON r.decided_by = du.id
+      WHERE a.family_id = $1
+      AND r.asset_id = ANY($2::uuid[])
+    `;
+    const params = [req.membership.family_id, await visibleAssetIds(pool, actingMember(req))];
+    
+    // Approver queue: pending requests the caller is allowed to decide
+    if (queue === 'approver') {
+      params.push(req.membership.tier, req.user.id);
+      query += ` AND r.status = 'pending'
+        AND r.expires_at > NOW()
+        AND r.approver_tier >= $${params.length - 1}
+        AND r.user_id != $${params.length}`;
+    }
+    
+    if (assetId) {
+      params.push(assetId);
+      query += ` AND r.asset_id = $${params.length}`;
+    }
+    
+    if (status) {
+      params.push(status);
+      query += ` AND r.status = $${params.length}`;
+    }
+    
+    if (upcoming === 'true') {
+      query += ` AND r.start_date >= NOW()`;
+    }
+    
+    query += queue === 'approver' ? ` ORDER BY r.expires_at ASC` : ` ORDER BY r.start_date ASC`;
+    
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({ error: 'Failed to fetch reservations' });
+  }
+});
+
+// Get user's reservations
+app.get('/api/reservations/mine', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.*, a.name as asset_name, a.type as asset_type
+       FROM reservations r
+       JOIN assets a ON r.asset_id = a.id
+       WHERE r.user_id = $1
+       ORDER BY r.start_date DESC`,
+      [req.user.id]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get my reservations error:', error);
+    res.status(500).json({ error: 'Failed to fetch reservations' });
+  }
+});
+
+// Create reservation
+app.post('/api/reservations', authenticate, requireMembership, validate({
+  body: v.object({
+    assetId: v.uuid(),
+    startDate: v.datetime(),
+    endDate: v.datetime(),
+    notes: v.string({ max: 2000 }).optional().nullable(),
+    metadata: v.json().optional().nullable(),
+    legs: v.array(tripLegSchema, { max: 20 }).optional(),
+    bump: v.boolean().optional()
+  }, { rules: [v.after('endDate', 'startDate')] })
+}), async (req, res) => {
+  try {
+    const { assetId, startDate, endDate, notes, metadata, legs, bump } = req.body;
+    
+    // Check asset exists, belongs to family and the member may book it
+    const asset = await findFamilyAsset(req, res, 'request', assetId);
+    if (!asset) return;
+    
+    // Release pending requests nobody acted on before checking the slot
+    await expirePendingReservations();
+    
+    // Requests matching an approval rule wait for an approver
+    const rule = await findApprovalRule(actingMember(req), asset);
+    
+    // Claim the slot over lower-tier bookings
+    if (bump) {
+      if (rule) {
+        return res.status(403).json({ error: 'Bookings that need approval cannot bump other reservations' });
+      }
+      
+      const claimed = await claimSlot({ user: actingMember(req), asset, startDate, endDate, notes, metadata, legs });
+      auditAs(req, { action: 'reservation.created', entityType: 'reservation', entityId: claimed.id, after: claimed });
+      return res.json(claimed);
+    }
+    
+    const reservation = await withTransaction(async (client) => {
+      await lockBookableAsset(client, asset.id);
+      
+      // Advance-booking limit and fair-share quotas
+      await checkBookingPolicies(client, { user: actingMember(req), asset, startDate, endDate });
+      
+      // Check for conflicts and maintenance; the exclusion constraint backs this up
+      const slot = { assetId, startDate, endDate };
+      await assertSlotAvailable(client, slot);
+      
+      // Create reservation
+      const created = await withOverlapGuard(client, slot, async () => {
+        const result = await client.query(
+          `INSERT INTO reservations
+            (id, asset_id, user_id, start_date, end_date, status, notes, metadata, approver_tier, expires_at, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+           RETURNING *`,
+          [uuidv4(), assetId, req.user.id, startDate, endDate, rule ? 'pending' : 'confirmed', notes, metadata,
+            rule ? rule.approver_tier : null, rule ? approvalExpiry(startDate) : null]
+        );
+        return result.rows[0];
+      });
+      
+      // Plane and boat itineraries
+      if (legs !== undefined) {
+        created.legs = await saveTripLegs(client, { reservation: created, asset, legs });
+      }
+      
+      await emitFamilyEvent(client, asset.family_id, 'reservation.created', { reservation: created });
+      await notifyAssetWatchers(client, asset, [req.user.id], 'reservation.created', {
+        title: `${req.user.name} ${rule ? 'requested' : 'booked'} ${asset.name}`,
+        body: `${asset.name} from ${created.start_date.toISOString()} to ${created.end_date.toISOString()}` +
+          `${rule ? ', waiting for approval' : ''}.`,
+        data: { reservationId: created.id, assetId: asset.id, userId: req.user.id }
+      });
+      
+      return created;
+    });
+    
+    auditAs(req, { action: 'reservation.created', entityType: 'reservation', entityId: reservation.id, after: reservation });
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details.reason === 'reservation') {
+        await notifyBookingConflict(req, error.details.conflict);
+      }
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Create reservation error:', error);
+    res.status(500).json({ error: 'Failed to create reservation' });
+  }
+});
+
+// Reservation holding any part of the slot, with who booked it
+const findReservationConflict = async (db, { assetId, startDate, endDate, excludeId }) => {
+  const result = await db.query(
+    `SELECT r.id, r.user_id, r.start_date, r.end_date, r.status, u.name as user_name
+     FROM reservations r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.asset_id = $1
+     AND r.status NOT IN ${RELEASED_STATUSES_SQL}
+     AND (r.start_date, r.end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+     AND ($4::uuid IS NULL OR r.id != $4::uuid)
+     ORDER BY r.start_date
+     LIMIT 1`,
+    [assetId, startDate, endDate, excludeId || null]
+  );
+  
+  return result.rows[0] || null;
+};
+
+const reservationConflictError = (conflict, message = 'Time slot conflicts with existing reservation') => new ApiError(
+  409,
+  message,
+  {
+    reason: 'reservation',
+    conflict: conflict && {
+      id: conflict.id,
+      userId: conflict.user_id,
+      userName: conflict.user_name,
+      startDate: conflict.start_date,
+      endDate: conflict.end_date,
+      status: conflict.status
+    }
+  }
+);
+
+// Throw a 409 if a reservation or scheduled maintenance already holds the slot
+const assertSlotAvailable = async (client, slot) => {
+  const conflict = await findReservationConflict(client, slot);
+  if (conflict) {
+    throw reservationConflictError(conflict);
+  }
+  
+  const task = await findMaintenanceConflict(client, slot.assetId, slot.startDate, slot.endDate);
+  if (task) {
+    throw maintenanceConflictError(task);
+  }
+  
+  const blackout = await findBlackoutConflict(client, slot.assetId, slot.startDate, slot.endDate);
+  if (blackout) {
+    throw blackoutConflictError(blackout);
+  }
+};
+
+// Run a write that creates or moves a reservation inside a savepoint, turning a
+// reservations_no_overlap violation (a concurrent booking won the race) into a 409
+const withOverlapGuard = async (client, slot, fn) => {
+  await client.query('SAVEPOINT overlap_guard');
+  try {
+    const result = await fn();
+    await client.query('RELEASE SAVEPOINT overlap_guard');
+    return result;
+  } catch (error) {
+    if (error.code !== '23P01') throw error;
+    
+    await client.query('ROLLBACK TO SAVEPOINT overlap_guard');
+    throw reservationConflictError(await findReservationConflict(client, slot));
+  }
+};
+
+// Field-by-field { from, to } diff between two reservation rows
+const REVISION_FIELDS = ['asset_id', 'start_date', 'end_date', 'status', 'notes', 'metadata'];
+
+const diffReservation = (before, after) => {
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+  return changes;
+};
+
+const recordRevision = (db, reservationId, userId, action, changes) => db.query(
+  `INSERT INTO reservation_revisions (id, reservation_id, changed_by, action, changes, created_at)
+   VALUES ($1, $2, $3, $4, $5, NOW())`,
+  [uuidv4(), reservationId, userId, action, changes]
+);
+
+// Load a family reservation for update by its owner or a tier 1 member
+const lockOwnReservation = async (client, req) => {
+  const found = await client.query(
+    `SELECT r.* FROM reservations r
+     JOIN assets a ON r.asset_id = a.id
+     WHERE r.id = $1 AND a.family_id = $2
+     FOR UPDATE OF r`,
+    [req.params.id, req.membership.family_id]
+  );
+  
+  const reservation = found.rows[0];
+  if (!reservation || (reservation.user_id !== req.user.id && req.membership.tier > 1)) {
+    throw new ApiError(404, 'Reservation not found or not authorized');
+  }
+  
+  return reservation;
+};
+
+// A new recurrence rule only applies to following occurrences, and trip legs
+// belong to a single occurrence
+const FOLLOWING_ONLY_RULES = [
+  {
+    test: (body) => body.rrule === undefined || body.scope === 'following',
+    field: 'rrule',
+    code: 'not_allowed',
+    message: "rrule requires scope 'following'"
+  },
+  {
+    test: (body) => body.legs === undefined || body.scope !== 'following',
+    field: 'legs',
+    code: 'not_allowed',
+    message: "legs cannot be changed with scope 'following'"
+  }
+];
+
+// Modify reservation: reschedule, extend, shorten, change asset, notes, metadata or trip legs.
+// With scope 'following', the change (or a new rrule) applies to this and later occurrences of its series.
+app.patch('/api/reservations/:id', authenticate, requireMembership, validate({
+  body: v.object({
+    assetId: v.uuid().optional(),
+    startDate: v.datetime().optional(),
+    endDate: v.datetime().optional(),
+    notes: v.string({ max: 2000 }).optional().nullable(),
+    metadata: v.json().optional().nullable(),
+    legs: v.array(tripLegSchema, { max: 20 }).optional(),
+    rrule: v.string({ min: 1, max: 500 }).optional(),
+    scope: v.oneOf(SERIES_SCOPES).optional()
+  }, { rules: [v.after('endDate', 'startDate'), ...FOLLOWING_ONLY_RULES] })
+}), async (req, res) => {
+  try {
+    const { assetId, startDate, endDate, notes, metadata, legs, scope } = req.body;
+    
+    if (scope === 'following') {
+      return res.json(await rescheduleFollowing(req));
+    }
+    
+    const reservation = await withTransaction(async (client) => {
+      const current = await lockOwnReservation(client, req);
+      
+      if (!['pending', 'confirmed', 'active'].includes(current.status)) {
+        throw new ApiError(409, `Cannot modify a ${current.status} reservation`);
+      }
+      
+      const next = {
+        asset_id: assetId !== undefined ? assetId : current.asset_id,
+        start_date: startDate !== undefined ? new Date(startDate) : current.start_date,
+        end_date: endDate !== undefined ? new Date(endDate) : current.end_date,
+        notes: notes !== undefined ? notes : current.notes,
+        metadata: metadata !== undefined ? metadata : current.metadata,
+        status: current.status,
+        approver_tier: current.approver_tier,
+        expires_at: current.expires_at
+      };
+      
+      if (isNaN(next.start_date) || isNaN(next.end_date) || next.end_date <= next.start_date) {
+        throw new ApiError(400, 'endDate must be after startDate');
+      }
+      
+      const assetChanged = next.asset_id !== current.asset_id;
+      const startChanged = next.start_date.getTime() !== current.start_date.getTime();
+      const slotChanged = assetChanged || startChanged || next.end_date.getTime() !== current.end_date.getTime();
+      
+      // A trip in progress can only be extended or shortened
+      if (current.status === 'active' && (assetChanged || startChanged)) {
+        throw new ApiError(409, 'An active reservation can only change its end date');
+      }
+      
+      const assetResult = await client.query(
+        'SELECT * FROM assets WHERE id = $1 AND family_id = $2',
+        [next.asset_id, req.membership.family_id]
+      );
+      if (assetResult.rows.length === 0) {
+        throw new ApiError(404, 'Asset not found');
+      }
+      // A new slot locks the asset until commit, so it cannot be archived under the change
+      const asset = slotChanged ? await lockBookableAsset(client, next.asset_id) : assetResult.rows[0];
+      
+      if (slotChanged) {
+        // Booking policies are the owner's, whoever is editing
+        const owner = await loadMember(client, current.user_id, req.membership.family_id);
+        if (!owner) {
+          throw new ApiError(409, 'The reservation owner is no longer a member of this family');
+        }
+        if (assetChanged) {
+          await assertCanBook(client, owner, asset);
+        }
+        await checkBookingPolicies(client, {
+          user: owner,
+          asset,
+          startDate: next.start_date,
+          endDate: next.end_date,
+          excludeId: current.id,
+          checkAdvance: startChanged
+        });
+        
+        // Moving to another asset is a new request as far as approval rules go
+        if (assetChanged) {
+          const rule = await findApprovalRule(owner, asset);
+          next.status = rule ? 'pending' : 'confirmed';
+          next.approver_tier = rule ? rule.approver_tier : null;
+          next.expires_at = rule ? approvalExpiry(next.start_date) : null;
+        }
+        
+        await assertSlotAvailable(client, {
+          assetId: next.asset_id,
+          startDate: next.start_date,
+          endDate: next.end_date,
+          excludeId: current.id
+        });
+      }
+      
+      const slot = { assetId: next.asset_id, startDate: next.start_date, endDate: next.end_date, excludeId: current.id };
+      const result = await withOverlapGuard(client, slot, () => client.query(
+        `UPDATE reservations SET
+          asset_id = $1,
+          start_date = $2,
+          end_date = $3,
+          notes = $4,
+          metadata = $5,
+          status = $6,
+          approver_tier = $7,
+          expires_at = $8,
+          is_exception = is_exception OR $9,
+          updated_at = NOW()
+         WHERE id = $10
+         RETURNING *`,
+        [next.asset_id, next.start_date, next.end_date, next.notes, next.metadata,
+          next.status, next.approver_tier, next.expires_at, Boolean(current.series_id && slotChanged), current.id]
+      ));
+      
+      const updated = result.rows[0];
+      const changes = diffReservation(current, updated);
+      
+      // New legs replace the itinerary; existing legs must still fit a rescheduled trip
+      const previousLegs = await loadTripLegs(client, [current.id]);
+      if (legs !== undefined || (slotChanged && previousLegs.length > 0)) {
+        updated.legs = await saveTripLegs(client, {
+          reservation: updated,
+          asset,
+          legs: legs !== undefined ? legs : previousLegs.map(legInput)
+        });
+        
+        const from = summarizeLegs(previousLegs);
+        const to = summarizeLegs(updated.legs);
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changes.legs = { from, to };
+        }
+      }
+      
+      if (Object.keys(changes).length > 0) {
+        await recordRevision(client, current.id, req.user.id, 'modified', changes);
+        await emitFamilyEvent(client, req.membership.family_id, 'reservation.updated', { reservation: updated, changes });
+      }
+      
+      return updated;
+    });
+    
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Modify reservation error:', error);
+    res.status(500).json({ error: 'Failed to modify reservation' });
+  }
+});
+
+// Revision history of a reservation (owner or tier 1)
+app.get('/api/reservations/:id/revisions', authenticate, requireMembership, async (req, res) => {
+  try {
+    const found = await pool.query(
+      `SELECT r.user_id FROM reservations r
+       JOIN assets a ON r.asset_id = a.id
+       WHERE r.id = $1 AND a.family_id = $2`,
+      [req.params.id, req.membership.family_id]
+    );
+    
+    if (found.rows.length === 0 || (found.rows[0].user_id !== req.user.id && req.membership.tier > 1)) {
+      return res.status(404).json({ error: 'Reservation not found or not authorized' });
+    }
+    
+    const result = await pool.query(
+      `SELECT rr.*, u.name as changed_by_name
+       FROM reservation_revisions rr
+       LEFT JOIN users u ON rr.changed_by = u.id
+       WHERE rr.reservation_id = $1
+       ORDER BY rr.created_at ASC`,
+      [req.params.id]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// Cancel reservation. With scope 'following', also cancels later occurrences of its series.
+app.patch('/api/reservations/:id/cancel', authenticate, requireMembership, validate({
+  body: { scope: v.oneOf(SERIES_SCOPES).optional() }
+}), async (req, res) => {
+  try {
+    if (req.body.scope === 'following') {
+      const result = await withTransaction(async (client) => {
+        const current = await lockOwnReservation(client, req);
+        if (current.user_id !== req.user.id) {
+          throw new ApiError(404, 'Reservation not found or not authorized');
+        }
+        
+        const series = await lockSeriesOf(client, current);
+        const truncated = await truncateSeries(client, series, current, req.user.id);
+        
+        if (truncated.cancelled.length > 0) {
+          const asset = (await client.query('SELECT * FROM assets WHERE id = $1', [current.asset_id])).rows[0];
+          await notifyAssetWatchers(client, asset, [req.user.id], 'reservation.cancelled', {
+            title: `${req.user.name} cancelled recurring bookings of ${asset.name}`,
+            body: `${truncated.cancelled.length} occurrence(s) of ${asset.name} from ` +
+              `${current.start_date.toISOString()} on were cancelled.`,
+            data: { reservationIds: truncated.cancelled, seriesId: series.id, assetId: asset.id }
+          });
+        }
+        
+        return truncated;
+      });
+      
+      for (const freed of result.released) {
+        await promoteWaitlist(freed.asset_id, freed.start_date, freed.end_date);
+      }
+      
+      auditAs(req, {
+        action: 'reservation.cancelled',
+        entityType: 'reservation',
+        entityId: req.params.id,
+        after: { scope: 'following', cancelledIds: result.cancelled }
+      });
+      return res.json({ cancelled: result.cancelled });
+    }
+    
+    const { previousStatus, cancelled } = await withTransaction(async (client) => {
+      // Joined to the row as it was before, for the audit log. Bookings that
+      // are already released or completed stay as they are.
+      const result = await client.query(
+        `UPDATE reservations r
+         SET status = 'cancelled', updated_at = NOW()
+         FROM reservations previous
+         WHERE r.id = $1 AND r.user_id = $2 AND previous.id = r.id
+         AND r.status NOT IN ${RELEASED_STATUSES_SQL} AND r.status != 'completed'
+         RETURNING r.*, previous.status as previous_status`,
+        [req.params.id, req.user.id]
+      );
+      
+      if (result.rows.length === 0) {
+        const existing = await client.query(
+          'SELECT status FROM reservations WHERE id = $1 AND user_id = $2',
+          [req.params.id, req.user.id]
+        );
+        throw existing.rows[0]
+          ? new ApiError(409, `Cannot cancel a ${existing.rows[0].status} reservation`)
+          : new ApiError(404, 'Reservation not found or not authorized');
+      }
+      
+      const { previous_status, ...row } = result.rows[0];
+      await recordRevision(client, row.id, req.user.id, 'cancelled', { status: { to: 'cancelled' } });
+      
+      const asset = (await client.query('SELECT * FROM assets WHERE id = $1', [row.asset_id])).rows[0];
+      await emitFamilyEvent(client, asset.family_id, 'reservation.cancelled', { reservation: row });
+      await notifyAssetWatchers(client, asset, [req.user.id], 'reservation.cancelled', {
+        title: `${req.user.name} cancelled a booking of ${asset.name}`,
+        body: `${asset.name} is free again from ${row.start_date.toISOString()} to ${row.end_date.toISOString()}.`,
+        data: { reservationId: row.id, assetId: asset.id }
+      });
+      
+      // Declining a waitlist offer withdraws the entry
+      await client.query(
+        `UPDATE waitlist_entries SET status = 'withdrawn', updated_at = NOW()
+         WHERE reservation_id = $1 AND status = 'offered'`,
+        [row.id]
+      );
+      
+      return { previousStatus: previous_status, cancelled: row };
+    });
+    
+    auditAs(req, {
+      action: 'reservation.cancelled',
+      entityType: 'reservation',
+      entityId: cancelled.id,
+      before: { status: previousStatus },
+      after: { status: cancelled.status }
+    });
+    
+    // Offer the freed slot to the waitlist
+    await promoteWaitlist(cancelled.asset_id, cancelled.start_date, cancelled.end_date);
+    
+    res.json(cancelled);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({ error: 'Failed to cancel reservation' });
+  }
+});
+
+// =============================================================================
+// RECURRING RESERVATION ROUTES
+// =============================================================================
+
+// Upper bound on occurrences materialized for one series
+const MAX_SERIES_OCCURRENCES = 400;
+
+// Parse an rrule from a request body, reporting bad rules as a 400
+const parseRequestRRule = (text) => {
+  try {
+    return parseRRule(text);
+  } catch (error) {
+    if (error instanceof RRuleError) {
+      throw new ApiError(400, `Invalid rrule: ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+// Book each occurrence of a series as its own reservation. Occurrences that are
+// in the past, outside the owner's booking policies or conflicting are skipped
+// and reported rather than failing the whole series. Only occurrences after
+// `after` are booked; bookedUntil is how far an open-ended rule was expanded.
+const bookSeriesOccurrences = async (client, { series, owner, asset, rule, after = null }) => {
+  const duration = new Date(series.end_date) - new Date(series.start_date);
+  const now = new Date();
+  const horizonDays = await getMaxDaysAhead(client, owner, asset);
+  
+  // Open-ended rules are only expanded as far ahead as the owner may book
+  const bookedUntil = rule.until || rule.count ? null : new Date(now.getTime() + horizonDays * DAY_MS);
+  const starts = expandRRule(rule, series.start_date, {
+    until: bookedUntil,
+    after,
+    limit: MAX_SERIES_OCCURRENCES
+  });
+  const approvalRule = await findApprovalRule(owner, asset);
+  
+  const created = [];
+  const skipped = [];
+  
+  for (const start of starts) {
+    const end = new Date(start.getTime() + duration);
+    const occurrence = { startDate: start, endDate: end };
+    
+    if (start < now) {
+      skipped.push({ ...occurrence, reason: 'past', error: 'Occurrence is in the past' });
+      continue;
+    }
+    
+    const slot = { assetId: asset.id, startDate: start, endDate: end };
+    try {
+      await checkBookingPolicies(client, { user: owner, asset, startDate: start, endDate: end });
+      await assertSlotAvailable(client, slot);
+      const result = await withOverlapGuard(client, slot, () => client.query(
+        `INSERT INTO reservations
+          (id, asset_id, user_id, start_date, end_date, status, notes, metadata, approver_tier, expires_at,
+           series_id, occurrence_start, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $4, NOW())
+         RETURNING *`,
+        [uuidv4(), asset.id, owner.id, start, end, approvalRule ? 'pending' : 'confirmed', series.notes, series.metadata,
+          approvalRule ? approvalRule.approver_tier : null, approvalRule ? approvalExpiry(start) : null, series.id]
+      ));
+      created.push(result.rows[0]);
+    } catch (error) {
+      if (!(error instanceof ApiError) || ![403, 409].includes(error.status)) throw error;
+      skipped.push({ ...occurrence, error: error.message, ...error.details });
+    }
+  }
+  
+  return { created, skipped, bookedUntil };
+};
+
+// Insert a series and book its occurrences; fails if not a single one could be booked
+const createSeries = async (client, { owner, asset, startDate, endDate, rule, notes, metadata }) => {
+  await assertCanBook(client, owner, await lockBookableAsset(client, asset.id));
+  
+  const result = await client.query(
+    `INSERT INTO reservation_series
+      (id, asset_id, user_id, rrule, start_date, end_date, notes, metadata, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', NOW(), NOW())
+     RETURNING *`,
+    [uuidv4(), asset.id, owner.id, formatRRule(rule), startDate, endDate, notes, metadata]
+  );
+  
+  const series = result.rows[0];
+  const { created, skipped, bookedUntil } = await bookSeriesOccurrences(client, { series, owner, asset, rule });
+  
+  if (created.length === 0) {
+    throw new ApiError(409, 'None of the occurrences in this series could be booked', { skipped });
+  }
+  
+  if (bookedUntil) {
+    await client.query('UPDATE reservation_series SET booked_until = $1 WHERE id = $2', [bookedUntil, series.id]);
+    series.booked_until = bookedUntil;
+  }
+  
+  for (const reservation of created) {
+    await emitFamilyEvent(client, asset.family_id, 'reservation.created', { reservation, seriesId: series.id });
+  }
+  
+  return { series, created, skipped };
+};
+
+// Open-ended series are booked only as far ahead as their owner may book. As
+// that window moves forward, book the occurrences that came into it and tell
+// the owner about any that could not be booked. Returns how many were booked.
+const extendOpenEndedSeries = async () => {
+  const open = await pool.query(
+    `SELECT id FROM reservation_series WHERE status = 'active' AND booked_until IS NOT NULL`
+  );
+  
+  let booked = 0;
+  for (const { id } of open.rows) {
+    try {
+      booked += await withTransaction(async (client) => {
+        const locked = await client.query(
+          `SELECT * FROM reservation_series WHERE id = $1 AND status = 'active' AND booked_until IS NOT NULL
+           FOR UPDATE SKIP LOCKED`,
+          [id]
+        );
+        const series = locked.rows[0];
+        if (!series) return 0;
+        
+        const asset = (await client.query('SELECT * FROM assets WHERE id = $1 FOR UPDATE', [series.asset_id])).rows[0];
+        const owner = asset && !asset.archived_at ? await loadMember(client, series.user_id, asset.family_id) : null;
+        if (!owner) return 0;
+        
+        const rule = parseRRule(series.rrule);
+        const { created, skipped, bookedUntil } = await bookSeriesOccurrences(client, {
+          series, owner, asset, rule, after: series.booked_until
+        });
+        if (!bookedUntil || bookedUntil <= series.booked_until) return 0;
+        
+        await client.query(
+          'UPDATE reservation_series SET booked_until = $1 WHERE id = $2',
+          [bookedUntil, series.id]
+        );
+        for (const reservation of created) {
+          await emitFamilyEvent(client, asset.family_id, 'reservation.created', { reservation, seriesId: series.id });
+        }
+        
+        const missed = skipped.filter(occurrence => occurrence.reason !== 'past');
+        if (missed.length > 0) {
+          await notify(client, owner.id, 'reservation.series_skipped', {
+            title: `${missed.length} upcoming occurrence(s) of your ${asset.name} series could not be booked`,
+            body: missed.map(occurrence => `${occurrence.startDate.toISOString()}: ${occurrence.error}`).join('\n'),
+            data: { seriesId: series.id, assetId: asset.id }
+          });
+        }
+        
+        return created.length;
+      });
+    } catch (error) {
+      console.error(`Series extension error (${id}):`, error);
+    }
+  }
+  
+  return booked;
+};
+
+// Cancel an occurrence and every later one, and end the series' rule just before it.
+// Returns how many occurrences a COUNT-based rule had left from this point.
+const truncateSeries = async (client, series, occurrence, userId) => {
+  const cancelled = await client.query(
+    `UPDATE reservations SET status = 'cancelled', updated_at = NOW()
+     WHERE series_id = $1 AND occurrence_start >= $2
+     AND status IN ('pending', 'confirmed')
+     RETURNING *`,
+    [series.id, occurrence.occurrence_start]
+  );
+  
+  const asset = (await client.query('SELECT family_id FROM assets WHERE id = $1', [series.asset_id])).rows[0];
+  for (const reservation of cancelled.rows) {
+    await recordRevision(client, reservation.id, userId, 'cancelled', { status: { to: 'cancelled' }, scope: 'following' });
+    await emitFamilyEvent(client, asset.family_id, 'reservation.cancelled', { reservation, seriesId: series.id });
+  }
+  
+  const rule = parseRRule(series.rrule);
+  const cutoff = new Date(new Date(occurrence.occurrence_start).getTime() - 1000);
+  const before = expandRRule(rule, series.start_date, { until: cutoff, limit: MAX_SERIES_OCCURRENCES }).length;
+  const remainingCount = rule.count ? Math.max(rule.count - before, 1) : null;
+  
+  if (before === 0) {
+    await client.query(
+      `UPDATE reservation_series SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
+      [series.id]
+    );
+  } else {
+    await client.query(
+      `UPDATE reservation_series SET rrule = $1, booked_until = NULL, updated_at = NOW() WHERE id = $2`,
+      [formatRRule({ ...rule, until: cutoff, count: null }), series.id]
+    );
+  }
+  
+  return { cancelled: cancelled.rows.map(r => r.id), released: cancelled.rows, remainingCount };
+};
+
+// Lock the series a reservation belongs to
+const lockSeriesOf = async (client, reservation) => {
+  if (!reservation.series_id) {
+    throw new ApiError(400, 'Reservation is not part of a recurring series');
+  }
+  
+  const result = await client.query(
+    'SELECT * FROM reservation_series WHERE id = $1 FOR UPDATE',
+    [reservation.series_id]
+  );
+  return result.rows[0];
+};
+
+// "This and following": end the current series here and continue it as a new
+// series with the requested changes applied from this occurrence on
+const rescheduleFollowing = (req) => withTransaction(async (client) => {
+  const { assetId, startDate, endDate, notes, metadata, rrule } = req.body;
+  
+  const current = await lockOwnReservation(client, req);
+  const series = await lockSeriesOf(client, current);
+  
+  const nextStart = startDate !== undefined ? new Date(startDate) : current.start_date;
+  const nextEnd = endDate !== undefined ? new Date(endDate) : current.end_date;
+  if (isNaN(nextStart) || isNaN(nextEnd) || nextEnd <= nextStart) {
+    throw new ApiError(400, 'endDate must be after startDate');
+  }
+  
+  const assetResult = await client.query(
+    'SELECT * FROM assets WHERE id = $1 AND family_id = $2',
+    [assetId || series.asset_id, req.membership.family_id]
+  );
+  if (assetResult.rows.length === 0) {
+    throw new ApiError(404, 'Asset not found');
+  }
+  
+  const owner = await loadMember(client, current.user_id, req.membership.family_id);
+  if (!owner) {
+    throw new ApiError(409, 'The series owner is no longer a member of this family');
+  }
+  const originalRule = parseRRule(series.rrule);
+  const { cancelled, remainingCount } = await truncateSeries(client, series, current, req.user.id);
+  
+  const rule = rrule !== undefined
+    ? parseRequestRRule(rrule)
+    : { ...originalRule, count: remainingCount };
+  
+  const result = await createSeries(client, {
+    owner,
+    asset: assetResult.rows[0],
+    startDate: nextStart,
+    endDate: nextEnd,
+    rule,
+    notes: notes !== undefined ? notes : series.notes,
+    metadata: metadata !== undefined ? metadata : series.metadata
+  });
+  
+  return { ...result, cancelled };
+});
+
+// Create a recurring series
+app.post('/api/reservation-series', authenticate, requireMembership, validate({
+  body: v.object({
+    assetId: v.uuid(),
+    startDate: v.datetime(),
+    endDate: v.datetime(),
+    rrule: v.string({ min: 1, max: 500 }),
+    notes: v.string({ max: 2000 }).optional().nullable(),
+    metadata: v.json().optional().nullable()
+  }, { rules: [v.after('endDate', 'startDate')] })
+}), async (req, res) => {
+  try {
+    const { assetId, startDate, endDate, rrule, notes, metadata } = req.body;
+    
+    const rule = parseRequestRRule(rrule);
+    
+    const assetResult = await pool.query(
+      'SELECT * FROM assets WHERE id = $1 AND family_id = $2',
+      [assetId, req.membership.family_id]
+    );
+    
+    if (assetResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    await expirePendingReservations();
+    
+    const result = await withTransaction(client => createSeries(client, {
+      owner: actingMember(req),
+      asset: assetResult.rows[0],
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      rule,
+      notes,
+      metadata
+    }));
+    
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Create series error:', error);
+    res.status(500).json({ error: 'Failed to create recurring reservation' });
+  }
+});
+
+// Get a series with its occurrences. Series on assets the caller cannot see
+// are a 404 like unknown ones.
+app.get('/api/reservation-series/:id', authenticate, requireMembership, async (req, res) => {
+  try {
+    const seriesResult = await pool.query(
+      `SELECT s.*, a.name as asset_name, a.type as asset_type, u.name as user_name
+       FROM reservation_series s
+       JOIN assets a ON s.asset_id = a.id
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1 AND a.family_id = $2`,
+      [req.params.id, req.membership.family_id]
+    );
+    
+    const series = seriesResult.rows[0];
+    const { access } = series
+      ? await assetAccess(pool, actingMember(req), { id: series.asset_id, type: series.asset_type, family_id: req.membership.family_id })
+      : { access: 'none' };
+    
+    if (!hasAccess(access, 'view')) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    
+    const occurrences = await pool.query(
+      `SELECT * FROM reservations WHERE series_id = $1 ORDER BY occurrence_start`,
+      [req.params.id]
+    );
+    
+    res.json({ ...series, occurrences: occurrences.rows });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring reservation' });
+  }
+});
+
+// =============================================================================
+// BOOKING POLICY ROUTES
+// =============================================================================
+
+const loadBookingPolicies = async (db, familyId) => {
+  const result = await db.query(
+    'SELECT * FROM booking_policies WHERE family_id = $1 ORDER BY created_at',
+    [familyId]
+  );
+  return result.rows;
+};
+
+// How far ahead this member may book this asset
+const getMaxDaysAhead = async (db, user, asset) =>
+  maxDaysAhead(await loadBookingPolicies(db, asset.family_id), user, asset);
+
+// A member's usage of a quota within one accounting period
+const quotaUsage = async (db, policy, user, window, excludeId) => {
+  const result = await db.query(
+    `SELECT r.start_date, r.end_date
+     FROM reservations r
+     JOIN assets a ON r.asset_id = a.id
+     WHERE r.user_id = $1 AND a.family_id = $2
+     AND r.status NOT IN ${RELEASED_STATUSES_SQL}
+     AND ($3::uuid IS NULL OR a.id = $3::uuid)
+     AND ($4::varchar IS NULL OR a.type = $4::varchar)
+     AND r.start_date < $6 AND r.end_date > $5
+     AND ($7::uuid IS NULL OR r.id != $7::uuid)`,
+    [user.id, policy.family_id, policy.asset_id, policy.asset_type, window.start, window.end, excludeId || null]
+  );
+  
+  return result.rows.reduce((sum, r) => sum + measureUsage(policy, r.start_date, r.end_date, window), 0);
+};
+
+// Enforce the advance-booking limit and every quota that applies to this booking.
+// Throws a 403 explaining the limit. Holds a per-member lock until the transaction
+// ends so two concurrent bookings cannot both squeeze under the same quota.
+const checkBookingPolicies = async (client, { user, asset, startDate, endDate, excludeId, checkAdvance = true }) => {
+  const policies = await loadBookingPolicies(client, asset.family_id);
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  
+  if (checkAdvance) {
+    const limit = maxDaysAhead(policies, user, asset);
+    if (Math.ceil((start - new Date()) / DAY_MS) > limit) {
+      throw new ApiError(403, `Tier ${user.tier} members can only book ${limit} days in advance`, {
+        reason: 'advance_limit',
+        limit
+      });
+    }
+  }
+  
+  const quotas = selectPolicies(policies, user, asset).filter(policy => policy.kind !== 'advance_days');
+  if (quotas.length === 0) return;
+  
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`quota:${user.id}`]);
+  
+  for (const policy of quotas) {
+    const limit = Number(policy.limit_value);
+    
+    for (const window of periodsTouched(policy.period, start, end)) {
+      const requested = measureUsage(policy, start, end, window);
+      if (requested === 0) continue;
+      
+      const used = await quotaUsage(client, policy, user, window, excludeId);
+      if (used + requested <= limit) continue;
+      
+      const remaining = Math.max(limit - used, 0);
+      const unit = UNITS[policy.kind];
+      throw new ApiError(
+        403,
+        `Quota exceeded: ${describePolicy(policy, { assetName: policy.asset_id ? asset.name : null })}. ` +
+          `You have used ${used} of ${limit} ${unit} this ${policy.period} and this booking needs ${requested} ` +
+          `(${remaining} remaining).`,
+        {
+          reason: 'quota',
+          quota: {
+            policyId: policy.id,
+            kind: policy.kind,
+            unit,
+            period: policy.period,
+            periodStart: window.start,
+            periodEnd: window.end,
+            limit,
+            used,
+            requested,
+            remaining
+          }
+        }
+      );
+    }
+  }
+};
+
+// List booking policies for the family
+app.get('/api/booking-policies', authenticate, requireMembership, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT bp.*, a.name as asset_name, u.name as user_name
+       FROM booking_policies bp
+       LEFT JOIN assets a ON bp.asset_id = a.id
+       LEFT JOIN users u ON bp.user_id = u.id
+       WHERE bp.family_id = $1
+       ORDER BY bp.kind, bp.created_at`,
+      [req.membership.family_id]
+    );
+    
+    res.json(result.rows.map(policy => ({
+      ...policy,
+      summary: describePolicy(policy, { assetName: policy.asset_name })
+    })));
+  } catch (error) {
+    console.error('Get booking policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch booking policies' });
+  }
+});
+
+// Create booking policy (admin only)
+app.post('/api/booking-policies', authenticate, requireMembership, validate({
+  body: {
+    kind: v.oneOf(POLICY_KINDS),
+    limit: v.number({ min: 0 }),
+    period: v.oneOf(POLICY_PERIODS).optional().nullable(),
+    assetId: v.uuid().optional().nullable(),
+    assetType: v.oneOf(ASSET_TYPES).optional().nullable(),
+    tier: v.integer({ min: 1, max: 4 }).optional().nullable(),
+    userId: v.uuid().optional().nullable(),
+    seasonStart: v.string({ pattern: SEASON_PATTERN, patternMessage: 'must be MM-DD' }).optional().nullable(),
+    seasonEnd: v.string({ pattern: SEASON_PATTERN, patternMessage: 'must be MM-DD' }).optional().nullable(),
+    description: v.string({ max: 255 }).optional().nullable()
+  }
+}), async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage booking policies' });
+    }
+    
+    const { kind, limit, period, assetId, assetType, tier, userId, seasonStart, seasonEnd, description } = req.body;
+    
+    if (kind === 'advance_days' ? period : !period) {
+      return res.status(400).json({
+        error: kind === 'advance_days'
+          ? 'advance_days policies do not take a period'
+          : `period must be one of ${POLICY_PERIODS.join(', ')}`
+      });
+    }
+    if (Boolean(seasonStart) !== Boolean(seasonEnd)) {
+      return res.status(400).json({ error: 'seasonStart and seasonEnd must both be given as MM-DD' });
+    }
+    
+    if (assetId) {
+      const asset = await pool.query(
+        'SELECT id FROM assets WHERE id = $1 AND family_id = $2',
+        [assetId, req.membership.family_id]
+      );
+      if (asset.rows.length === 0) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+    }
+    
+    if (userId) {
+      const member = await loadMember(pool, userId, req.membership.family_id);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO booking_policies
+        (id, family_id, kind, limit_value, period, asset_id, asset_type, tier, user_id,
+         season_start, season_end, description, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+       RETURNING *`,
+      [uuidv4(), req.membership.family_id, kind, limit, period || null, assetId || null, assetType || null,
+        tier || null, userId || null, seasonStart || null, seasonEnd || null, description || null, req.user.id]
+    );
+    
+    res.json({ ...result.rows[0], summary: describePolicy(result.rows[0]) });
+  } catch (error) {
+    console.error('Create booking policy error:', error);
+    res.status(500).json({ error: 'Failed to create booking policy' });
+  }
+});
+
+// Delete booking policy (admin only)
+app.delete('/api/booking-policies/:id', authenticate, requireMembership, async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage booking policies' });
+    }
+    
+    const result = await pool.query(
+      'DELETE FROM booking_policies WHERE id = $1 AND family_id = $2 RETURNING id',
+      [req.params.id, req.membership.family_id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Booking policy not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete booking policy error:', error);
+    res.status(500).json({ error: 'Failed to delete booking policy' });
+  }
+});
+
+// Used and remaining allowance for the current period. Tier 1 may pass ?userId=
+// for another member, or ?userId=all for every member of the family.
+app.get('/api/quotas', authenticate, requireMembership, validate({
+  query: {
+    userId: v.string({
+      pattern: new RegExp(`^all$|${v.UUID_PATTERN.source}`, 'i'),
+      patternMessage: "must be a member id or 'all'"
+    }).optional()
+  }
+}), async (req, res) => {
+  try {
+    const { userId } = req.query;
+    
+    if (userId && userId !== req.user.id && req.membership.tier > 1) {
+      return res.status(403).json({ error: "Only tier 1 members can view other members' quotas" });
+    }
+    
+    const membersResult = await pool.query(
+      `SELECT u.id, u.name, m.tier FROM family_memberships m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.family_id = $1 AND m.active = TRUE AND ($2::text = 'all' OR u.id = $3)
+       ORDER BY m.tier, u.name`,
+      [req.membership.family_id, userId === 'all' ? 'all' : null, userId && userId !== 'all' ? userId : req.user.id]
+    );
+    
+    if (membersResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const [policies, assets] = await Promise.all([
+      loadBookingPolicies(pool, req.membership.family_id),
+      pool.query('SELECT * FROM assets WHERE family_id = $1', [req.membership.family_id])
+    ]);
+    
+    const now = new Date();
+    const report = [];
+    
+    for (const member of membersResult.rows) {
+      // A policy applies to the member if it covers any family asset for them
+      const applicable = new Map();
+      for (const asset of assets.rows) {
+        for (const policy of selectPolicies(policies, member, asset)) {
+          applicable.set(policy.id, policy);
+        }
+      }
+      
+      const quotas = [];
+      for (const policy of applicable.values()) {
+        const asset = policy.asset_id ? assets.rows.find(a => a.id === policy.asset_id) : null;
+        const entry = {
+          policyId: policy.id,
+          kind: policy.kind,
+          unit: UNITS[policy.kind],
+          limit: Number(policy.limit_value),
+          summary: describePolicy(policy, { assetName: asset && asset.name })
+        };
+        
+        if (policy.kind !== 'advance_days') {
+          const window = periodBounds(policy.period, now);
+          const used = await quotaUsage(pool, policy, member, window);
+          Object.assign(entry, {
+            period: policy.period,
+            periodStart: window.start,
+            periodEnd: window.end,
+            used,
+            remaining: Math.max(entry.limit - used, 0)
+          });
+        }
+        
+        quotas.push(entry);
+      }
+      
+      report.push({ userId: member.id, name: member.name, tier: member.tier, quotas });
+    }
+    
+    res.json(userId === 'all' ? report : report[0]);
+  } catch (error) {
+    console.error('Get quotas error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotas' });
+  }
+});
+
+// =============================================================================
+// APPROVAL ROUTES
+// =============================================================================
+
+// Most specific rule that makes this member's booking of the asset need approval.
+// 'request' access to the asset counts as a rule too; the more senior approver wins.
+// Members already at the approver tier never need approval.
+const findApprovalRule = async (user, asset) => {
+  const result = await pool.query(
+    `SELECT * FROM approval_rules
+     WHERE family_id = $1
+     AND (asset_id = $2 OR asset_id IS NULL)
+     AND $3 BETWEEN min_tier AND max_tier
+     AND approver_tier < $3
+     ORDER BY asset_id NULLS LAST, approver_tier ASC
+     LIMIT 1`,
+    [asset.family_id, asset.id, user.tier]
+  );
+  const rule = result.rows[0] || null;
+  
+  const { access, approverTier } = await assetAccess(pool, user, asset);
+  if (access === 'request' && approverTier < user.tier && (!rule || approverTier < rule.approver_tier)) {
+    return { approver_tier: approverTier, source: 'permission' };
+  }
+  
+  return rule;
+};
+
+// Pending requests expire after APPROVAL_TTL_HOURS, or at the latest when they would start
+const approvalExpiry = (startDate) => {
+  const ttl = new Date(Date.now() + APPROVAL_TTL_HOURS * 60 * 60 * 1000);
+  const start = new Date(startDate);
+  return start < ttl ? start : ttl;
+};
+
+// Move pending requests past their expiry to 'expired', offering their slots to the waitlist
+const expirePendingReservations = async () => {
+  const result = await pool.query(
+    `UPDATE reservations r SET status = 'expired', updated_at = NOW()
+     FROM assets a
+     WHERE a.id = r.asset_id AND r.status = 'pending' AND r.expires_at <= NOW()
+     RETURNING r.*, a.family_id`
+  );
+  
+  for (const { family_id: familyId, ...expired } of result.rows) {
+    await emitFamilyEvent(pool, familyId, 'reservation.expired', { reservation: expired });
+    await promoteWaitlist(expired.asset_id, expired.start_date, expired.end_date);
+  }
+  
+  return result.rows;
+};
+
+// List approval rules for the family
+app.get('/api/approval-rules', authenticate, requireMembership, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ar.*, a.name as asset_name
+       FROM approval_rules ar
+       LEFT JOIN assets a ON ar.asset_id = a.id
+       WHERE ar.family_id = $1
+       ORDER BY a.name NULLS FIRST, ar.min_tier`,
+      [req.membership.family_id]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get approval rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch approval rules' });
+  }
+});
+
+// Create approval rule (admin only)
+app.post('/api/approval-rules', authenticate, requireMembership, validate({
+  body: {
+    assetId: v.uuid().optional().nullable(),
+    minTier: v.integer({ min: 1, max: 4 }),
+    maxTier: v.integer({ min: 1, max: 4 }),
+    approverTier: v.integer({ min: 1, max: 4 })
+  }
+}), async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage approval rules' });
+    }
+    
+    const { assetId, minTier, maxTier, approverTier } = req.body;
+    const tiers = [minTier, maxTier, approverTier];
+    
+    if (tiers[0] > tiers[1]) {
+      return res.status(400).json({ error: 'minTier cannot be greater than maxTier' });
+    }
+    if (tiers[2] >= tiers[0]) {
+      return res.status(400).json({ error: 'approverTier must be a higher tier (lower number) than minTier' });
+    }
+    
+    if (assetId) {
+      const asset = await pool.query(
+        'SELECT id FROM assets WHERE id = $1 AND family_id = $2',
+        [assetId, req.membership.family_id]
+      );
+      if (asset.rows.length === 0) {
+        return res.status(404).json({ error: 'Asset not found' });
+      }
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO approval_rules (id, family_id, asset_id, min_tier, max_tier, approver_tier, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING *`,
+      [uuidv4(), req.membership.family_id, assetId || null, ...tiers, req.user.id]
+    );
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Create approval rule error:', error);
+    res.status(500).json({ error: 'Failed to create approval rule' });
+  }
+});
+
+// Delete approval rule (admin only)
+app.delete('/api/approval-rules/:id', authenticate, requireMembership, async (req, res) => {
+  try {
+    if (req.membership.tier > 1) {
+      return res.status(403).json({ error: 'Only tier 1 members can manage approval rules' });
+    }
+    
+    const result = await pool.query(
+      'DELETE FROM approval_rules WHERE id = $1 AND family_id = $2 RETURNING id',
+      [req.params.id, req.membership.family_id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Approval rule not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete approval rule error:', error);
+    res.status(500).json({ error: 'Failed to delete approval rule' });
+  }
+});
+
+// Approve or reject a pending reservation
+const handleApprovalDecision = (decision) => async (req, res) => {
+  try {
+    const reservation = await withTransaction(async (client) => {
+      const found = await client.query(
+        `SELECT r.* FROM reservations r
+         JOIN assets a ON r.asset_id = a.id
+         WHERE r.id = $1 AND a.family_id = $2
+         FOR UPDATE OF r`,
+        [req.params.id, req.membership.family_id]
+      );
+      
+      if (found.rows.length === 0) {
+        throw new ApiError(404, 'Reservation not found');
+      }
+      
+      const pending = found.rows[0];
+      if (pending.status !== 'pending' || pending.expires_at <= new Date()) {
+        throw new ApiError(409, `Reservation is no longer awaiting approval (${pending.status})`);
+      }
+      if (pending.user_id === req.user.id) {
+        throw new ApiError(403, 'You cannot decide on your own reservation');
+      }
+      if (req.membership.tier > pending.approver_tier) {
+        throw new ApiError(403, `Only tier ${pending.approver_tier} members or higher can decide on this reservation`);
+      }
+      
+      const result = await client.query(
+        `UPDATE reservations SET
+          status = $1,
+          decided_by = $2,
+          decided_at = NOW(),
+          decision_reason = $3,
+          expires_at = NULL,
+          updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [decision, req.user.id, req.body.reason || null, pending.id]
+      );
+      await emitFamilyEvent(client, req.membership.family_id,
+        decision === 'confirmed' ? 'reservation.approved' : 'reservation.rejected', { reservation: result.rows[0] });
+      
+      return result.rows[0];
+    });
+    
+    if (reservation.status === 'rejected') {
+      await promoteWaitlist(reservation.asset_id, reservation.start_date, reservation.end_date);
+    }
+    
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Reservation decision error:', error);
+    res.status(500).json({ error: 'Failed to record decision' });
+  }
+};
+
+const validateDecision = validate({ body: { reason: v.string({ max: 1000 }).optional().nullable() } });
+
+app.post('/api/reservations/:id/approve', authenticate, requireMembership, validateDecision, handleApprovalDecision('confirmed'));
+app.post('/api/reservations/:id/reject', authenticate, requireMembership, validateDecision, handleApprovalDecision('rejected'));
+
+// =============================================================================
+// PRIORITY BUMPING
+// =============================================================================
+
+// How far either side of a displaced booking to look for alternatives
+const ALTERNATIVE_SEARCH_DAYS = 30;
+
+// Nearest free slots of the same length on the asset, closest to the original start first
+const findAlternativeSlots = async (db, assetId, startDate, endDate, { horizonDays, limit = 3 } = {}) => {
+  const start = new Date(startDate);
+  const duration = new Date(endDate) - start;
+  const now = new Date();
+  const windowStart = new Date(Math.max(now, start - ALTERNATIVE_SEARCH_DAYS * DAY_MS));
+  let windowEnd = new Date(start.getTime() + duration + ALTERNATIVE_SEARCH_DAYS * DAY_MS);
+  
+  if (horizonDays) {
+    const bookingHorizon = new Date(now.getTime() + horizonDays * DAY_MS + duration);
+    windowEnd = new Date(Math.min(windowEnd, bookingHorizon));
+  }
+  
+  const busy = await db.query(
+    `SELECT start_date as period_start, end_date as period_end FROM reservations
+     WHERE asset_id = $1
+     AND status NOT IN ${RELEASED_STATUSES_SQL}
+     AND (start_date, end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+     UNION ALL
+     SELECT scheduled_start, scheduled_end FROM maintenance_tasks
+     WHERE asset_id = $1
+     AND status IN ${OPEN_MAINTENANCE_SQL}
+     AND scheduled_start IS NOT NULL AND scheduled_end IS NOT NULL
+     AND (scheduled_start, scheduled_end) OVERLAPS ($2::timestamp, $3::timestamp)
+     UNION ALL
+     SELECT start_date, end_date FROM asset_blackouts
+     WHERE asset_id = $1
+     AND (start_date, end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+     ORDER BY period_start`,
+    [assetId, windowStart, windowEnd]
+  );
+  
+  // Walk the busy periods to find the gaps between them
+  const gaps = [];
+  let cursor = windowStart;
+  for (const period of busy.rows) {
+    if (period.period_start > cursor) {
+      gaps.push([cursor, period.period_start]);
+    }
+    if (period.period_end > cursor) {
+      cursor = period.period_end;
+    }
+  }
+  gaps.push([cursor, windowEnd]);
+  
+  return gaps
+    .filter(([gapStart, gapEnd]) => gapEnd - gapStart >= duration)
+    .map(([gapStart, gapEnd]) => {
+      const candidate = Math.min(Math.max(start, gapStart), gapEnd - duration);
+      return {
+        startDate: new Date(candidate),
+        endDate: new Date(candidate + duration),
+        distance: Math.abs(candidate - start)
+      };
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ startDate: slotStart, endDate: slotEnd }) => ({ startDate: slotStart, endDate: slotEnd }));
+};
+
+// Book a slot, displacing overlapping lower-tier reservations. Runs in one
+// transaction holding a lock on the asset row, so concurrent claims serialize.
+const claimSlot = ({ user, asset, startDate, endDate, notes, metadata, legs }) => withTransaction(async (client) => {
+  const policy = await lockBookableAsset(client, asset.id);
+  
+  if (!policy.bump_enabled) {
+    throw new ApiError(403, `${policy.name} does not allow priority bumping`);
+  }
+  
+  await checkBookingPolicies(client, { user, asset, startDate, endDate });
+  
+  const task = await findMaintenanceConflict(client, asset.id, startDate, endDate);
+  if (task) {
+    throw maintenanceConflictError(task);
+  }
+  
+  const blackout = await findBlackoutConflict(client, asset.id, startDate, endDate);
+  if (blackout) {
+    throw blackoutConflictError(blackout);
+  }
+  
+  const overlapping = await client.query(
+    `SELECT r.*, u.name as user_name, m.tier as user_tier
+     FROM reservations r
+     JOIN users u ON r.user_id = u.id
+     LEFT JOIN family_memberships m ON m.user_id = r.user_id AND m.family_id = $4
+     WHERE r.asset_id = $1
+     AND r.status NOT IN ${RELEASED_STATUSES_SQL}
+     AND (r.start_date, r.end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+     ORDER BY r.start_date
+     FOR UPDATE OF r`,
+    [asset.id, startDate, endDate, asset.family_id]
+  );
+  
+  const noticeCutoff = new Date(Date.now() + policy.bump_notice_days * DAY_MS);
+  for (const existing of overlapping.rows) {
+    if (!['pending', 'confirmed'].includes(existing.status)) {
+      throw reservationConflictError(existing,
+        `Reservation by ${existing.user_name} is already ${existing.status} and cannot be bumped`);
+    }
+    if (existing.user_tier <= user.tier) {
+      throw reservationConflictError(existing,
+        `Reservation by ${existing.user_name} is not from a lower tier and cannot be bumped`);
+    }
+    if (existing.start_date < noticeCutoff) {
+      throw reservationConflictError(existing,
+        `Reservations can only be bumped at least ${policy.bump_notice_days} days before they start`);
+    }
+  }
+  
+  const reservationId = uuidv4();
+  
+  if (overlapping.rows.length > 0) {
+    await client.query(
+      `UPDATE reservations
+       SET status = 'bumped', bumped_by = $1, bumped_at = NOW(), updated_at = NOW()
+       WHERE id = ANY($2::uuid[])`,
+      [reservationId, overlapping.rows.map(r => r.id)]
+    );
+  }
+  
+  const result = await withOverlapGuard(client, { assetId: asset.id, startDate, endDate }, () => client.query(
+    `INSERT INTO reservations (id, asset_id, user_id, start_date, end_date, status, notes, metadata, created_at)
+     VALUES ($1, $2, $3, $4, $5, 'confirmed', $6, $7, NOW())
+     RETURNING *`,
+    [reservationId, asset.id, user.id, startDate, endDate, notes, metadata]
+  ));
+  
+  if (legs !== undefined) {
+    result.rows[0].legs = await saveTripLegs(client, { reservation: result.rows[0], asset, legs });
+  }
+  
+  await emitFamilyEvent(client, asset.family_id, 'reservation.created', { reservation: result.rows[0] });
+  await notifyAssetWatchers(client, asset, [user.id, ...overlapping.rows.map(r => r.user_id)], 'reservation.created', {
+    title: `${user.name} booked ${policy.name}`,
+    body: `${policy.name} from ${result.rows[0].start_date.toISOString()} to ${result.rows[0].end_date.toISOString()}.`,
+    data: { reservationId, assetId: asset.id, userId: user.id }
+  });
+  
+  const bumped = [];
+  for (const displaced of overlapping.rows) {
+    const alternatives = await findAlternativeSlots(client, asset.id, displaced.start_date, displaced.end_date, {
+      horizonDays: await getMaxDaysAhead(client, { id: displaced.user_id, tier: displaced.user_tier }, policy)
+    });
+    
+    await emitFamilyEvent(client, asset.family_id, 'reservation.bumped', {
+      reservation: { ...displaced, status: 'bumped', bumped_by: reservationId },
+      bumpedBy: reservationId
+    });
+    await notify(client, displaced.user_id, 'reservation.bumped', {
+      title: `Your ${policy.name} reservation was bumped`,
+      body: `${user.name} (tier ${user.tier}) claimed ${policy.name} for ` +
+        `${new Date(startDate).toISOString()} – ${new Date(endDate).toISOString()}.`,
+      data: {
+        reservationId: displaced.id,
+        bumpedBy: reservationId,
+        assetId: asset.id,
+        alternatives
+      }
+    });
+    
+    bumped.push({
+      id: displaced.id,
+      userName: displaced.user_name,
+      startDate: displaced.start_date,
+      endDate: displaced.end_date,
+      alternatives
+    });
+  }
+  
+  return { ...result.rows[0], bumped };
+});
+
+// Configure the bumping policy for an asset (admin only)
+app.put('/api/assets/:id/bump-policy', authenticate, requireMembership, validate({
+  body: { enabled: v.boolean().optional(), noticeDays: v.integer({ min: 0, max: 365 }).optional() }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { enabled, noticeDays } = req.body;
+    
+    const result = await pool.query(
+      `UPDATE assets SET
+        bump_enabled = COALESCE($1, bump_enabled),
+        bump_notice_days = COALESCE($2, bump_notice_days),
+        updated_at = NOW()
+       WHERE id = $3 AND family_id = $4
+       RETURNING *`,
+      [enabled !== undefined ? Boolean(enabled) : null, noticeDays !== undefined ? noticeDays : null,
+        req.params.id, req.membership.family_id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update bump policy error:', error);
+    res.status(500).json({ error: 'Failed to update bumping policy' });
+  }
+});
+
+// Alternative slots for a bumped reservation
+app.get('/api/reservations/:id/alternatives', authenticate, requireMembership, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT r.* FROM reservations r
+       JOIN assets a ON r.asset_id = a.id
+       WHERE r.id = $1 AND r.user_id = $2 AND a.family_id = $3`,
+      [req.params.id, req.user.id, req.membership.family_id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    
+    const reservation = result.rows[0];
+    const asset = (await pool.query('SELECT * FROM assets WHERE id = $1', [reservation.asset_id])).rows[0];
+    res.json(await findAlternativeSlots(pool, reservation.asset_id, reservation.start_date, reservation.end_date, {
+      horizonDays: await getMaxDaysAhead(pool, actingMember(req), asset)
+    }));
+  } catch (error) {
+    console.error('Get alternatives error:', error);
+    res.status(500).json({ error: 'Failed to find alternative slots' });
+  }
+});
+
+// =============================================================================
+// NOTIFICATION ROUTES
+// =============================================================================
+
+// Channel overrides and quiet hours of a member
+const loadNotificationSettings = async (db, userId) => {
+  const preferences = await db.query(
+    'SELECT event_type, channels FROM notification_preferences WHERE user_id = $1',
+    [userId]
+  );
+  const settings = await db.query('SELECT * FROM notification_settings WHERE user_id = $1', [userId]);
+  
+  return { preferences: preferences.rows, settings: settings.rows[0] || null };
+};
+
+// Notify a member through the channels they chose for the event type: the in-app
+// inbox right away, email and webhook through the outbox once quiet hours are over
+const notify = async (db, userId, type, { title, body, data = {} }) => {
+  const { preferences, settings } = await loadNotificationSettings(db, userId);
+  const channels = channelsFor(preferences, type);
+  
+  let notification = null;
+  if (channels.includes('in_app')) {
+    const result = await db.query(
+      `INSERT INTO notifications (id, user_id, type, title, body, data, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [uuidv4(), userId, type, title, body, data]
+    );
+    notification = result.rows[0];
+  }
+  
+  const quietHours = settings && { start: settings.quiet_start, end: settings.quiet_end, timezone: settings.timezone };
+  const deliverAt = quietHoursEnd(quietHours) || new Date();
+  
+  for (const channel of channels) {
+    if (channel === 'in_app') continue;
+    if (channel === 'webhook' && !(settings && settings.webhook_url)) continue;
+    
+    await db.query(
+      `INSERT INTO notification_outbox (id, user_id, notification_id, event_type, channel, payload, next_attempt_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+      [uuidv4(), userId, notification && notification.id, type, channel, { title, body, data }, deliverAt]
+    );
+  }
+  
+  return notification;
+};
+
+// Notify the family's active members who can see `asset`, except `exceptUserIds`
+const notifyAssetWatchers = async (db, asset, exceptUserIds, type, message) => {
+  const members = await db.query(
+    `SELECT m.user_id as id, m.family_id, m.tier
+     FROM family_memberships m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.family_id = $1 AND m.active = TRUE AND u.active = TRUE`,
+    [asset.family_id]
+  );
+  const rules = await loadAssetPermissions(db, asset.family_id);
+  
+  for (const member of members.rows) {
+    if (exceptUserIds.includes(member.id)) continue;
+    if (!hasAccess(resolveAccess(rules, member, asset).access, 'view')) continue;
+    await notify(db, member.id, type, message);
+  }
+};
+
+// Tell whoever holds a slot that someone else just tried to book it
+const notifyBookingConflict = async (req, conflict) => {
+  if (!conflict || conflict.userId === req.user.id) return;
+  
+  try {
+    const asset = (await pool.query('SELECT id, name FROM assets WHERE id = $1', [req.body.assetId])).rows[0];
+    await notify(pool, conflict.userId, 'reservation.conflict', {
+      title: `${req.user.name} tried to book ${asset.name}`,
+      body: `${req.user.name} asked for ${asset.name} from ${new Date(req.body.startDate).toISOString()} ` +
+        `to ${new Date(req.body.endDate).toISOString()}, which overlaps your reservation.`,
+      data: { reservationId: conflict.id, assetId: asset.id, requestedBy: req.user.id }
+    });
+  } catch (error) {
+    console.error('Conflict notification error:', error);
+  }
+};
+
+// Send one outbox entry; throws when the channel did not take it
+const deliverNotification = async (entry) => {
+  const { title, body, data } = entry.payload;
+  
+  if (entry.channel === 'email') {
+    await mailer.send({
+      to: entry.email,
+      subject: title,
+      text: `Hi ${entry.name},\n\n${body || title}\n\n${APP_URL}\n\n` +
+        `You can choose which notifications you get by email in your ReservePTY settings.`
+    });
+    return;
+  }
+  
+  if (!entry.webhook_url) {
+    throw new Error('No webhook URL configured');
+  }
+  // Same rules and delivery as family webhooks, checked on every attempt
+  let statusCode;
+  try {
+    statusCode = await postWebhook(entry.webhook_url, {
+      ...WEBHOOK_URL_OPTIONS,
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'ReservePTY-Notifications' },
+      body: JSON.stringify({ id: entry.id, type: entry.event_type, title, body, data, createdAt: entry.created_at }),
+      timeoutMs: WEBHOOK_TIMEOUT_MS
+    });
+  } catch (error) {
+    if (error instanceof WebhookUrlError) {
+      throw new Error(`Not sent: webhook URL ${error.message}`);
+    }
+    throw error;
+  }
+  if (statusCode < 200 || statusCode >= 300) {
+    throw new Error(`Webhook responded with ${statusCode}`);
+  }
+};
+
+// Send due outbox entries. Claiming an entry pushes its next attempt out, so a
+// second server does not send it too while this one is still trying.
+const deliverNotifications = async (limit = 50) => {
+  const claimed = await pool.query(
+    `UPDATE notification_outbox o
+     SET attempts = o.attempts + 1, next_attempt_at = NOW() + INTERVAL '5 minutes'
+     FROM users u
+     LEFT JOIN notification_settings s ON s.user_id = u.id
+     WHERE u.id = o.user_id
+     AND o.id IN (
+       SELECT id FROM notification_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING o.*, u.email, u.name, s.webhook_url`,
+    [limit]
+  );
+  
+  const outcome = { sent: 0, failed: 0 };
+  for (const entry of claimed.rows) {
+    try {
+      await deliverNotification(entry);
+      await pool.query(
+        `UPDATE notification_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1`,
+        [entry.id]
+      );
+      outcome.sent++;
+    } catch (error) {
+      // Retried with backoff, then given up on
+      const retryAt = nextRetryAt(entry.attempts);
+      await pool.query(
+        `UPDATE notification_outbox
+         SET status = $1, next_attempt_at = COALESCE($2, next_attempt_at), last_error = $3
+         WHERE id = $4`,
+        [retryAt ? 'pending' : 'failed', retryAt, error.message, entry.id]
+      );
+      if (!retryAt) outcome.failed++;
+    }
+  }
+  
+  return outcome;
+};
+
+// Remind owners of confirmed reservations starting within a day, once. Bookings
+// made less than a day ahead are not reminded.
+const sendStartReminders = () => withTransaction(async (client) => {
+  const due = await client.query(
+    `UPDATE reservations r SET start_reminder_sent_at = NOW()
+     FROM assets a
+     WHERE r.asset_id = a.id AND r.status = 'confirmed' AND r.start_reminder_sent_at IS NULL
+     AND r.start_date > NOW() AND r.start_date <= NOW() + INTERVAL '1 day'
+     AND r.created_at < r.start_date - INTERVAL '1 day'
+     RETURNING r.id, r.user_id, r.start_date, r.end_date, a.id as asset_id, a.name as asset_name`
+  );
+  
+  for (const reservation of due.rows) {
+    await notify(client, reservation.user_id, 'reservation.starting', {
+      title: `${reservation.asset_name} is yours tomorrow`,
+      body: `Your reservation of ${reservation.asset_name} starts ${reservation.start_date.toISOString()} ` +
+        `and ends ${reservation.end_date.toISOString()}.`,
+      data: { reservationId: reservation.id, assetId: reservation.asset_id }
+    });
+  }
+  
+  return due.rows;
+});
+
+// Tell owners once when a checked-out asset was not checked in after the booking ended
+const notifyOverdueCheckIns = () => withTransaction(async (client) => {
+  const overdue = await client.query(
+    `UPDATE reservations r SET overdue_notified_at = NOW()
+     FROM assets a
+     WHERE r.asset_id = a.id AND r.status = 'active' AND r.overdue_notified_at IS NULL
+     AND r.end_date < NOW() - make_interval(mins => $1)
+     RETURNING r.id, r.user_id, r.end_date, a.id as asset_id, a.name as asset_name`,
+    [CHECK_IN_GRACE_MINUTES]
+  );
+  
+  for (const reservation of overdue.rows) {
+    await notify(client, reservation.user_id, 'reservation.checkout_overdue', {
+      title: `${reservation.asset_name} has not been checked in`,
+      body: `Your reservation of ${reservation.asset_name} ended ${reservation.end_date.toISOString()}. ` +
+        'Check it in so the next booking can start.',
+      data: { reservationId: reservation.id, assetId: reservation.asset_id }
+    });
+  }
+  
+  return overdue.rows;
+});
+
+// Get user's notifications, newest first. ?before= pages back by created_at.
+app.get('/api/notifications', authenticate, validate({
+  query: {
+    unread: v.boolean().optional(),
+    before: v.datetime().optional(),
+    limit: v.integer({ min: 1, max: 100 }).optional()
+  }
+}), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM notifications
+       WHERE user_id = $1
+       AND ($2::boolean IS NOT TRUE OR read_at IS NULL)
+       AND ($3::timestamp IS NULL OR created_at < $3)
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [req.user.id, req.query.unread === 'true', req.query.before || null, parseInt(req.query.limit) || 100]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+app.get('/api/notifications/unread-count', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+    
+    res.json({ count: parseInt(result.rows[0].count) });
+  } catch (error) {
+    console.error('Count notifications error:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+});
+
+// Mark one notification read; marking it again keeps the first read time
+app.post('/api/notifications/:id/read', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2
+       RETURNING *`,
+      [req.params.id, req.user.id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+app.post('/api/notifications/read-all', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+    
+    res.json({ marked: result.rowCount });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+const formatNotificationPreferences = ({ preferences, settings }) => ({
+  channels: CHANNELS,
+  events: Object.entries(EVENT_TYPES).map(([type, event]) => ({
+    type,
+    description: event.description,
+    channels: channelsFor(preferences, type),
+    defaultChannels: event.channels
+  })),
+  quietHours: settings && settings.quiet_start
+    ? { start: settings.quiet_start, end: settings.quiet_end, timezone: settings.timezone }
+    : null,
+  webhookUrl: settings ? settings.webhook_url : null
+});
+
+app.get('/api/notification-preferences', authenticate, async (req, res) => {
+  try {
+    res.json(formatNotificationPreferences(await loadNotificationSettings(pool, req.user.id)));
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Update channel overrides ({ eventType: [channels] }; null restores the default),
+// quiet hours (null turns them off) and the webhook URL. Omitted fields are kept.
+app.put('/api/notification-preferences', authenticate, validate({
+  body: {
+    events: v.json().optional(),
+    quietHours: v.object({
+      start: v.string({ pattern: TIME_PATTERN, patternMessage: 'must be a time like 22:00' }),
+      end: v.string({ pattern: TIME_PATTERN, patternMessage: 'must be a time like 07:00' }),
+      timezone: v.string({ min: 1, max: 64 })
+    }).optional().nullable(),
+    webhookUrl: v.string({ max: 2000, pattern: /^https?:\/\/\S+$/i, patternMessage: 'must be an http or https URL' }).optional().nullable()
+  }
+}), async (req, res, next) => {
+  try {
+    const { events = {}, quietHours, webhookUrl } = req.body;
+    
+    const problems = [];
+    for (const [type, channels] of Object.entries(events)) {
+      const field = `events.${type}`;
+      if (!EVENT_TYPES[type]) {
+        problems.push({ field, code: 'invalid_enum', message: `${type} is not a notification event` });
+        continue;
+      }
+      v.array(v.oneOf(CHANNELS), { max: CHANNELS.length }).nullable()(channels, field, problems, {});
+    }
+    if (quietHours && !isValidTimezone(quietHours.timezone)) {
+      problems.push({ field: 'quietHours.timezone', code: 'invalid_timezone', message: `Unknown timezone ${quietHours.timezone}` });
+    }
+    const urlProblem = webhookUrl ? await webhookUrlProblem(webhookUrl, WEBHOOK_URL_OPTIONS) : null;
+    if (urlProblem) {
+      problems.push({ field: 'webhookUrl', code: 'unsafe_url', message: `webhookUrl ${urlProblem}` });
+    }
+    if (problems.length > 0) {
+      return next(new v.ValidationError(problems.map(problem => ({ location: 'body', ...problem }))));
+    }
+    
+    const updated = await withTransaction(async (client) => {
+      for (const [type, channels] of Object.entries(events)) {
+        if (channels === null) {
+          await client.query(
+            'DELETE FROM notification_preferences WHERE user_id = $1 AND event_type = $2',
+            [req.user.id, type]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO notification_preferences (user_id, event_type, channels, updated_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (user_id, event_type) DO UPDATE SET channels = $3, updated_at = NOW()`,
+            [req.user.id, type, [...new Set(channels)]]
+          );
+        }
+      }
+      
+      if (quietHours !== undefined || webhookUrl !== undefined) {
+        await client.query(
+          `INSERT INTO notification_settings (user_id, quiet_start, quiet_end, timezone, webhook_url, updated_at)
+           VALUES ($1, $2, $3, $4, $5, NOW())
+           ON CONFLICT (user_id) DO UPDATE SET
+             quiet_start = CASE WHEN $6 THEN EXCLUDED.quiet_start ELSE notification_settings.quiet_start END,
+             quiet_end = CASE WHEN $6 THEN EXCLUDED.quiet_end ELSE notification_settings.quiet_end END,
+             timezone = CASE WHEN $6 THEN EXCLUDED.timezone ELSE notification_settings.timezone END,
+             webhook_url = CASE WHEN $7 THEN EXCLUDED.webhook_url ELSE notification_settings.webhook_url END,
+             updated_at = NOW()`,
+          [req.user.id, quietHours ? quietHours.start : null, quietHours ? quietHours.end : null,
+            quietHours ? quietHours.timezone : null, webhookUrl || null,
+            quietHours !== undefined, webhookUrl !== undefined]
+        );
+      }
+      
+      return loadNotificationSettings(client, req.user.id);
+    });
+    
+    res.json(formatNotificationPreferences(updated));
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// =============================================================================
+// REAL-TIME EVENTS
+// =============================================================================
+
+const FAMILY_EVENTS_CHANNEL = 'family_events';
+
+// A resuming stream that missed more events than this is told to reload instead
+const MAX_STREAM_REPLAY = 500;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// How often an open stream re-checks the session, the membership and which
+// assets the member can see
+const STREAM_RECHECK_MS = 60 * 1000;
+
+const eventHub = createEventHub({ pool, channel: FAMILY_EVENTS_CHANNEL });
+
+/**
+ * Record a reservation or asset change of a family. It is pushed to the family's
+ * open streams (on every instance, through NOTIFY) and queued for its webhooks.
+ * Call it with the client of the transaction that made the change: NOTIFY and
+ * the deliveries only take effect if that transaction commits. The event's seq
+ * is only assigned as the transaction commits, so streams can resume after a
+ * seq without missing a slower transaction's events.
+ */
+const emitFamilyEvent = async (db, familyId, type, data) => {
+  const result = await db.query(
+    `INSERT INTO family_events (id, family_id, type, data, created_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     RETURNING *`,
+    [uuidv4(), familyId, type, data]
+  );
+  const event = result.rows[0];
+  
+  await db.query('SELECT pg_notify($1, $2)', [FAMILY_EVENTS_CHANNEL, JSON.stringify({ familyId, id: event.id })]);
+  await queueWebhookDeliveries(db, event);
+  
+  return event;
+};
+
+// The asset an event is about, to hold back events on assets a member cannot see
+const eventAssetId = (event) => {
+  if (event.data.asset) return event.data.asset.id;
+  if (event.data.reservation) return event.data.reservation.asset_id;
+  return null;
+};
+
+// EventSource cannot send headers, so the stream also accepts the access token
+// and the family as ?accessToken= and ?familyId=
+const streamCredentials = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.accessToken === 'string') {
+    req.headers.authorization = `Bearer ${req.query.accessToken}`;
+  }
+  if (!req.headers['x-family-id'] && typeof req.query.familyId === 'string') {
+    req.headers['x-family-id'] = req.query.familyId;
+  }
+  next();
+};
+
+/**
+ * Server-Sent Events stream of the active family's reservation and asset changes.
+ * Message ids are event seqs; reconnecting with Last-Event-ID (or ?lastEventId=)
+ * replays what was missed. A 'reset' event means the missed events are gone or
+ * too many, and the client should reload over REST before relying on the stream.
+ */
+app.get('/api/events/stream', streamCredentials, authenticate, requireMembership, validate({
+  query: {
+    accessToken: v.string({ max: 4096 }).optional(),
+    familyId: v.uuid().optional(),
+    lastEventId: v.integer({ min: 0 }).optional()
+  }
+}), async (req, res) => {
+  const familyId = req.membership.family_id;
+  const resumeFrom = req.headers['last-event-id'] !== undefined ? req.headers['last-event-id'] : req.query.lastEventId;
+  
+  let member = actingMember(req);
+  let visible;
+  let lastSeq = 0;
+  let closed = false;
+  let unsubscribe = null;
+  const sent = new Set();
+  
+  const write = (message) => {
+    if (!closed) res.write(formatSse(message));
+  };
+  
+  const deliver = async (event) => {
+    const seq = Number(event.seq);
+    if (sent.has(seq)) return;
+    sent.add(seq);
+    if (sent.size > MAX_STREAM_REPLAY * 2) sent.delete(sent.values().next().value);
+    lastSeq = Math.max(lastSeq, seq);
+    
+    if (event.type === 'asset.created') {
+      visible = new Set(await visibleAssetIds(pool, member));
+    }
+    const assetId = eventAssetId(event);
+    if (assetId && !visible.has(assetId) && event.type !== 'asset.deleted') return;
+    
+    write({ id: seq, event: event.type, data: { id: event.id, type: event.type, createdAt: event.created_at, data: event.data } });
+  };
+  
+  // Seqs follow commit order within a family only (migration 009), so every
+  // comparison is against this family's events
+  const familyHead = async () => {
+    const head = await pool.query('SELECT COALESCE(MAX(seq), 0) as seq FROM family_events WHERE family_id = $1', [familyId]);
+    return Number(head.rows[0].seq);
+  };
+  
+  // Continue from the newest event, telling the client why it has to reload
+  const reset = async (reason) => {
+    lastSeq = Math.max(lastSeq, await familyHead());
+    write({ id: lastSeq, event: 'reset', data: { reason } });
+  };
+  
+  const catchUp = async () => {
+    const missed = await pool.query(
+      `SELECT * FROM family_events WHERE family_id = $1 AND seq > $2 ORDER BY seq LIMIT $3`,
+      [familyId, lastSeq, MAX_STREAM_REPLAY + 1]
+    );
+    if (missed.rows.length > MAX_STREAM_REPLAY) {
+      return reset('too_many_missed');
+    }
+    for (const event of missed.rows) {
+      await deliver(event);
+    }
+  };
+  
+  // A client resumes from one of this family's seqs (or 0 before its first
+  // event). Pruning removes the oldest events first, so while that event is
+  // still stored, nothing after it is gone.
+  const start = async () => {
+    if (resumeFrom === undefined) {
+      lastSeq = await familyHead();
+      write({ id: lastSeq, event: 'ready', data: { familyId } });
+      return;
+    }
+    
+    const from = /^\d+$/.test(String(resumeFrom)) ? Number(resumeFrom) : NaN;
+    if (isNaN(from) || from > await familyHead()) {
+      return reset('unknown_event_id');
+    }
+    const kept = await pool.query('SELECT 1 FROM family_events WHERE family_id = $1 AND seq = $2', [familyId, from]);
+    if (from > 0 && kept.rows.length === 0) {
+      return reset('expired');
+    }
+    
+    lastSeq = from;
+    write({ id: lastSeq, event: 'ready', data: { familyId } });
+    await catchUp();
+  };
+  
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(recheck);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+  
+  const fail = (error) => {
+    console.error('Event stream error:', error);
+    close();
+  };
+  
+  // Live events wait behind the replay; each step runs after the previous one
+  let begin;
+  let queue = new Promise(resolve => { begin = resolve; }).then(start).catch(fail);
+  const enqueue = (task) => {
+    queue = queue.then(() => (closed ? null : task())).catch(fail);
+  };
+  
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, STREAM_HEARTBEAT_MS);
+  
+  // Logging out, leaving the family or losing access to an asset applies to open streams too
+  const recheck = setInterval(() => enqueue(async () => {
+    const session = await pool.query(
+      'SELECT id FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+      [req.sessionId]
+    );
+    const current = await loadMember(pool, req.user.id, familyId);
+    if (session.rows.length === 0 || !current) {
+      write({ event: 'end', data: { reason: 'unauthorized' } });
+      return close();
+    }
+    
+    member = current;
+    visible = new Set(await visibleAssetIds(pool, member));
+  }), STREAM_RECHECK_MS);
+  
+  res.on('close', close);
+  
+  try {
+    visible = new Set(await visibleAssetIds(pool, member));
+    unsubscribe = await eventHub.subscribe(familyId, {
+      onEvent: (event) => enqueue(() => deliver(event)),
+      onResync: () => enqueue(catchUp)
+    });
+  } catch (error) {
+    console.error('Event stream subscribe error:', error);
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(recheck);
+    return res.status(503).json({ error: 'Real-time updates are unavailable' });
+  }
+  
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+  begin();
+});
+
+// =============================================================================
+// WEBHOOK ROUTES
+// =============================================================================
+
+const MAX_WEBHOOKS_PER_FAMILY = 10;
+
+// Endpoint columns safe to return; the secret is only shown when it is created
+const WEBHOOK_COLUMNS = 'id, family_id, url, description, events, active, created_by, created_at, updated_at';
+
+const DELIVERY_COLUMNS = `id, endpoint_id, event_id, event_type, payload, status, attempts, next_attempt_at,
+  last_attempt_at, last_status_code, last_error, last_duration_ms, delivered_at, created_at`;
+
+// Queue a recorded family event (see emitFamilyEvent) for every active endpoint
+// of the family subscribed to its type
+const queueWebhookDeliveries = async (db, event) => {
+  const endpoints = await db.query(
+    'SELECT id, events FROM webhook_endpoints WHERE family_id = $1 AND active',
+    [event.family_id]
+  );
+  const targets = endpoints.rows.filter(endpoint => subscribes(endpoint.events, event.type));
+  if (targets.length === 0) return;
+  
+  const payload = { id: event.id, type: event.type, createdAt: event.created_at, familyId: event.family_id, data: event.data };
+  for (const endpoint of targets) {
+    await db.query(
+      `INSERT INTO webhook_deliveries (id, endpoint_id, event_id, event_type, payload, next_attempt_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())`,
+      [uuidv4(), endpoint.id, event.id, event.type, payload]
+    );
+  }
+};
+
+// POST one delivery (joined with its endpoint's url and secret) and record the
+// outcome: delivered on a 2xx, otherwise retried with backoff until it is dead
+const attemptWebhookDelivery = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+  
+  try {
+    // Checked on every attempt, as the host may resolve somewhere else by now
+    statusCode = await postWebhook(delivery.url, {
+      ...WEBHOOK_URL_OPTIONS,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ReservePTY-Webhooks',
+        'X-ReservePTY-Event': delivery.event_type,
+        'X-ReservePTY-Delivery': delivery.id,
+        'X-ReservePTY-Signature': signPayload(delivery.secret, body)
+      },
+      body,
+      timeoutMs: WEBHOOK_TIMEOUT_MS
+    });
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Endpoint responded with ${statusCode}`;
+    }
+  } catch (failure) {
+    if (failure instanceof WebhookUrlError) {
+      error = `Not sent: url ${failure.message}`;
+    } else {
+      error = failure.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000} seconds` : failure.message;
+    }
+  }
+  
+  const attempts = delivery.attempts + 1;
+  const retryAt = error ? nextAttemptAt(attempts) : null;
+  const status = !error ? 'delivered' : retryAt ? 'pending' : 'dead';
+  
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, next_attempt_at = $3, last_attempt_at = NOW(),
+         last_status_code = $4, last_error = $5, last_duration_ms = $6,
+         delivered_at = CASE WHEN $7 THEN NOW() ELSE delivered_at END
+     WHERE id = $8
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [status, attempts, retryAt, statusCode, error, Date.now() - started, !error, delivery.id]
+  );
+  return result.rows[0];
+};
+
+// Send due deliveries. Claiming one pushes its next attempt out, so a second
+// server does not send it too while this one waits for the endpoint.
+const deliverWebhooks = async (limit = 20) => {
+  const claimed = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+     FROM webhook_endpoints e
+     WHERE e.id = d.endpoint_id
+     AND d.id IN (
+       SELECT d2.id FROM webhook_deliveries d2
+       JOIN webhook_endpoints e2 ON d2.endpoint_id = e2.id
+       WHERE d2.status = 'pending' AND d2.next_attempt_at <= NOW() AND e2.active
+       ORDER BY d2.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF d2 SKIP LOCKED
+     )
+     RETURNING d.*, e.url, e.secret`,
+    [limit]
+  );
+  
+  const outcome = { delivered: 0, dead: 0 };
+  for (const delivery of claimed.rows) {
+    const result = await attemptWebhookDelivery(delivery);
+    if (result.status === 'delivered') outcome.delivered++;
+    if (result.status === 'dead') outcome.dead++;
+  }
+  return outcome;
+};
+
+// A webhook endpoint of the family in the path, with its secret, or a 404
+const findWebhook = async (req, res) => {
+  const result = await pool.query(
+    'SELECT * FROM webhook_endpoints WHERE id = $1 AND family_id = $2',
+    [req.params.webhookId, req.params.familyId]
+  );
+  
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+const webhookEventsSchema = v.array(v.oneOf(['*', ...Object.keys(WEBHOOK_EVENTS)]), { min: 1, max: 50 });
+const webhookUrlSchema = v.string({ max: 2000, pattern: /^https?:\/\/\S+$/i, patternMessage: 'must be an http or https URL' });
+
+// A validation error for a URL that may not receive webhooks, or null
+const webhookUrlError = async (field, url) => {
+  const problem = await webhookUrlProblem(url, WEBHOOK_URL_OPTIONS);
+  return problem && new v.ValidationError([{ location: 'body', field, code: 'unsafe_url', message: `${field} ${problem}` }]);
+};
+
+// Event types endpoints can subscribe to
+app.get('/api/webhook-events', authenticate, (req, res) => {
+  res.json(Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description })));
+});
+
+app.get('/api/families/:familyId/webhooks', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${WEBHOOK_COLUMNS},
+        (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.endpoint_id = w.id AND d.status = 'pending') as pending_deliveries,
+        (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.endpoint_id = w.id AND d.status = 'dead') as dead_deliveries
+       FROM webhook_endpoints w
+       WHERE family_id = $1
+       ORDER BY created_at`,
+      [req.params.familyId]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register an endpoint (admin only). The signing secret is only returned here
+// and when it is rotated.
+app.post('/api/families/:familyId/webhooks', authenticate, requireFamilyAdmin, validate({
+  body: {
+    url: webhookUrlSchema,
+    events: webhookEventsSchema,
+    description: v.string({ max: 255 }).optional().nullable()
+  }
+}), async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+    
+    const urlError = await webhookUrlError('url', url);
+    if (urlError) {
+      return next(urlError);
+    }
+    
+    const count = await pool.query('SELECT COUNT(*)::int as count FROM webhook_endpoints WHERE family_id = $1', [req.params.familyId]);
+    if (count.rows[0].count >= MAX_WEBHOOKS_PER_FAMILY) {
+      return res.status(409).json({ error: `A family can have at most ${MAX_WEBHOOKS_PER_FAMILY} webhooks` });
+    }
+    
+    const secret = generateWebhookSecret();
+    const result = await pool.query(
+      `INSERT INTO webhook_endpoints (id, family_id, url, description, events, secret, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+       RETURNING ${WEBHOOK_COLUMNS}`,
+      [uuidv4(), req.params.familyId, url, description || null, [...new Set(events)], secret, req.user.id]
+    );
+    
+    res.status(201).json({ ...result.rows[0], secret });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Change an endpoint's URL, event filter or description, or pause it with active: false.
+// Deliveries queued while it is paused are sent once it is active again.
+app.patch('/api/families/:familyId/webhooks/:webhookId', authenticate, requireFamilyAdmin, validate({
+  body: {
+    url: webhookUrlSchema.optional(),
+    events: webhookEventsSchema.optional(),
+    description: v.string({ max: 255 }).optional().nullable(),
+    active: v.boolean().optional()
+  }
+}), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const { url, events, description, active } = req.body;
+    
+    const urlError = url !== undefined && await webhookUrlError('url', url);
+    if (urlError) {
+      return next(urlError);
+    }
+    const result = await pool.query(
+      `UPDATE webhook_endpoints
+       SET url = $1, events = $2, description = $3, active = $4, updated_at = NOW()
+       WHERE id = $5
+       RETURNING ${WEBHOOK_COLUMNS}`,
+      [
+        url === undefined ? webhook.url : url,
+        events === undefined ? webhook.events : [...new Set(events)],
+        description === undefined ? webhook.description : description,
+        active === undefined ? webhook.active : active,
+        webhook.id
+      ]
+    );
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Issue a new signing secret; the old one stops being used right away
+app.post('/api/families/:familyId/webhooks/:webhookId/rotate-secret', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const secret = generateWebhookSecret();
+    const result = await pool.query(
+      `UPDATE webhook_endpoints SET secret = $1, updated_at = NOW() WHERE id = $2 RETURNING ${WEBHOOK_COLUMNS}`,
+      [secret, webhook.id]
+    );
+    
+    res.json({ ...result.rows[0], secret });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// Delete an endpoint with its delivery history
+app.delete('/api/families/:familyId/webhooks/:webhookId', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM webhook_endpoints WHERE id = $1 AND family_id = $2 RETURNING id',
+      [req.params.webhookId, req.params.familyId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Send a webhook.test event right away, regardless of the event filter, and
+// report how the endpoint answered
+app.post('/api/families/:familyId/webhooks/:webhookId/test', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const event = {
+      id: uuidv4(),
+      type: TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      familyId: webhook.family_id,
+      data: { webhookId: webhook.id, sentBy: req.user.id, message: 'Test event from ReservePTY' }
+    };
+    const created = await pool.query(
+      `INSERT INTO webhook_deliveries (id, endpoint_id, event_id, event_type, payload, next_attempt_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '5 minutes', NOW())
+       RETURNING *`,
+      [uuidv4(), webhook.id, event.id, TEST_EVENT, event]
+    );
+    
+    res.json(await attemptWebhookDelivery({ ...created.rows[0], url: webhook.url, secret: webhook.secret }));
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+});
+
+// Delivery history of an endpoint, newest first. ?status=dead lists the dead letters.
+app.get('/api/families/:familyId/webhooks/:webhookId/deliveries', authenticate, requireFamilyAdmin, validate({
+  query: {
+    status: v.oneOf(['pending', 'delivered', 'dead']).optional(),
+    before: v.datetime().optional(),
+    limit: v.integer({ min: 1, max: 100 }).optional()
+  }
+}), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const result = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+       WHERE endpoint_id = $1
+       AND ($2::varchar IS NULL OR status = $2)
+       AND ($3::timestamp IS NULL OR created_at < $3)
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [webhook.id, req.query.status || null, req.query.before || null, parseInt(req.query.limit) || 50]
+    );
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Send a delivery again now, e.g. a dead letter once the receiver is fixed. It
+// starts a fresh retry schedule if this attempt fails too.
+app.post('/api/families/:familyId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const found = await pool.query(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW() + INTERVAL '5 minutes'
+       WHERE id = $1 AND endpoint_id = $2
+       RETURNING *`,
+      [req.params.deliveryId, webhook.id]
+    );
+    
+    if (found.rows.length === 0) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    res.json(await attemptWebhookDelivery({ ...found.rows[0], url: webhook.url, secret: webhook.secret }));
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// =============================================================================
+// WAITLIST ROUTES
+// =============================================================================
+
+// Offer each waiting entry for a freed window, best tier first then oldest request.
+// An entry is eligible when its whole window is free and it passes the member's
+// booking policies; the offer is a 'held' reservation that expires if not claimed.
+// Callers run this once the slot was released and committed, so it never throws:
+// a failed offer is logged and does not turn the release into an error.
+const promoteWaitlist = async (assetId, startDate, endDate) => {
+  let waiting;
+  try {
+    waiting = await pool.query(
+      `SELECT w.* FROM waitlist_entries w
+       JOIN assets a ON w.asset_id = a.id
+       LEFT JOIN family_memberships m ON m.user_id = w.user_id AND m.family_id = a.family_id AND m.active = TRUE
+       WHERE w.asset_id = $1 AND w.status = 'waiting'
+       AND (w.start_date, w.end_date) OVERLAPS ($2::timestamp, $3::timestamp)
+       ORDER BY m.tier ASC NULLS LAST, w.created_at ASC`,
+      [assetId, startDate, endDate]
+    );
+  } catch (error) {
+    console.error('Waitlist promotion error:', error);
+    return [];
+  }
+  
+  const offers = [];
+  for (const candidate of waiting.rows) {
+    try {
+      const offer = await withTransaction(async (client) => {
+        // The asset before the entry, in the order archiving locks them. Throws
+        // if the asset was archived meanwhile; archiving withdraws the entry.
+        const asset = await lockBookableAsset(client, candidate.asset_id);
+        const locked = await client.query(
+          `SELECT * FROM waitlist_entries WHERE id = $1 AND status = 'waiting' FOR UPDATE`,
+          [candidate.id]
+        );
+        const entry = locked.rows[0];
+        if (!entry) return null;
+        
+        if (entry.start_date <= new Date()) {
+          await client.query(
+            `UPDATE waitlist_entries SET status = 'expired', updated_at = NOW() WHERE id = $1`,
+            [entry.id]
+          );
+          return null;
+        }
+        
+        // Members who left the family or may no longer book the asset drop off the list
+        const user = await loadMember(client, entry.user_id, asset.family_id);
+        if (!user || !hasAccess((await assetAccess(client, user, asset)).access, 'request')) {
+          await client.query(
+            `UPDATE waitlist_entries SET status = 'withdrawn', updated_at = NOW() WHERE id = $1`,
+            [entry.id]
+          );
+          return null;
+        }
+        
+        const slot = { assetId: entry.asset_id, startDate: entry.start_date, endDate: entry.end_date };
+        await checkBookingPolicies(client, { user, asset, startDate: entry.start_date, endDate: entry.end_date });
+        await assertSlotAvailable(client, slot);
+        
+        const holdUntil = new Date(Date.now() + WAITLIST_HOLD_HOURS * 60 * 60 * 1000);
+        const reservation = await withOverlapGuard(client, slot, () => client.query(
+          `INSERT INTO reservations (id, asset_id, user_id, start_date, end_date, status, notes, expires_at, created_at)
+           VALUES ($1, $2, $3, $4, $5, 'held', $6, $7, NOW())
+           RETURNING *`,
+          [uuidv4(), entry.asset_id, entry.user_id, entry.start_date, entry.end_date, entry.notes, holdUntil]
+        ));
+        
+        await client.query(
+          `UPDATE waitlist_entries
+           SET status = 'offered', reservation_id = $1, offered_at = NOW(), updated_at = NOW()
+           WHERE id = $2`,
+          [reservation.rows[0].id, entry.id]
+        );
+        
+        await notify(client, entry.user_id, 'waitlist.offered', {
+          title: `${asset.name} is available`,
+          body: `The slot you were waiting for is held for you until ${holdUntil.toISOString()}. Claim it before then.`,
+          data: { waitlistEntryId: entry.id, reservationId: reservation.rows[0].id, expiresAt: holdUntil }
+        });
+        
+        return reservation.rows[0];
+      });
+      
+      if (offer) offers.push(offer);
+    } catch (error) {
+      // Not eligible (still blocked or over a limit): leave the entry waiting
+      if (!(error instanceof ApiError)) {
+        console.error(`Waitlist promotion error (entry ${candidate.id}):`, error);
+      }
+    }
+  }
+  
+  return offers;
+};
+
+// Release unclaimed holds and cascade each slot to the next person in line
+const expireWaitlistHolds = async () => {
+  const expired = await pool.query(
+    `UPDATE reservations SET status = 'expired', updated_at = NOW()
+     WHERE status = 'held' AND expires_at <= NOW()
+     RETURNING id, asset_id, start_date, end_date`
+  );
+  
+  if (expired.rows.length > 0) {
+    await pool.query(
+      `UPDATE waitlist_entries SET status = 'expired', updated_at = NOW()
+       WHERE reservation_id = ANY($1::uuid[]) AND status = 'offered'`,
+      [expired.rows.map(r => r.id)]
+    );
+  }
+  
+  for (const hold of expired.rows) {
+    await promoteWaitlist(hold.asset_id, hold.start_date, hold.end_date);
+  }
+  
+  return expired.rows;
+};
+
+// Join the waitlist for a booked-out slot
+app.post('/api/waitlist', authenticate, requireMembership, validate({
+  body: v.object({
+    assetId: v.uuid(),
+    startDate: v.datetime(),
+    endDate: v.datetime(),
+    notes: v.string({ max: 2000 }).optional().nullable()
+  }, { rules: [v.after('endDate', 'startDate')] })
+}), async (req, res) => {
+  try {
+    const { assetId, startDate, endDate, notes } = req.body;
+    
+    if (new Date(startDate) <= new Date()) {
+      return res.status(400).json({ error: 'Cannot join the waitlist for a slot in the past' });
+    }
+    
+    const asset = await findFamilyAsset(req, res, 'request', assetId);
+    if (!asset) return;
+    
+    try {
+      await assertSlotAvailable(pool, { assetId, startDate, endDate });
+      return res.status(400).json({ error: 'This slot is available; book it directly instead' });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+    }
+    
+    const result = await pool.query(
+      `INSERT INTO waitlist_entries (id, asset_id, user_id, start_date, end_date, notes, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'waiting', NOW(), NOW())
+       RETURNING *`,
+      [uuidv4(), assetId, req.user.id, startDate, endDate, notes || null]
+    );
+    
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ error: 'Failed to join waitlist' });
+  }
+});
+
+// Get user's waitlist entries
+app.get('/api/waitlist', authenticate, validate({
+  query: { status: v.oneOf(WAITLIST_STATUSES).optional() }
+}), async (req, res) => {
+  try {
+    const params = [req.user.id];
+    let query = `
+      SELECT w.*, a.name as asset_name, a.type as asset_type, r.expires_at as offer_expires_at
+      FROM waitlist_entries w
+      JOIN assets a ON w.asset_id = a.id
+      LEFT JOIN reservations r ON w.reservation_id = r.id
+      WHERE w.user_id = $1
+    `;
+    
+    if (req.query.status) {
+      params.push(req.query.status);
+      query += ` AND w.status = $${params.length}`;
+    }
+    
+    query += ` ORDER BY w.start_date ASC`;
+    
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+// Confirm an offered slot
+app.post('/api/waitlist/:id/claim', authenticate, async (req, res) => {
+  try {
+    const reservation = await withTransaction(async (client) => {
+      const found = await client.query(
+        `SELECT w.*, r.expires_at as hold_expires_at FROM waitlist_entries w
+         JOIN reservations r ON w.reservation_id = r.id
+         WHERE w.id = $1 AND w.user_id = $2 AND w.status = 'offered' AND r.status = 'held'
+         FOR UPDATE OF w, r`,
+        [req.params.id, req.user.id]
+      );
+      
+      const entry = found.rows[0];
+      if (!entry || entry.hold_expires_at <= new Date()) {
+        throw new ApiError(404, 'No open offer for this waitlist entry');
+      }
+      
+      const asset = (await client.query('SELECT * FROM assets WHERE id = $1', [entry.asset_id])).rows[0];
+      const member = await loadMember(client, req.user.id, asset.family_id);
+      if (!member) {
+        throw new ApiError(403, 'You are no longer a member of this family');
+      }
+      await assertCanBook(client, member, asset);
+      const rule = await findApprovalRule(member, asset);
+      
+      const result = await client.query(
+        `UPDATE reservations SET status = $1, approver_tier = $2, expires_at = $3, updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [rule ? 'pending' : 'confirmed', rule ? rule.approver_tier : null,
+          rule ? approvalExpiry(entry.start_date) : null, entry.reservation_id]
+      );
+      
+      await client.query(
+        `UPDATE waitlist_entries SET status = 'claimed', updated_at = NOW() WHERE id = $1`,
+        [entry.id]
+      );
+      
+      // The held slot becomes a booking of the member's own
+      await emitFamilyEvent(client, asset.family_id, 'reservation.created', { reservation: result.rows[0] });
+      
+      return result.rows[0];
+    });
+    
+    res.json(reservation);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({ error: 'Failed to claim offer' });
+  }
+});
+
+// Withdraw from the waitlist, releasing any held offer to the next person
+app.delete('/api/waitlist/:id', authenticate, async (req, res) => {
+  try {
+    const released = await withTransaction(async (client) => {
+      const found = await client.query(
+        `UPDATE waitlist_entries SET status = 'withdrawn', updated_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND status IN ('waiting', 'offered')
+         RETURNING *`,
+        [req.params.id, req.user.id]
+      );
+      
+      if (found.rows.length === 0) {
+        throw new ApiError(404, 'Waitlist entry not found');
+      }
+      
+      if (!found.rows[0].reservation_id) return null;
+      
+      const hold = await client.query(
+        `UPDATE reservations SET status = 'cancelled', updated_at = NOW()
+         WHERE id = $1 AND status = 'held'
+         RETURNING asset_id, start_date, end_date`,
+        [found.rows[0].reservation_id]
+      );
+      return hold.rows[0] || null;
+    });
+    
+    if (released) {
+      await promoteWaitlist(released.asset_id, released.start_date, released.end_date);
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Withdraw waitlist error:', error);
+    res.status(500).json({ error: 'Failed to withdraw from waitlist' });
+  }
+});
+
+// =============================================================================
+// USAGE & SERVICE INTERVAL ROUTES
+// =============================================================================
+
+// Latest reading for a meter, falling back to the value seeded in asset metadata
+const getMeterReading = async (db, asset, metric) => {
+  const result = await db.query(
+    `SELECT value FROM usage_logs
+     WHERE asset_id = $1 AND metric_type = $2
+     ORDER BY recorded_at DESC
+     LIMIT 1`,
+    [asset.id, metric]
+  );
+  
+  if (result.rows.length > 0) {
+    return parseFloat(result.rows[0].value);
+  }
+  
+  const { metadataKey } = USAGE_METRICS[metric];
+  const seeded = Number(metadataKey && asset.metadata ? asset.metadata[metadataKey] : NaN);
+  return Number.isFinite(seeded) ? seeded : 0;
+};
+
+// Validate a { metric: value } readings object against the asset type
+const parseReadings = (asset, readings = {}) => {
+  if (typeof readings !== 'object' || Array.isArray(readings) || readings === null) {
+    throw new ApiError(400, 'readings must be an object of { metric: value }');
+  }
+  
+  return Object.entries(readings).map(([metric, raw]) => {
+    const definition = USAGE_METRICS[metric];
+    if (!definition) {
+      throw new ApiError(400, `Unknown usage metric: ${metric}`);
+    }
+    if (!definition.assetTypes.includes(asset.type)) {
+      throw new ApiError(400, `${metric} is not tracked for ${asset.type} assets`);
+    }
+    
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ApiError(400, `${metric} must be a non-negative number`);
+    }
+    
+    return { metric, value };
+  });
+};
+
+// Raise maintenance tasks for service intervals the meter has just crossed
+const checkServiceIntervals = async (client, asset, metric, reading) => {
+  const due = await client.query(
+    `SELECT si.* FROM service_intervals si
+     WHERE si.asset_id = $1 AND si.metric_type = $2 AND si.active
+     AND si.last_service_reading + si.interval_value <= $3
+     AND NOT EXISTS (
+       SELECT 1 FROM maintenance_tasks m
+       WHERE m.service_interval_id = si.id AND m.status IN ${OPEN_MAINTENANCE_SQL}
+     )
+     FOR UPDATE`,
+    [asset.id, metric, reading]
+  );
+  
+  const created = [];
+  for (const interval of due.rows) {
+    const dueAt = parseFloat(interval.last_service_reading) + parseFloat(interval.interval_value);
+    const result = await client.query(
+      `INSERT INTO maintenance_tasks
+        (id, asset_id, title, description, due_date, status, service_interval_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, NOW(), 'pending', $5, NOW(), NOW())
+       RETURNING *`,
+      [
+        uuidv4(),
+        asset.id,
+        interval.title,
+        `${interval.description ? interval.description + '\n\n' : ''}` +
+          `Service due at ${dueAt} ${metric}; meter read ${reading} at check-in.`,
+        interval.id
+      ]
+    );
+    created.push(result.rows[0]);
+  }
+  
+  return created;
+};
+
+// When an interval-generated task is completed, restart the interval from the current meter
+const resetServiceInterval = async (db, asset, task) => {
+  if (!task.service_interval_id) return;
+  
+  const interval = await db.query('SELECT * FROM service_intervals WHERE id = $1', [task.service_interval_id]);
+  if (interval.rows.length === 0) return;
+  
+  const reading = await getMeterReading(db, asset, interval.rows[0].metric_type);
+  await db.query(
+    'UPDATE service_intervals SET last_service_reading = $1, updated_at = NOW() WHERE id = $2',
+    [reading, task.service_interval_id]
+  );
+};
+
+// Store check-out/check-in readings, sync meters into asset metadata and fire service intervals
+const recordUsage = async (client, { asset, reservation, phase, readings, userId, notes }) => {
+  const entries = parseReadings(asset, readings);
+  const logs = [];
+  const maintenanceTasks = [];
+  
+  for (const { metric, value } of entries) {
+    const definition = USAGE_METRICS[metric];
+    
+    if (definition.meter) {
+      let floor = await getMeterReading(client, asset, metric);
+      
+      if (phase === 'check_in') {
+        const checkOut = await client.query(
+          `SELECT value FROM usage_logs
+           WHERE reservation_id = $1 AND metric_type = $2 AND phase = 'check_out'`,
+          [reservation.id, metric]
+        );
+        if (checkOut.rows.length > 0) {
+          floor = parseFloat(checkOut.rows[0].value);
+        }
+      }
+      
+      if (value < floor) {
+        throw new ApiError(400, `${metric} reading ${value} is below the last recorded reading of ${floor}`);
+      }
+    }
+    
+    const result = await client.query(
+      `INSERT INTO usage_logs (id, asset_id, reservation_id, metric_type, value, phase, recorded_by, recorded_at, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), $8)
+       RETURNING *`,
+      [uuidv4(), asset.id, reservation.id, metric, value, phase, userId, notes || null]
+    );
+    logs.push(result.rows[0]);
+    
+    if (definition.meter) {
+      await client.query(
+        `UPDATE assets
+         SET metadata = jsonb_set(COALESCE(metadata, '{}'::jsonb), $1::text[], to_jsonb($2::numeric)),
+             updated_at = NOW()
+         WHERE id = $3`,
+        [`{${definition.metadataKey}}`, value, asset.id]
+      );
+      
+      if (phase === 'check_in') {
+        maintenanceTasks.push(...await checkServiceIntervals(client, asset, metric, value));
+      }
+    }
+  }
+  
+  return { logs, maintenanceTasks };
+};
+
+// Check out / check in a reservation, recording meter readings
+const handleUsagePhase = (phase) => async (req, res) => {
+  const from = phase === 'check_out' ? 'confirmed' : 'active';
+  const to = phase === 'check_out' ? 'active' : 'completed';
+  
+  try {
+    const result = await withTransaction(async (client) => {
+      const found = await client.query(
+        `SELECT r.* FROM reservations r
+         JOIN assets a ON r.asset_id = a.id
+         WHERE r.id = $1 AND a.family_id = $2
+         FOR UPDATE OF r`,
+        [req.params.id, req.membership.family_id]
+      );
+      
+      if (found.rows.length === 0) {
+        throw new ApiError(404, 'Reservation not found');
+      }
+      
+      const reservation = found.rows[0];
+      if (reservation.user_id !== req.user.id && req.membership.tier > 1) {
+        throw new ApiError(403, 'Only the reservation owner or a tier 1 member can record usage');
+      }
+      if (reservation.status !== from) {
+        throw new ApiError(409, `Cannot ${phase.replace('_', ' ')} a ${reservation.status} reservation`);
+      }
+      
+      const assetResult = await client.query('SELECT * FROM assets WHERE id = $1 FOR UPDATE', [reservation.asset_id]);
+      const usage = await recordUsage(client, {
+        asset: assetResult.rows[0],
+        reservation,
+        phase,
+        readings: req.body.readings,
+        userId: req.user.id,
+        notes: req.body.notes
+      });
+      
+      const updated = await client.query(
+        `UPDATE reservations SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+        [to, reservation.id]
+      );
+      await emitFamilyEvent(client, req.membership.family_id,
+        phase === 'check_out' ? 'reservation.checked_out' : 'reservation.checked_in',
+        { reservation: updated.rows[0], usage: usage.logs });
+      
+      return { reservation: updated.rows[0], usage: usage.logs, maintenanceTasks: usage.maintenanceTasks };
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error(`Reservation ${phase} error:`, error);
+    res.status(500).json({ error: 'Failed to record usage' });
+  }
+};
+
+// Metric names and values are checked against the asset by parseReadings
+const validateUsagePhase = validate({
+  body: { readings: v.json().optional(), notes: v.string({ max: 2000 }).optional().nullable() }
+});
+
+app.post('/api/reservations/:id/check-out', authenticate, requireMembership, validateUsagePhase, handleUsagePhase('check_out'));
+app.post('/api/reservations/:id/check-in', authenticate, requireMembership, validateUsagePhase, handleUsagePhase('check_in'));
+
+// Usage history for an asset with running totals per metric
+app.get('/api/assets/:id/usage', authenticate, requireMembership, validate({
+  query: { metric: v.oneOf(Object.keys(USAGE_METRICS)).optional() }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    const params = [asset.id];
+    let query = `
+      SELECT ul.*, u.name as recorded_by_name, ru.name as reservation_user_name
+      FROM usage_logs ul
+      LEFT JOIN users u ON ul.recorded_by = u.id
+      LEFT JOIN reservations r ON ul.reservation_id = r.id
+      LEFT JOIN users ru ON r.user_id = ru.id
+      WHERE ul.asset_id = $1
+    `;
+    
+    if (req.query.metric) {
+      params.push(req.query.metric);
+      query += ` AND ul.metric_type = $${params.length}`;
+    }
+    
+    query += ` ORDER BY ul.recorded_at ASC, ul.phase DESC`;
+    
+    const result = await pool.query(query, params);
+    
+    // Usage is the difference between a reservation's check-out and check-in readings.
+    // For fuel that is the amount burned (negative when the tank was topped up).
+    const checkOuts = {};
+    const totals = {};
+    const entries = result.rows.map(log => {
+      const value = parseFloat(log.value);
+      const key = `${log.reservation_id}:${log.metric_type}`;
+      let usage = null;
+      
+      if (log.phase === 'check_out') {
+        checkOuts[key] = value;
+      } else if (log.phase === 'check_in' && checkOuts[key] !== undefined) {
+        const meter = USAGE_METRICS[log.metric_type] && USAGE_METRICS[log.metric_type].meter;
+        usage = meter ? value - checkOuts[key] : checkOuts[key] - value;
+        totals[log.metric_type] = (totals[log.metric_type] || 0) + usage;
+      }
+      
+      return {
+        ...log,
+        value,
+        usage,
+        runningTotal: totals[log.metric_type] || 0
+      };
+    });
+    
+    const metrics = {};
+    for (const metric of Object.keys(USAGE_METRICS)) {
+      if (!USAGE_METRICS[metric].assetTypes.includes(asset.type)) continue;
+      metrics[metric] = {
+        currentReading: USAGE_METRICS[metric].meter ? await getMeterReading(pool, asset, metric) : null,
+        totalUsage: totals[metric] || 0
+      };
+    }
+    
+    res.json({ assetId: asset.id, metrics, entries });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage history' });
+  }
+});
+
+// Shape a service interval with its next due reading
+const formatServiceInterval = async (asset, interval) => {
+  const lastService = parseFloat(interval.last_service_reading);
+  const intervalValue = parseFloat(interval.interval_value);
+  const currentReading = await getMeterReading(pool, asset, interval.metric_type);
+  const nextDueAt = lastService + intervalValue;
+  
+  return {
+    ...interval,
+    last_service_reading: lastService,
+    interval_value: intervalValue,
+    currentReading,
+    nextDueAt,
+    remaining: nextDueAt - currentReading
+  };
+};
+
+// List service intervals for an asset
+app.get('/api/assets/:id/service-intervals', authenticate, requireMembership, async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res);
+    if (!asset) return;
+    
+    const result = await pool.query(
+      'SELECT * FROM service_intervals WHERE asset_id = $1 ORDER BY metric_type, interval_value',
+      [asset.id]
+    );
+    
+    res.json(await Promise.all(result.rows.map(row => formatServiceInterval(asset, row))));
+  } catch (error) {
+    console.error('Get service intervals error:', error);
+    res.status(500).json({ error: 'Failed to fetch service intervals' });
+  }
+});
+
+// Create service interval (admin only)
+app.post('/api/assets/:id/service-intervals', authenticate, requireMembership, validate({
+  body: {
+    metricType: v.oneOf(Object.keys(USAGE_METRICS)),
+    intervalValue: v.number({ min: 0 }),
+    title: v.string({ min: 1, max: 255 }),
+    description: v.string({ max: 5000 }).optional().nullable(),
+    lastServiceReading: v.number({ min: 0 }).optional()
+  }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { metricType, intervalValue, title, description, lastServiceReading } = req.body;
+    const definition = USAGE_METRICS[metricType];
+    
+    if (!definition || !definition.meter || !definition.assetTypes.includes(asset.type)) {
+      return res.status(400).json({ error: `metricType must be a meter tracked for ${asset.type} assets` });
+    }
+    if (!(intervalValue > 0)) {
+      return res.status(400).json({ error: 'intervalValue must be a positive number' });
+    }
+    
+    const baseline = lastServiceReading !== undefined
+      ? lastServiceReading
+      : await getMeterReading(pool, asset, metricType);
+    
+    const result = await pool.query(
+      `INSERT INTO service_intervals
+        (id, asset_id, metric_type, interval_value, title, description, last_service_reading, active, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE, NOW(), NOW())
+       RETURNING *`,
+      [uuidv4(), asset.id, metricType, intervalValue, title, description, baseline]
+    );
+    
+    res.json(await formatServiceInterval(asset, result.rows[0]));
+  } catch (error) {
+    console.error('Create service interval error:', error);
+    res.status(500).json({ error: 'Failed to create service interval' });
+  }
+});
+
+// Update service interval (admin only)
+app.patch('/api/assets/:id/service-intervals/:intervalId', authenticate, requireMembership, validate({
+  body: {
+    intervalValue: v.number({ min: 0 }).optional(),
+    title: v.string({ min: 1, max: 255 }).optional(),
+    description: v.string({ max: 5000 }).optional().nullable(),
+    lastServiceReading: v.number({ min: 0 }).optional(),
+    active: v.boolean().optional()
+  }
+}), async (req, res) => {
+  try {
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
+    
+    const { intervalValue, title, description, lastServiceReading, active } = req.body;
+    
+    if (intervalValue !== undefined && !(intervalValue > 0)) {
+      return res.status(400).json({ error: 'intervalValue must be a positive number' });
+    }
+    
+    const result = await pool.query(
+      `UPDATE service_intervals SET
+        interval_value = COALESCE($1, interval_value),
+        title = COALESCE($2, title),
+        description = COALESCE($3, description),
+        last_service_reading = COALESCE($4, last_service_reading),
+        active = COALESCE($5, active),
+        updated_at = NOW()
+       WHERE id = $6 AND asset_id = $7
+       RETURNING *`,
+      [
+        intervalValue !== undefined ? intervalValue : null,
+        title !== undefined ? title : null,
+        description !== undefined ? description : null,
+        lastServiceReading !== undefined ? lastServiceReading : null,
+        active !== undefined ? Boolean(active) : null,
+        req.params.intervalId,
+        asset.id
+      ]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service interval not found' });
+    }
+    
+    res.json(await formatServiceInterval(asset, result.rows[0]));
+  } catch (error) {
+    console.error('Update service interval error:', error);
+    res.status(500).json({ error: 'Failed to update service interval' });
+  }
+});
+
+// Delete service interval (admin only)
+app.delete('/api/assets/:id/service-intervals/:intervalId', authenticate, requireMembership, async (req, res) => {
   try {
-    if (req.user.tier > 1) {
-      return res.status(403).json({ error: 'Only tier 1 members can create assets' });
-    }
-    
-    const { name, type, location, imageUrl, metadata } = req.body;
+    const asset = await findFamilyAsset(req, res, 'manage');
+    if (!asset) return;
     
     const result = await pool.query(
-      `INSERT INTO assets (id, family_id, name, type, location, image_url, metadata, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-       RETURNING *`,
-      [uuidv4(), req.user.family_id, name, type, location, imageUrl, metadata]
+      'DELETE FROM service_intervals WHERE id = $1 AND asset_id = $2 RETURNING id',
+      [req.params.intervalId, asset.id]
     );
     
-    res.json(result.rows[0]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service interval not found' });
+    }
+    
+    res.json({ success: true });
   } catch (error) {
-    console.error('Create asset error:', error);
-    res.status(500).json({ error: 'Failed to create asset' });
+    console.error('Delete service interval error:', error);
+    res.status(500).json({ error: 'Failed to delete service interval' });
   }
 });
 
 // =============================================================================
-// RESERVATION ROUTES
+// CALENDAR ROUTES
 // =============================================================================
 
-// Get all reservations
-app.get('/api/reservations', authenticate, async (req, res) => {
+// Get calendar events for date range
+app.get('/api/calendar', authenticate, requireMembership, validate({
+  query: v.object({
+    start: v.datetime(),
+    end: v.datetime(),
+    assetId: v.uuid().optional()
+  }, { rules: [v.after('end', 'start')] })
+}), async (req, res) => {
   try {
-    const { assetId, status, upcoming } = req.query;
+    const { start, end, assetId } = req.query;
     
     let query = `
-      SELECT r.*, a.name as asset_name, a.type as asset_type, u.name as user_name
+      SELECT r.*, a.name as asset_name, a.type as asset_type, a.metadata as asset_metadata, u.name as user_name
       FROM reservations r
       JOIN assets a ON r.asset_id = a.id
       JOIN users u ON r.user_id = u.id
       WHERE a.family_id = $1
+      AND r.asset_id = ANY($4::uuid[])
+      AND r.status NOT IN ${RELEASED_STATUSES_SQL}
+      AND r.start_date <= $3
+      AND r.end_date >= $2
     `;
-    const params = [req.user.family_id];
+    const params = [req.membership.family_id, start, end, await visibleAssetIds(pool, actingMember(req))];
     
     if (assetId) {
       params.push(assetId);
       query += ` AND r.asset_id = $${params.length}`;
     }
     
-    if (status) {
-      params.push(status);
-      query += ` AND r.status = $${params.length}`;
-    }
+    query += ` ORDER BY r.start_date`;
     
-    if (upcoming === 'true') {
-      query += ` AND r.start_date >= NOW()`;
+    const result = await pool.query(query, params);
+    
+    const legs = await loadTripLegs(pool, result.rows.map(r => r.id));
+    const legsByReservation = new Map();
+    for (const leg of legs) {
+      if (!legsByReservation.has(leg.reservation_id)) legsByReservation.set(leg.reservation_id, []);
+      legsByReservation.get(leg.reservation_id).push(leg);
     }
     
-    query += ` ORDER BY r.start_date ASC`;
+    // Format as calendar events, with plane and boat legs as sub-events
+    const events = result.rows.map(r => ({
+      id: r.id,
+      title: `${r.asset_name} - ${r.user_name}`,
+      start: r.start_date,
+      end: r.end_date,
+      assetId: r.asset_id,
+      assetType: r.asset_type,
+      userId: r.user_id,
+      status: r.status,
+      seriesId: r.series_id,
+      isException: r.is_exception,
+      subEvents: legsByReservation.has(r.id)
+        ? itineraryEvents(legsByReservation.get(r.id), { type: r.asset_type, metadata: r.asset_metadata })
+        : []
+    }));
     
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(events);
   } catch (error) {
-    console.error('Get reservations error:', error);
-    res.status(500).json({ error: 'Failed to fetch reservations' });
+    console.error('Get calendar error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar' });
   }
 });
 
-// Get user's reservations
-app.get('/api/reservations/mine', authenticate, async (req, res) => {
+// =============================================================================
+// ICAL FEED & IMPORT ROUTES
+// =============================================================================
+
+// How much history and future a subscribed feed carries
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 730;
+
+// Stable per-entity UIDs so calendar apps update events in place
+const icsUid = (kind, id) => `${kind}-${id}@reservepty`;
+
+// Reservation status -> iCalendar STATUS. Released reservations stay in the feed as
+// CANCELLED so subscribed calendars remove them.
+const icsStatus = (status) => {
+  if (['cancelled', 'rejected', 'expired', 'bumped'].includes(status)) return 'CANCELLED';
+  if (status === 'pending' || status === 'held') return 'TENTATIVE';
+  return 'CONFIRMED';
+};
+
+// Whole seconds since creation; grows with every update, as SEQUENCE must
+const icsSequence = (row) => Math.max(0, Math.floor((new Date(row.updated_at || row.created_at) - new Date(row.created_at)) / 1000));
+
+// List user's calendar feeds
+app.get('/api/calendar/feeds', authenticate, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT r.*, a.name as asset_name, a.type as asset_type
-       FROM reservations r
-       JOIN assets a ON r.asset_id = a.id
-       WHERE r.user_id = $1
-       ORDER BY r.start_date DESC`,
+      `SELECT id, family_id, name, last_used_at, revoked_at, created_at
+       FROM calendar_feeds WHERE user_id = $1
+       ORDER BY created_at DESC`,
       [req.user.id]
     );
     
     res.json(result.rows);
   } catch (error) {
-    console.error('Get my reservations error:', error);
-    res.status(500).json({ error: 'Failed to fetch reservations' });
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({ error: 'Failed to fetch calendar feeds' });
   }
 });
 
-// Create reservation
-app.post('/api/reservations', authenticate, async (req, res) => {
+// Create a feed token. The token is only ever returned here.
+app.post('/api/calendar/feeds', authenticate, requireMembership, validate({
+  body: { name: v.string({ min: 1, max: 255 }).optional() }
+}), async (req, res) => {
   try {
-    const { assetId, startDate, endDate, notes, metadata } = req.body;
-    
-    // Check asset exists and belongs to family
-    const assetResult = await pool.query(
-      'SELECT * FROM assets WHERE id = $1 AND family_id = $2',
-      [assetId, req.user.family_id]
-    );
-    
-    if (assetResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Asset not found' });
-    }
-    
-    // Check for conflicts
-    const conflictResult = await pool.query(
-      `SELECT id FROM reservations 
-       WHERE asset_id = $1 
-       AND status != 'cancelled'
-       AND (start_date, end_date) OVERLAPS ($2::timestamp, $3::timestamp)`,
-      [assetId, startDate, endDate]
-    );
-    
-    if (conflictResult.rows.length > 0) {
-      return res.status(409).json({ error: 'Time slot conflicts with existing reservation' });
-    }
-    
-    // Check tier restrictions (example: tier 4 can only book 7 days ahead)
-    const asset = assetResult.rows[0];
-    const daysAhead = Math.ceil((new Date(startDate) - new Date()) / (1000 * 60 * 60 * 24));
-    const maxDaysAhead = [365, 180, 90, 30][req.user.tier - 1] || 30;
+    const token = crypto.randomBytes(24).toString('base64url');
     
-    if (daysAhead > maxDaysAhead) {
-      return res.status(403).json({ 
-        error: `Tier ${req.user.tier} members can only book ${maxDaysAhead} days in advance` 
-      });
-    }
-    
-    // Create reservation
     const result = await pool.query(
-      `INSERT INTO reservations (id, asset_id, user_id, start_date, end_date, status, notes, metadata, created_at)
-       VALUES ($1, $2, $3, $4, $5, 'confirmed', $6, $7, NOW())
-       RETURNING *`,
-      [uuidv4(), assetId, req.user.id, startDate, endDate, notes, metadata]
+      `INSERT INTO calendar_feeds (id, user_id, family_id, name, token_hash, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING id, family_id, name, created_at`,
+      [uuidv4(), req.user.id, req.membership.family_id, req.body.name || 'Family calendar', hashToken(token)]
     );
     
-    res.json(result.rows[0]);
+    const url = `${req.protocol}://${req.get('host')}/api/calendar/feed.ics?token=${token}`;
+    res.json({ ...result.rows[0], token, url });
   } catch (error) {
-    console.error('Create reservation error:', error);
-    res.status(500).json({ error: 'Failed to create reservation' });
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
   }
 });
 
-// Cancel reservation
-app.patch('/api/reservations/:id/cancel', authenticate, async (req, res) => {
+// Revoke a feed token
+app.delete('/api/calendar/feeds/:id', authenticate, async (req, res) => {
   try {
     const result = await pool.query(
-      `UPDATE reservations 
-       SET status = 'cancelled', updated_at = NOW()
-       WHERE id = $1 AND user_id = $2
-       RETURNING *`,
+      `UPDATE calendar_feeds SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
       [req.params.id, req.user.id]
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Reservation not found or not authorized' });
+      return res.status(404).json({ error: 'Calendar feed not found' });
     }
     
-    res.json(result.rows[0]);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Cancel reservation error:', error);
-    res.status(500).json({ error: 'Failed to cancel reservation' });
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
   }
 });
 
-// =============================================================================
-// CALENDAR ROUTES
-// =============================================================================
-
-// Get calendar events for date range
-app.get('/api/calendar', authenticate, async (req, res) => {
+// Subscribable .ics feed, authenticated by feed token. Filters: ?assetId=, ?mine=true
+app.get('/api/calendar/feed.ics', validate({
+  query: { token: v.string({ min: 1, max: 200 }), assetId: v.uuid().optional(), mine: v.boolean().optional() }
+}), async (req, res) => {
   try {
-    const { start, end, assetId } = req.query;
+    const { token, assetId, mine } = req.query;
+    
+    // A feed shows the family it was created for, while its owner is still a member
+    const feedResult = await pool.query(
+      `UPDATE calendar_feeds f SET last_used_at = NOW()
+       FROM users u, family_memberships m
+       WHERE f.user_id = u.id AND f.token_hash = $1 AND f.revoked_at IS NULL
+       AND m.user_id = f.user_id AND m.family_id = f.family_id AND m.active = TRUE
+       RETURNING u.id, u.name, f.family_id, m.tier`,
+      [hashToken(token)]
+    );
+    
+    if (feedResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid feed token' });
+    }
+    
+    const user = feedResult.rows[0];
+    const from = new Date(Date.now() - FEED_PAST_DAYS * DAY_MS);
+    const to = new Date(Date.now() + FEED_FUTURE_DAYS * DAY_MS);
+    const visible = await visibleAssetIds(pool, user);
     
     let query = `
-      SELECT r.*, a.name as asset_name, a.type as asset_type, u.name as user_name
+      SELECT r.*, a.name as asset_name, a.location as asset_location, u.name as user_name
       FROM reservations r
       JOIN assets a ON r.asset_id = a.id
       JOIN users u ON r.user_id = u.id
       WHERE a.family_id = $1
-      AND r.status != 'cancelled'
-      AND r.start_date <= $3
-      AND r.end_date >= $2
+      AND r.asset_id = ANY($4::uuid[])
+      AND r.end_date >= $2 AND r.start_date <= $3
     `;
-    const params = [req.user.family_id, start, end];
+    const params = [user.family_id, from, to, visible];
     
     if (assetId) {
       params.push(assetId);
       query += ` AND r.asset_id = $${params.length}`;
     }
     
-    query += ` ORDER BY r.start_date`;
+    if (mine === 'true') {
+      params.push(user.id);
+      query += ` AND r.user_id = $${params.length}`;
+    }
     
-    const result = await pool.query(query, params);
+    const reservations = await pool.query(query + ' ORDER BY r.start_date', params);
     
-    // Format as calendar events
-    const events = result.rows.map(r => ({
-      id: r.id,
-      title: `${r.asset_name} - ${r.user_name}`,
+    const events = reservations.rows.map(r => ({
+      uid: icsUid('reservation', r.id),
       start: r.start_date,
       end: r.end_date,
-      assetId: r.asset_id,
-      assetType: r.asset_type,
-      userId: r.user_id,
-      status: r.status
+      summary: `${r.asset_name} - ${r.user_name}`,
+      description: r.notes || undefined,
+      location: r.asset_location || undefined,
+      status: icsStatus(r.status),
+      sequence: icsSequence(r),
+      lastModified: r.updated_at || r.created_at,
+      categories: ['Reservation']
     }));
     
-    res.json(events);
+    // Blackouts and maintenance windows block the asset for everyone
+    if (mine !== 'true') {
+      const blocked = await pool.query(
+        `SELECT 'blackout' as kind, b.id, b.start_date, b.end_date, b.reason as title, b.created_at,
+           b.created_at as updated_at, a.name as asset_name
+         FROM asset_blackouts b
+         JOIN assets a ON b.asset_id = a.id
+         WHERE a.family_id = $1 AND b.end_date >= $2 AND b.start_date <= $3
+         AND ($4::uuid IS NULL OR a.id = $4::uuid)
+         AND a.id = ANY($5::uuid[])
+         UNION ALL
+         SELECT 'maintenance', m.id, m.scheduled_start, m.scheduled_end, m.title, m.created_at,
+           m.updated_at, a.name
+         FROM maintenance_tasks m
+         JOIN assets a ON m.asset_id = a.id
+         WHERE a.family_id = $1 AND m.status IN ${OPEN_MAINTENANCE_SQL}
+         AND m.scheduled_end >= $2 AND m.scheduled_start <= $3
+         AND ($4::uuid IS NULL OR a.id = $4::uuid)
+         AND a.id = ANY($5::uuid[])`,
+        [user.family_id, from, to, assetId || null, visible]
+      );
+      
+      for (const b of blocked.rows) {
+        events.push({
+          uid: icsUid(b.kind, b.id),
+          start: b.start_date,
+          end: b.end_date,
+          summary: `${b.asset_name} - ${b.kind === 'maintenance' ? 'Maintenance' : 'Unavailable'}${b.title ? `: ${b.title}` : ''}`,
+          status: 'CONFIRMED',
+          sequence: icsSequence(b),
+          lastModified: b.updated_at,
+          categories: [b.kind === 'maintenance' ? 'Maintenance' : 'Blackout']
+        });
+      }
+    }
+    
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="reservepty.ics"');
+    res.send(formatCalendar({ name: user.name ? `ReservePTY - ${user.name}` : 'ReservePTY', events }));
   } catch (error) {
-    console.error('Get calendar error:', error);
-    res.status(500).json({ error: 'Failed to fetch calendar' });
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Expand imported events (including RRULE ones) into concrete occurrences.
+// Occurrences listed in EXDATE are dropped, and ones edited in another calendar
+// (events with a RECURRENCE-ID) replace the occurrence they override under the
+// same uid. Events that cannot be read or expanded come back with an `error`.
+const ICS_IMPORT_HORIZON_DAYS = 365;
+
+const expandImportedEvents = (events) => {
+  const horizon = new Date(Date.now() + ICS_IMPORT_HORIZON_DAYS * DAY_MS);
+  const occurrences = [];
+  
+  const overridden = new Set(events
+    .filter(event => event.recurrenceId && event.uid)
+    .map(event => `${event.uid}#${event.recurrenceId.toISOString()}`));
+  
+  for (const event of events) {
+    if (event.error) {
+      occurrences.push(event);
+      continue;
+    }
+    
+    const uid = event.uid || `${event.start.toISOString()}-${event.summary || ''}`;
+    if (event.recurrenceId) {
+      occurrences.push({ ...event, uid: `${uid}#${event.recurrenceId.toISOString()}` });
+      continue;
+    }
+    if (!event.rrule) {
+      occurrences.push({ ...event, uid });
+      continue;
+    }
+    
+    let rule;
+    try {
+      rule = parseRRule(event.rrule);
+    } catch (error) {
+      if (!(error instanceof RRuleError)) throw error;
+      occurrences.push({ ...event, uid, error: `Unsupported recurrence: ${error.message}` });
+      continue;
+    }
+    
+    const excluded = new Set((event.exdates || []).map(date => date.getTime()));
+    const duration = event.end - event.start;
+    const starts = expandRRule(rule, event.start, { until: horizon, limit: MAX_SERIES_OCCURRENCES })
+      .filter(start => !excluded.has(start.getTime()) && !overridden.has(`${uid}#${start.toISOString()}`));
+    for (const start of starts) {
+      occurrences.push({
+        ...event,
+        uid: `${uid}#${start.toISOString()}`,
+        start,
+        end: new Date(start.getTime() + duration)
+      });
+    }
+  }
+  
+  return occurrences;
+};
+
+// Import options arrive in the query with a text/calendar body, or alongside the calendar in JSON
+const validateImport = (req, res, next) => {
+  const options = { assetId: v.uuid(), mode: v.oneOf(['reservations', 'blackouts']).optional() };
+  const schemas = typeof req.body === 'string'
+    ? { query: options }
+    : { body: { ...options, ics: v.string({ min: 1, max: 2 * 1024 * 1024 }) } };
+  validate(schemas)(req, res, next);
+};
+
+// Import an .ics file as reservations (default) or, for tier 1, as blackout periods.
+// Accepts a text/calendar body with ?assetId=&mode=, or JSON { assetId, mode, ics }.
+app.post('/api/calendar/import', authenticate, requireMembership, express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), validateImport, async (req, res) => {
+  try {
+    const fromText = typeof req.body === 'string';
+    const ics = fromText ? req.body : req.body.ics;
+    const assetId = fromText ? req.query.assetId : req.body.assetId;
+    const mode = (fromText ? req.query.mode : req.body.mode) || 'reservations';
+    
+    // Blackouts need manage access to the asset, reservations need to be able to book it
+    const asset = await findFamilyAsset(req, res, mode === 'blackouts' ? 'manage' : 'request', assetId);
+    if (!asset) return;
+    
+    let events;
+    try {
+      events = expandImportedEvents(parseCalendar(ics));
+    } catch (error) {
+      if (error instanceof IcsError) {
+        return res.status(400).json({ error: `Invalid calendar: ${error.message}` });
+      }
+      throw error;
+    }
+    
+    await expirePendingReservations();
+    
+    const now = new Date();
+    const approvalRule = mode === 'reservations' ? await findApprovalRule(actingMember(req), asset) : null;
+    
+    const report = await withTransaction(async (client) => {
+      const created = [];
+      const skipped = [];
+      const conflicts = [];
+      
+      // Held until commit, so the asset cannot be archived under the import
+      if (mode === 'reservations') {
+        await lockBookableAsset(client, asset.id);
+      }
+      
+      for (const event of events) {
+        const summary = { uid: event.uid, summary: event.summary, startDate: event.start, endDate: event.end };
+        
+        // Events the parser could not use are reported one by one
+        if (event.error) {
+          skipped.push({ ...summary, reason: 'unsupported', error: event.error });
+          continue;
+        }
+        
+        if (event.status === 'CANCELLED') {
+          if (mode === 'blackouts') {
+            await client.query(
+              'DELETE FROM asset_blackouts WHERE asset_id = $1 AND external_uid = $2',
+              [asset.id, event.uid]
+            );
+          }
+          skipped.push({ ...summary, reason: 'cancelled', error: 'Event is cancelled' });
+          continue;
+        }
+        
+        if (!(event.end > event.start)) {
+          skipped.push({ ...summary, reason: 'invalid', error: 'Event has no duration' });
+          continue;
+        }
+        
+        if (event.end < now) {
+          skipped.push({ ...summary, reason: 'past', error: 'Event is in the past' });
+          continue;
+        }
+        
+        if (mode === 'blackouts') {
+          const result = await client.query(
+            `INSERT INTO asset_blackouts
+              (id, asset_id, start_date, end_date, reason, source, external_uid, created_by, created_at)
+             VALUES ($1, $2, $3, $4, $5, 'ics', $6, $7, NOW())
+             ON CONFLICT (asset_id, external_uid) DO UPDATE SET
+               start_date = EXCLUDED.start_date,
+               end_date = EXCLUDED.end_date,
+               reason = EXCLUDED.reason
+             RETURNING *`,
+            [uuidv4(), asset.id, event.start, event.end, event.summary || 'Imported', event.uid, req.user.id]
+          );
+          created.push(result.rows[0]);
+          
+          // Blackouts are imported regardless; overlapping bookings are reported for follow-up
+          const overlapping = await findReservationsInWindow(asset.id, event.start, event.end);
+          for (const reservation of overlapping) {
+            conflicts.push({ ...summary, reservation });
+          }
+          continue;
+        }
+        
+        const already = await client.query(
+          `SELECT id FROM reservations
+           WHERE asset_id = $1 AND user_id = $2 AND metadata->>'icsUid' = $3
+           AND status NOT IN ${RELEASED_STATUSES_SQL}`,
+          [asset.id, req.user.id, event.uid]
+        );
+        if (already.rows.length > 0) {
+          skipped.push({ ...summary, reason: 'duplicate', error: 'Event was already imported' });
+          continue;
+        }
+        
+        const slot = { assetId: asset.id, startDate: event.start, endDate: event.end };
+        try {
+          await checkBookingPolicies(client, { user: actingMember(req), asset, startDate: event.start, endDate: event.end });
+          await assertSlotAvailable(client, slot);
+          const result = await withOverlapGuard(client, slot, () => client.query(
+            `INSERT INTO reservations
+              (id, asset_id, user_id, start_date, end_date, status, notes, metadata, approver_tier, expires_at, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+             RETURNING *`,
+            [uuidv4(), asset.id, req.user.id, event.start, event.end, approvalRule ? 'pending' : 'confirmed',
+              event.description || event.summary || null, { icsUid: event.uid },
+              approvalRule ? approvalRule.approver_tier : null, approvalRule ? approvalExpiry(event.start) : null]
+          ));
+          created.push(result.rows[0]);
+          await emitFamilyEvent(client, asset.family_id, 'reservation.created', { reservation: result.rows[0] });
+        } catch (error) {
+          if (!(error instanceof ApiError) || ![403, 409].includes(error.status)) throw error;
+          const problem = { ...summary, error: error.message, ...error.details };
+          skipped.push(problem);
+          if (error.status === 409) {
+            conflicts.push(problem);
+          }
+        }
+      }
+      
+      return { mode, created, skipped, conflicts };
+    });
+    
+    res.json(report);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Calendar import error:', error);
+    res.status(500).json({ error: 'Failed to import calendar' });
   }
 });
 
@@ -474,28 +6975,33 @@ app.get('/api/calendar', authenticate, async (req, res) => {
 // STATS ROUTES
 // =============================================================================
 
-app.get('/api/stats', authenticate, async (req, res) => {
+app.get('/api/stats', authenticate, requireMembership, async (req, res) => {
   try {
-    const familyId = req.user.family_id;
+    const familyId = req.membership.family_id;
+    
+    // Only count assets the member can see
+    const visible = await visibleAssetIds(pool, actingMember(req));
     
     // Get various stats
     const [assets, reservations, members, upcoming] = await Promise.all([
-      pool.query('SELECT COUNT(*) FROM assets WHERE family_id = $1', [familyId]),
+      pool.query('SELECT COUNT(*) FROM assets WHERE id = ANY($1::uuid[]) AND archived_at IS NULL', [visible]),
       pool.query(
         `SELECT COUNT(*) FROM reservations r 
          JOIN assets a ON r.asset_id = a.id 
          WHERE a.family_id = $1 
+         AND r.asset_id = ANY($2::uuid[])
          AND r.created_at >= date_trunc('month', NOW())`,
-        [familyId]
+        [familyId, visible]
       ),
-      pool.query('SELECT COUNT(*) FROM users WHERE family_id = $1', [familyId]),
+      pool.query('SELECT COUNT(*) FROM family_memberships WHERE family_id = $1 AND active = TRUE', [familyId]),
       pool.query(
         `SELECT COUNT(*) FROM reservations r
          JOIN assets a ON r.asset_id = a.id
          WHERE a.family_id = $1
+         AND r.asset_id = ANY($2::uuid[])
          AND r.start_date > NOW()
          AND r.status = 'confirmed'`,
-        [familyId]
+        [familyId, visible]
       )
     ]);
     
@@ -515,35 +7021,618 @@ app.get('/api/stats', authenticate, async (req, res) => {
 // AIRPORTS & PORTS (for booking flows)
 // =============================================================================
 
-app.get('/api/airports', (req, res) => {
-  res.json([
-    { code: 'PTY', name: 'Tocumen International', city: 'Panama City', country: 'Panama' },
-    { code: 'SJO', name: 'Juan Santamaría International', city: 'San José', country: 'Costa Rica' },
-    { code: 'BOG', name: 'El Dorado International', city: 'Bogotá', country: 'Colombia' },
-    { code: 'MDE', name: 'José María Córdova International', city: 'Medellín', country: 'Colombia' },
-    { code: 'CTG', name: 'Rafael Núñez International', city: 'Cartagena', country: 'Colombia' },
-    { code: 'MIA', name: 'Miami International', city: 'Miami', country: 'USA' },
-    { code: 'FLL', name: 'Fort Lauderdale-Hollywood', city: 'Fort Lauderdale', country: 'USA' },
-    { code: 'GUA', name: 'La Aurora International', city: 'Guatemala City', country: 'Guatemala' }
-  ]);
+const CATALOG_COLUMNS = 'id, code, name, city, country, timezone, latitude, longitude, active, created_at, updated_at';
+
+// Catalog entry from a request body, with the code taken from the URL on updates
+const catalogEntryFromBody = (body, code) => ({
+  code: String(code || body.code || '').trim().toUpperCase(),
+  name: body.name,
+  city: body.city || null,
+  country: body.country || null,
+  timezone: body.timezone,
+  latitude: body.latitude === undefined || body.latitude === null ? null : Number(body.latitude),
+  longitude: body.longitude === undefined || body.longitude === null ? null : Number(body.longitude)
+});
+
+// Codes are case-insensitive here; catalogEntryFromBody uppercases them
+const CATALOG_CODE_PATTERN = /^[A-Za-z0-9]{2,10}$/;
+const catalogCode = () => v.string({ pattern: CATALOG_CODE_PATTERN, patternMessage: 'must be 2-10 letters or digits' });
+
+// Request body of a catalog entry; validateEntry checks the timezone exists
+const catalogEntrySchema = (withCode) => ({
+  ...(withCode ? { code: catalogCode() } : {}),
+  name: v.string({ min: 1, max: 255 }),
+  city: v.string({ max: 255 }).optional().nullable(),
+  country: v.string({ max: 100 }).optional().nullable(),
+  timezone: v.string({ min: 1, max: 64 }),
+  latitude: v.number({ min: -90, max: 90 }).optional().nullable(),
+  longitude: v.number({ min: -180, max: 180 }).optional().nullable()
+});
+
+// Active catalog codes among `codes`, for validating trip legs
+const findKnownCodes = async (db, kind, codes) => {
+  const result = await db.query(
+    'SELECT code FROM catalog_entries WHERE kind = $1 AND active = TRUE AND code = ANY($2::text[])',
+    [kind, codes]
+  );
+  return new Set(result.rows.map(row => row.code));
+};
+
+// Search and read one catalog: airports or ports. The catalogs are shared by
+// every family, so only platform admins manage them.
+const registerCatalogRoutes = (kind, path) => {
+  const label = kind === 'airport' ? 'Airport' : 'Port';
+  
+  // List or search (?q= matches code, name and city)
+  app.get(path, validate({
+    query: {
+      q: v.string({ max: 100 }).optional(),
+      includeInactive: v.boolean().optional(),
+      limit: v.integer({ min: 1, max: 1000 }).optional()
+    }
+  }), async (req, res) => {
+    try {
+      const params = [kind];
+      let query = `SELECT ${CATALOG_COLUMNS} FROM catalog_entries WHERE kind = $1`;
+      
+      if (req.query.includeInactive !== 'true') {
+        query += ' AND active = TRUE';
+      }
+      
+      if (req.query.q) {
+        params.push(req.query.q.trim());
+        query += ` AND (code ILIKE $${params.length} || '%' OR name ILIKE '%' || $${params.length} || '%'
+          OR city ILIKE '%' || $${params.length} || '%')`;
+        query += ` ORDER BY (code = UPPER($${params.length})) DESC, code`;
+      } else {
+        query += ' ORDER BY code';
+      }
+      
+      params.push(Math.min(parseInt(req.query.limit) || 200, 1000));
+      query += ` LIMIT $${params.length}`;
+      
+      const result = await pool.query(query, params);
+      res.json(result.rows);
+    } catch (error) {
+      console.error(`Get ${kind}s error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${kind}s` });
+    }
+  });
+  
+  // Great-circle distance between two entries, with a travel time estimate
+  // from the asset's metadata.cruiseSpeed (knots) when assetId is given
+  app.get(`${path}/distance`, authenticate, requireMembership, validate({
+    query: { from: catalogCode(), to: catalogCode(), assetId: v.uuid().optional() }
+  }), async (req, res) => {
+    try {
+      const codes = [req.query.from, req.query.to].map(code => code.toUpperCase());
+      const result = await pool.query(
+        `SELECT ${CATALOG_COLUMNS} FROM catalog_entries WHERE kind = $1 AND code = ANY($2::text[])`,
+        [kind, codes]
+      );
+      const from = result.rows.find(row => row.code === codes[0]);
+      const to = result.rows.find(row => row.code === codes[1]);
+      
+      if (!from || !to) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      
+      const distance = distanceNm(from, to);
+      if (distance === null) {
+        return res.status(422).json({ error: 'Both entries need coordinates to estimate distance' });
+      }
+      
+      let estimatedMinutes = null;
+      if (req.query.assetId) {
+        const assetResult = await pool.query(
+          'SELECT metadata FROM assets WHERE id = $1 AND family_id = $2',
+          [req.query.assetId, req.membership.family_id]
+        );
+        if (assetResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Asset not found' });
+        }
+        
+        const cruiseSpeed = Number(assetResult.rows[0].metadata && assetResult.rows[0].metadata.cruiseSpeed);
+        if (cruiseSpeed > 0) {
+          estimatedMinutes = Math.round(distance / cruiseSpeed * 60);
+        }
+      }
+      
+      res.json({
+        from: { code: from.code, timezone: from.timezone },
+        to: { code: to.code, timezone: to.timezone },
+        distanceNm: Math.round(distance),
+        estimatedMinutes
+      });
+    } catch (error) {
+      console.error(`${label} distance error:`, error);
+      res.status(500).json({ error: 'Failed to estimate distance' });
+    }
+  });
+  
+  app.get(`${path}/:code`, validate({ params: { code: catalogCode() } }), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT ${CATALOG_COLUMNS} FROM catalog_entries WHERE kind = $1 AND code = $2`,
+        [kind, req.params.code.toUpperCase()]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error(`Get ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${kind}` });
+    }
+  });
+  
+  // Add an entry (platform admins only)
+  app.post(path, authenticate, requirePlatformAdmin, validate({ body: catalogEntrySchema(true) }), async (req, res) => {
+    try {
+      const entry = catalogEntryFromBody(req.body);
+      const problem = validateEntry(entry);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      
+      const result = await pool.query(
+        `INSERT INTO catalog_entries
+          (id, kind, code, name, city, country, timezone, latitude, longitude, active, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE, NOW(), NOW())
+         RETURNING ${CATALOG_COLUMNS}`,
+        [uuidv4(), kind, entry.code, entry.name, entry.city, entry.country, entry.timezone, entry.latitude, entry.longitude]
+      );
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `${label} ${req.body.code} already exists` });
+      }
+      console.error(`Create ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to create ${kind}` });
+    }
+  });
+  
+  // Update an entry; also re-activates a removed one (platform admins only)
+  app.put(`${path}/:code`, authenticate, requirePlatformAdmin, validate({
+    params: { code: catalogCode() },
+    body: catalogEntrySchema(false)
+  }), async (req, res) => {
+    try {
+      const entry = catalogEntryFromBody(req.body, req.params.code);
+      const problem = validateEntry(entry);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      
+      const result = await pool.query(
+        `UPDATE catalog_entries SET
+          name = $1, city = $2, country = $3, timezone = $4, latitude = $5, longitude = $6,
+          active = TRUE, updated_at = NOW()
+         WHERE kind = $7 AND code = $8
+         RETURNING ${CATALOG_COLUMNS}`,
+        [entry.name, entry.city, entry.country, entry.timezone, entry.latitude, entry.longitude, kind, entry.code]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error(`Update ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to update ${kind}` });
+    }
+  });
+  
+  // Remove an entry from booking flows. Existing trip legs keep their code, so
+  // the entry is deactivated rather than deleted (platform admins only).
+  app.delete(`${path}/:code`, authenticate, requirePlatformAdmin, validate({ params: { code: catalogCode() } }), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE catalog_entries SET active = FALSE, updated_at = NOW()
+         WHERE kind = $1 AND code = $2
+         RETURNING id`,
+        [kind, req.params.code.toUpperCase()]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      
+      res.json({ success: true });
+    } catch (error) {
+      console.error(`Delete ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to delete ${kind}` });
+    }
+  });
+  
+  // Bulk import or update from CSV: OurAirports airports.csv, or columns
+  // code,name,city,country,timezone,latitude,longitude. ?timezone= fills rows
+  // without one (platform admins only).
+  app.post(`${path}/import`, authenticate, requirePlatformAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), validate({
+    query: { timezone: v.string({ min: 1, max: 64 }).optional() }
+  }), async (req, res) => {
+    try {
+      if (req.query.timezone && !isValidTimezone(req.query.timezone)) {
+        return res.status(400).json({ error: `Unknown timezone ${req.query.timezone}` });
+      }
+      
+      let parsed;
+      try {
+        parsed = parseCatalogCsv(typeof req.body === 'string' ? req.body : '', { defaultTimezone: req.query.timezone });
+      } catch (error) {
+        if (error instanceof CatalogError) {
+          return res.status(400).json({ error: `Invalid CSV: ${error.message}` });
+        }
+        throw error;
+      }
+      
+      const imported = await withTransaction(async (client) => {
+        let count = 0;
+        for (const entry of parsed.entries) {
+          await client.query(
+            `INSERT INTO catalog_entries
+              (id, kind, code, name, city, country, timezone, latitude, longitude, active, created_at, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, TRUE, NOW(), NOW())
+             ON CONFLICT (kind, code) DO UPDATE SET
+              name = EXCLUDED.name, city = EXCLUDED.city, country = EXCLUDED.country,
+              timezone = EXCLUDED.timezone, latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude,
+              active = TRUE, updated_at = NOW()`,
+            [uuidv4(), kind, entry.code, entry.name, entry.city, entry.country, entry.timezone, entry.latitude, entry.longitude]
+          );
+          count++;
+        }
+        return count;
+      });
+      
+      res.json({
+        imported,
+        skippedCount: parsed.skipped.length,
+        skipped: parsed.skipped.slice(0, 100)
+      });
+    } catch (error) {
+      console.error(`Import ${kind}s error:`, error);
+      res.status(500).json({ error: `Failed to import ${kind}s` });
+    }
+  });
+};
+
+registerCatalogRoutes('airport', '/api/airports');
+registerCatalogRoutes('port', '/api/ports');
+
+// =============================================================================
+// TRIP LEG ROUTES
+// =============================================================================
+
+// Validate a reservation's itinerary and store it, replacing any existing legs
+const saveTripLegs = async (client, { reservation, asset, legs }) => {
+  const type = TRIP_ASSET_TYPES[asset.type];
+  const codes = Array.isArray(legs)
+    ? legs.flatMap(leg => [leg.origin, leg.destination]).map(code => String(code || '').trim().toUpperCase())
+    : [];
+  
+  let validated;
+  try {
+    validated = validateLegs(legs, {
+      asset,
+      startDate: reservation.start_date,
+      endDate: reservation.end_date,
+      knownCodes: type ? await findKnownCodes(client, type.catalog, codes) : new Set()
+    });
+  } catch (error) {
+    if (error instanceof ItineraryError) {
+      throw new ApiError(400, error.message, { reason: 'itinerary' });
+    }
+    throw error;
+  }
+  
+  await client.query('DELETE FROM trip_legs WHERE reservation_id = $1', [reservation.id]);
+  
+  for (const leg of validated) {
+    await client.query(
+      `INSERT INTO trip_legs
+        (id, reservation_id, leg_number, origin_code, destination_code, departs_at, arrives_at, passengers, notes, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+      [uuidv4(), reservation.id, leg.legNumber, leg.origin, leg.destination, leg.departsAt, leg.arrivesAt,
+        leg.passengers, leg.notes]
+    );
+  }
+  
+  return loadTripLegs(client, [reservation.id]);
+};
+
+// Legs of the given reservations in order, with the origin and destination
+// timezones so clients can show local departure and arrival times
+const loadTripLegs = async (db, reservationIds) => {
+  const result = await db.query(
+    `SELECT l.*, o.timezone as origin_timezone, d.timezone as destination_timezone
+     FROM trip_legs l
+     JOIN reservations r ON l.reservation_id = r.id
+     JOIN assets a ON r.asset_id = a.id
+     LEFT JOIN catalog_entries o ON o.code = l.origin_code
+       AND o.kind = CASE a.type WHEN 'plane' THEN 'airport' ELSE 'port' END
+     LEFT JOIN catalog_entries d ON d.code = l.destination_code
+       AND d.kind = CASE a.type WHEN 'plane' THEN 'airport' ELSE 'port' END
+     WHERE l.reservation_id = ANY($1::uuid[])
+     ORDER BY l.reservation_id, l.leg_number`,
+    [reservationIds]
+  );
+  return result.rows;
+};
+
+// Stored leg -> the shape validateLegs accepts, for re-checking after a reschedule
+const legInput = (row) => ({
+  origin: row.origin_code,
+  destination: row.destination_code,
+  departsAt: row.departs_at,
+  arrivesAt: row.arrives_at,
+  passengers: row.passengers,
+  notes: row.notes
+});
+
+// Compact itinerary for revision history, e.g. "PTY → SJO 2026-10-26T13:00:00.000Z (4 pax)"
+const summarizeLegs = (rows) => rows.map(row =>
+  `${row.origin_code} → ${row.destination_code} ${new Date(row.departs_at).toISOString()} (${row.passengers} pax)`
+);
+
+// Get a reservation's itinerary; reservations on assets the caller cannot see are a 404
+app.get('/api/reservations/:id/legs', authenticate, requireMembership, async (req, res) => {
+  try {
+    const found = await pool.query(
+      `SELECT a.id, a.type, a.family_id FROM reservations r
+       JOIN assets a ON r.asset_id = a.id
+       WHERE r.id = $1 AND a.family_id = $2`,
+      [req.params.id, req.membership.family_id]
+    );
+    
+    const { access } = found.rows[0]
+      ? await assetAccess(pool, actingMember(req), found.rows[0])
+      : { access: 'none' };
+    
+    if (!hasAccess(access, 'view')) {
+      return res.status(404).json({ error: 'Reservation not found' });
+    }
+    
+    res.json(await loadTripLegs(pool, [req.params.id]));
+  } catch (error) {
+    console.error('Get trip legs error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip legs' });
+  }
+});
+
+// =============================================================================
+// AUDIT LOG ROUTES
+// =============================================================================
+
+// Rows per JSON page by default, and the most one request returns (a CSV
+// export's default). Older rows are paged with `before`, a seq.
+const AUDIT_PAGE_SIZE = 50;
+const AUDIT_EXPORT_LIMIT = 10000;
+
+const AUDIT_CSV_HEADERS = [
+  'seq', 'created_at', 'actor_id', 'actor_name', 'actor_email', 'action', 'entity_type', 'entity_id',
+  'status_code', 'changes', 'ip_address', 'user_agent', 'request_id', 'prev_hash', 'hash'
+];
+
+// `action` matches exactly, or by prefix with a trailing * (e.g. reservation.*)
+const actionPattern = (action) => {
+  const escaped = action.replace(/[\\%_]/g, '\\$&');
+  return escaped.endsWith('*') ? `${escaped.slice(0, -1)}%` : escaped;
+};
+
+// A family's audit trail, newest first, for tier 1 members. Besides the
+// family's own rows it includes account-level rows (sign-ups, logins) of its
+// active members from while they belonged to it. format=csv downloads the page.
+app.get('/api/families/:familyId/audit-log', authenticate, requireFamilyAdmin, validate({
+  query: v.object({
+    actorId: v.uuid().optional(),
+    entityType: v.string({ max: 50 }).optional(),
+    entityId: v.uuid().optional(),
+    action: v.string({ min: 1, max: 200 }).optional(),
+    from: v.datetime().optional(),
+    to: v.datetime().optional(),
+    before: v.integer({ min: 1 }).optional(),
+    limit: v.integer({ min: 1, max: AUDIT_EXPORT_LIMIT }).optional(),
+    format: v.oneOf(['json', 'csv']).optional()
+  }, { rules: [v.after('to', 'from')] })
+}), async (req, res) => {
+  try {
+    const { actorId, entityType, entityId, action, from, to, before, format } = req.query;
+    const limit = parseInt(req.query.limit) || (format === 'csv' ? AUDIT_EXPORT_LIMIT : AUDIT_PAGE_SIZE);
+    
+    const result = await pool.query(
+      `SELECT a.*, u.name as actor_name, u.email as actor_email
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.actor_id
+       WHERE (a.family_id = $1 OR (a.family_id IS NULL AND EXISTS (
+         SELECT 1 FROM family_memberships m
+         WHERE m.family_id = $1 AND m.user_id = a.actor_id AND m.active = TRUE AND m.created_at <= a.created_at
+       )))
+       AND ($2::uuid IS NULL OR a.actor_id = $2)
+       AND ($3::varchar IS NULL OR a.entity_type = $3)
+       AND ($4::uuid IS NULL OR a.entity_id = $4)
+       AND ($5::varchar IS NULL OR a.action LIKE $5)
+       AND ($6::timestamptz IS NULL OR a.created_at >= $6)
+       AND ($7::timestamptz IS NULL OR a.created_at < $7)
+       AND ($8::bigint IS NULL OR a.seq < $8)
+       ORDER BY a.seq DESC
+       LIMIT $9`,
+      [req.params.familyId, actorId || null, entityType || null, entityId || null,
+        action ? actionPattern(action) : null, from || null, to || null, before || null, limit]
+    );
+    
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.set('Content-Disposition', `attachment; filename="audit-log-${req.params.familyId}.csv"`);
+      return res.send(formatCsv(AUDIT_CSV_HEADERS, result.rows.map(row => AUDIT_CSV_HEADERS.map(column => row[column]))));
+    }
+    
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
 });
 
-app.get('/api/ports', (req, res) => {
-  res.json([
-    { code: 'FLM', name: 'Flamenco Marina', city: 'Panama City', country: 'Panama' },
-    { code: 'BLB', name: 'Balboa Yacht Club', city: 'Panama City', country: 'Panama' },
-    { code: 'SBL', name: 'Shelter Bay Marina', city: 'Colón', country: 'Panama' },
-    { code: 'BDT', name: 'Bocas Marina', city: 'Bocas del Toro', country: 'Panama' },
-    { code: 'PVR', name: 'Puerto Velero', city: 'Barranquilla', country: 'Colombia' },
-    { code: 'CTG', name: 'Club Náutico', city: 'Cartagena', country: 'Colombia' }
-  ]);
+// Recompute the family's hash chain from its first row, or from its checkpoint
+// once old rows were pruned (reported as `pruned`). Any edited, removed or
+// reordered row shows up as brokenAt. Removing the newest rows only shows by
+// comparing `head` with one noted earlier, so admins can keep it elsewhere.
+const AUDIT_VERIFY_BATCH = 1000;
+
+app.get('/api/families/:familyId/audit-log/verify', authenticate, requireFamilyAdmin, async (req, res) => {
+  try {
+    const chain = auditChain({ familyId: req.params.familyId });
+    const checkpoint = (await pool.query('SELECT * FROM audit_log_checkpoints WHERE chain = $1', [chain])).rows[0];
+    
+    let prevHash = checkpoint ? checkpoint.last_hash : GENESIS_HASH;
+    let lastSeq = checkpoint ? checkpoint.pruned_through_seq : 0;
+    let checked = 0;
+    const pruned = checkpoint
+      ? { throughSeq: checkpoint.pruned_through_seq, count: Number(checkpoint.pruned_count), at: checkpoint.pruned_at }
+      : null;
+    
+    for (;;) {
+      const result = await pool.query(
+        'SELECT * FROM audit_log WHERE chain = $1 AND seq > $2 ORDER BY seq LIMIT $3',
+        [chain, lastSeq, AUDIT_VERIFY_BATCH]
+      );
+      if (result.rows.length === 0) break;
+      
+      const outcome = verifyChain(result.rows, prevHash);
+      checked += outcome.checked;
+      if (!outcome.valid) {
+        return res.json({ valid: false, checked, pruned, brokenAt: outcome.brokenAt });
+      }
+      
+      prevHash = outcome.lastHash;
+      lastSeq = result.rows[result.rows.length - 1].seq;
+    }
+    
+    res.json({ valid: true, checked, pruned, head: checked > 0 ? { seq: lastSeq, hash: prevHash } : null });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
 });
 
+// Delete audit rows older than AUDIT_RETENTION_DAYS, one chain at a time under
+// its append lock. The chain's checkpoint keeps the hash of its last deleted
+// row, which the oldest remaining row points at, so the rest still verifies.
+const pruneAuditLog = async () => {
+  const chains = await pool.query(
+    `SELECT chain, MAX(seq) as through_seq FROM audit_log
+     WHERE created_at < NOW() - make_interval(days => $1)
+     GROUP BY chain`,
+    [AUDIT_RETENTION_DAYS]
+  );
+  
+  let pruned = 0;
+  for (const { chain, through_seq: throughSeq } of chains.rows) {
+    pruned += await withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit_log:${chain}`]);
+      await client.query(`SELECT set_config('audit_log.pruning', 'on', true)`);
+      
+      const last = await client.query('SELECT hash FROM audit_log WHERE chain = $1 AND seq = $2', [chain, throughSeq]);
+      const deleted = await client.query('DELETE FROM audit_log WHERE chain = $1 AND seq <= $2', [chain, throughSeq]);
+      await client.query(
+        `INSERT INTO audit_log_checkpoints (chain, pruned_through_seq, last_hash, pruned_count, pruned_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (chain) DO UPDATE SET
+          pruned_through_seq = EXCLUDED.pruned_through_seq, last_hash = EXCLUDED.last_hash,
+          pruned_count = audit_log_checkpoints.pruned_count + EXCLUDED.pruned_count, pruned_at = NOW()`,
+        [chain, throughSeq, last.rows[0].hash, deleted.rowCount]
+      );
+      return deleted.rowCount;
+    });
+  }
+  return pruned;
+};
+
+// =============================================================================
+// BACKGROUND JOBS
+// =============================================================================
+
+const JOB_INTERVAL_MS = 60 * 1000;
+
+const runBackgroundJobs = async () => {
+  try {
+    const expired = await expirePendingReservations();
+    if (expired.length > 0) {
+      console.log(`Expired ${expired.length} pending reservation(s)`);
+    }
+    
+    const holds = await expireWaitlistHolds();
+    if (holds.length > 0) {
+      console.log(`Released ${holds.length} unclaimed waitlist hold(s)`);
+    }
+    
+    const extended = await extendOpenEndedSeries();
+    if (extended > 0) {
+      console.log(`Booked ${extended} new occurrence(s) of open-ended series`);
+    }
+    
+    await sendStartReminders();
+    await notifyOverdueCheckIns();
+    
+    const delivered = await deliverNotifications();
+    if (delivered.failed > 0) {
+      console.log(`Gave up on ${delivered.failed} notification delivery(ies)`);
+    }
+    
+    const webhooks = await deliverWebhooks();
+    if (webhooks.dead > 0) {
+      console.log(`Moved ${webhooks.dead} webhook delivery(ies) to the dead-letter log`);
+    }
+    
+    await pool.query(
+      'DELETE FROM family_events WHERE created_at < NOW() - make_interval(days => $1)',
+      [FAMILY_EVENT_RETENTION_DAYS]
+    );
+    
+    const pruned = await pruneAuditLog();
+    if (pruned > 0) {
+      console.log(`Pruned ${pruned} audit log row(s) older than ${AUDIT_RETENTION_DAYS} days`);
+    }
+    
+    // Ended sessions are kept a while so reused refresh tokens are still recognized
+    await pool.query(
+      `DELETE FROM sessions WHERE expires_at < NOW() - INTERVAL '30 days'
+       OR revoked_at < NOW() - INTERVAL '30 days'`
+    );
+  } catch (error) {
+    console.error('Background job error:', error);
+  }
+};
+
 // =============================================================================
 // ERROR HANDLING
 // =============================================================================
 
 app.use((err, req, res, next) => {
+  if (err instanceof v.ValidationError) {
+    req.invalid = true;
+    return res.status(400).json({
+      error: err.errors.map(problem => problem.message).join('; '),
+      code: 'validation_failed',
+      errors: err.errors
+    });
+  }
+  
+  // Body parser failures are the client's
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is larger than ${err.limit} bytes` });
+  }
+  if (err.type === 'encoding.unsupported' || err.type === 'charset.unsupported') {
+    return res.status(415).json({ error: err.message });
+  }
+  
   console.error('Unhandled error:', err);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -557,7 +7646,9 @@ app.use((req, res) => {
 // START SERVER
 // =============================================================================
 
-app.listen(PORT, () => {
+const startServer = () => app.listen(PORT, () => {
+  setInterval(runBackgroundJobs, JOB_INTERVAL_MS).unref();
+  
   console.log(`
 🚀 ReservePTY API Server
 ========================
@@ -569,13 +7660,53 @@ Endpoints:
   GET  /api/health
   POST /api/auth/register
   POST /api/auth/login
+  POST /api/auth/refresh
+  POST /api/auth/login/verify
+  POST /api/auth/2fa/setup
+  POST /api/auth/forgot-password
+  POST /api/auth/reset-password
+  POST /api/auth/logout
+  GET  /api/auth/sessions
   GET  /api/auth/me
+  GET  /api/families
+  POST /api/families/:familyId/invitations
+  POST /api/families/:familyId/webhooks
+  GET  /api/families/:familyId/webhooks/:webhookId/deliveries
+  GET  /api/families/:familyId/audit-log
+  GET  /api/families/:familyId/audit-log/verify
+  POST /api/invitations/accept
   GET  /api/assets
+  PATCH /api/assets/:id
+  POST /api/assets/:id/archive
+  POST /api/assets/:id/images
+  GET  /api/asset-permissions
+  GET  /api/assets/:id/maintenance
   GET  /api/reservations
   POST /api/reservations
+  PATCH /api/reservations/:id
+  POST /api/reservation-series
+  GET  /api/notifications
+  POST /api/notifications/:id/read
+  PUT  /api/notification-preferences
+  POST /api/reservations/:id/approve
+  POST /api/reservations/:id/reject
+  POST /api/reservations/:id/check-out
+  POST /api/reservations/:id/check-in
+  GET  /api/assets/:id/usage
+  GET  /api/quotas
+  POST /api/waitlist
   GET  /api/calendar
+  GET  /api/events/stream
+  GET  /api/calendar/feed.ics
+  POST /api/calendar/import
   GET  /api/stats
   `);
 });
 
-module.exports = app;
+// Handler tests load the app to listen on a port of their own, and close the
+// event hub and pool when done
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, pool, eventHub };
@@ -0,0 +1,158 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skip, startApp, inDays } = require('./helpers/api');
+
+describe('asset handlers', { skip }, () => {
+  let api;
+  let admin;
+  let member;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.signUp('admin');
+    member = await api.signUp('member');
+    await api.createFamily(admin, [{ user: member, tier: 2 }]);
+  });
+
+  after(() => api && api.close());
+
+  const grant = async (asset, access) => {
+    const granted = await api.request('POST', '/api/asset-permissions', {
+      token: admin.token,
+      body: { assetId: asset.id, userId: member.id, access }
+    });
+    assert.equal(granted.status, 200, JSON.stringify(granted.body));
+  };
+
+  const bookAs = (user, asset, startDay) => api.request('POST', '/api/reservations', {
+    token: user.token,
+    body: { assetId: asset.id, startDate: inDays(startDay), endDate: inDays(startDay + 1) }
+  });
+
+  describe('per-asset permissions', () => {
+    test('only tier 1 admins can grant access', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Pedasí' });
+      const granted = await api.request('POST', '/api/asset-permissions', {
+        token: member.token,
+        body: { assetId: asset.id, userId: member.id, access: 'manage' }
+      });
+      assert.equal(granted.status, 403);
+    });
+
+    test('hides assets a member has no access to', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Bocas' });
+      await grant(asset, 'none');
+
+      assert.equal((await api.request('GET', `/api/assets/${asset.id}`, { token: member.token })).status, 404);
+      const listed = await api.request('GET', '/api/assets', { token: member.token });
+      assert.ok(!listed.body.some(candidate => candidate.id === asset.id));
+      assert.equal((await bookAs(member, asset, 3)).status, 404);
+    });
+
+    test('refuses bookings by members who may only view', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Valle' });
+      await grant(asset, 'view');
+
+      assert.equal((await api.request('GET', `/api/assets/${asset.id}`, { token: member.token })).status, 200);
+      const booked = await bookAs(member, asset, 3);
+      assert.equal(booked.status, 403);
+    });
+
+    test('sends bookings by members who may request through approval', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Chitré' });
+      await grant(asset, 'request');
+
+      const booked = await bookAs(member, asset, 3);
+      assert.equal(booked.status, 200, JSON.stringify(booked.body));
+      assert.equal(booked.body.status, 'pending');
+    });
+  });
+
+  describe('archiving', () => {
+    test('only asset managers can archive', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Boquete' });
+      const archived = await api.request('POST', `/api/assets/${asset.id}/archive`, { token: member.token, body: {} });
+      assert.equal(archived.status, 403);
+    });
+
+    test('is refused while bookings are upcoming, unless they are cancelled with it', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Azuero' });
+      const booked = await bookAs(member, asset, 4);
+
+      const refused = await api.request('POST', `/api/assets/${asset.id}/archive`, { token: admin.token, body: {} });
+      assert.equal(refused.status, 409);
+      assert.equal(refused.body.reason, 'has_reservations');
+      assert.deepEqual(refused.body.reservations.map(r => r.id), [booked.body.id]);
+
+      const archived = await api.request('POST', `/api/assets/${asset.id}/archive`, {
+        token: admin.token,
+        body: { cancelReservations: true, reason: 'Sold' }
+      });
+      assert.equal(archived.status, 200, JSON.stringify(archived.body));
+      assert.deepEqual(archived.body.cancelledReservations, [booked.body.id]);
+
+      const rebooked = await bookAs(member, asset, 4);
+      assert.equal(rebooked.status, 409);
+      assert.equal(rebooked.body.reason, 'archived');
+
+      const imported = await api.request('POST', '/api/calendar/import', {
+        token: member.token,
+        body: {
+          assetId: asset.id,
+          ics: ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:trip-1', `DTSTART:${inDays(8).replace(/[-:]|\.\d+/g, '')}`,
+            `DTEND:${inDays(9).replace(/[-:]|\.\d+/g, '')}`, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n')
+        }
+      });
+      assert.equal(imported.status, 409);
+      assert.equal(imported.body.reason, 'archived');
+    });
+
+    test('leaves trips in progress alone but freezes their dates', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Santa Clara' });
+      const booked = await bookAs(member, asset, 2);
+      await api.pool.query(`UPDATE reservations SET status = 'active' WHERE id = $1`, [booked.body.id]);
+
+      const archived = await api.request('POST', `/api/assets/${asset.id}/archive`, { token: admin.token, body: {} });
+      assert.equal(archived.status, 200, JSON.stringify(archived.body));
+
+      const shortened = await api.request('PATCH', `/api/reservations/${booked.body.id}`, {
+        token: member.token,
+        body: { endDate: inDays(2, 12) }
+      });
+      assert.equal(shortened.status, 409);
+      assert.equal(shortened.body.reason, 'archived');
+
+      const noted = await api.request('PATCH', `/api/reservations/${booked.body.id}`, {
+        token: member.token,
+        body: { notes: 'Leaving the keys with the caretaker' }
+      });
+      assert.equal(noted.status, 200, JSON.stringify(noted.body));
+    });
+  });
+
+  describe('rescheduling', () => {
+    test('refuses to move a booking onto another', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa El Valle' });
+      await bookAs(admin, asset, 6);
+      const mine = await bookAs(member, asset, 8);
+
+      const moved = await api.request('PATCH', `/api/reservations/${mine.body.id}`, {
+        token: member.token,
+        body: { startDate: inDays(6, 12), endDate: inDays(8) }
+      });
+      assert.equal(moved.status, 409);
+    });
+
+    test('only lets the owner or a tier 1 member change a booking', async () => {
+      const asset = await api.createAsset(admin, { name: 'Casa Cerro Azul' });
+      const theirs = await bookAs(admin, asset, 10);
+
+      const changed = await api.request('PATCH', `/api/reservations/${theirs.body.id}`, {
+        token: member.token,
+        body: { notes: 'Mine now' }
+      });
+      assert.equal(changed.status, 404);
+    });
+  });
+});
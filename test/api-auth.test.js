@@ -0,0 +1,109 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skip, startApp, PASSWORD } = require('./helpers/api');
+
+const MAX_LOGIN_ATTEMPTS = 5;
+
+describe('auth handlers', { skip }, () => {
+  let api;
+
+  before(async () => {
+    process.env.MAX_LOGIN_ATTEMPTS = String(MAX_LOGIN_ATTEMPTS);
+    api = await startApp();
+  });
+
+  after(() => api && api.close());
+
+  const refresh = (refreshToken) => api.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+  describe('refresh token rotation', () => {
+    test('trades each refresh token once for the next one', async () => {
+      const user = await api.signUp('rotating');
+
+      const first = await refresh(user.refreshToken);
+      assert.equal(first.status, 200, JSON.stringify(first.body));
+      assert.notEqual(first.body.refreshToken, user.refreshToken);
+
+      const second = await refresh(first.body.refreshToken);
+      assert.equal(second.status, 200, JSON.stringify(second.body));
+      assert.equal((await api.request('GET', '/api/auth/me', { token: second.body.token })).status, 200);
+    });
+
+    test('revokes the whole session when a used refresh token comes back', async () => {
+      const user = await api.signUp('copied');
+      const rotated = await refresh(user.refreshToken);
+
+      const reused = await refresh(user.refreshToken);
+      assert.equal(reused.status, 401);
+
+      assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+      assert.equal((await api.request('GET', '/api/auth/me', { token: rotated.body.token })).status, 401);
+    });
+
+    test('stops refreshing after logout', async () => {
+      const user = await api.signUp('leaving');
+      const loggedOut = await api.request('POST', '/api/auth/logout', { token: user.token });
+      assert.equal(loggedOut.status, 200, JSON.stringify(loggedOut.body));
+
+      assert.equal((await refresh(user.refreshToken)).status, 401);
+    });
+  });
+
+  describe('sign-in lockout', () => {
+    const login = (user, password) => api.request('POST', '/api/auth/login', { body: { email: user.email, password } });
+
+    test('locks the account once the attempt limit is reached, even for the right password', async () => {
+      const user = await api.signUp('locked');
+
+      for (let attempt = 0; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+        assert.equal((await login(user, 'not-the-password')).status, 401);
+      }
+
+      const locked = await login(user, PASSWORD);
+      assert.equal(locked.status, 429);
+      assert.ok(locked.body.retryAfter > 0);
+    });
+
+    test('starts counting again after a successful sign-in', async () => {
+      const user = await api.signUp('forgetful');
+
+      for (let attempt = 0; attempt < MAX_LOGIN_ATTEMPTS - 1; attempt++) {
+        await login(user, 'not-the-password');
+      }
+      assert.equal((await login(user, PASSWORD)).status, 200);
+
+      assert.equal((await login(user, 'not-the-password')).status, 401);
+      assert.equal((await login(user, PASSWORD)).status, 200);
+    });
+  });
+
+  describe('changing the password', () => {
+    const changePassword = (user, currentPassword, newPassword = 'Another-Long-Passphrase-7') =>
+      api.request('POST', '/api/auth/change-password', { token: user.token, body: { currentPassword, newPassword } });
+
+    test('replaces the password and signs other sessions out', async () => {
+      const user = await api.signUp('changing');
+
+      const changed = await changePassword(user, PASSWORD);
+      assert.equal(changed.status, 200, JSON.stringify(changed.body));
+      assert.equal((await api.request('GET', '/api/auth/me', { token: user.token })).status, 401);
+      assert.equal((await api.request('GET', '/api/auth/me', { token: changed.body.token })).status, 200);
+    });
+
+    test('locks the account after too many wrong current passwords', async () => {
+      const user = await api.signUp('guessing');
+
+      for (let attempt = 0; attempt < MAX_LOGIN_ATTEMPTS; attempt++) {
+        assert.equal((await changePassword(user, 'not-the-password')).status, 401);
+      }
+
+      const locked = await changePassword(user, PASSWORD);
+      assert.equal(locked.status, 429);
+      assert.ok(locked.body.retryAfter > 0);
+
+      const login = await api.request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+      assert.equal(login.status, 429);
+    });
+  });
+});
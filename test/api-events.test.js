@@ -0,0 +1,108 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { skip, startApp } = require('./helpers/api');
+
+describe('family event handlers', { skip }, () => {
+  let api;
+  let alice;
+  let bob;
+  let aliceFamily;
+  let bobFamily;
+
+  before(async () => {
+    api = await startApp();
+    alice = await api.signUp('alice');
+    bob = await api.signUp('bob');
+    aliceFamily = await api.createFamily(alice);
+    bobFamily = await api.createFamily(bob);
+  });
+
+  after(() => api && api.close());
+
+  // The stream's messages up to and including the first of type `until`
+  const readStream = async (user, query, until) => {
+    const controller = new AbortController();
+    const response = await fetch(`${api.baseUrl}/api/events/stream${query}`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+      signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+
+    const messages = [];
+    const decoder = new TextDecoder();
+    let buffered = '';
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const blocks = buffered.split('\n\n');
+      buffered = blocks.pop();
+      for (const block of blocks) {
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (!fields.event) continue;
+        messages.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+      }
+      if (messages.some(message => message.event === until)) break;
+    }
+    controller.abort();
+    return messages;
+  };
+
+  const familyHead = async (family) =>
+    Number((await api.pool.query('SELECT MAX(seq) as seq FROM family_events WHERE family_id = $1', [family.id])).rows[0].seq);
+
+  test('numbers one family\'s events without waiting for another family\'s commits', async () => {
+    const committing = await api.pool.connect();
+    try {
+      // A transaction of Alice's family holding its numbering lock, as during its commit
+      await committing.query('BEGIN');
+      await committing.query(`SELECT pg_advisory_xact_lock(hashtext('family_events:' || $1))`, [aliceFamily.id]);
+
+      const insert = (client, family) => client.query(
+        `INSERT INTO family_events (id, family_id, type, data) VALUES ($1, $2, 'test.event', '{}')`,
+        [crypto.randomUUID(), family.id]
+      );
+
+      const other = await api.pool.connect();
+      try {
+        await other.query(`SET lock_timeout = '2s'`);
+        await insert(other, bobFamily);
+
+        await other.query(`SET lock_timeout = '200ms'`);
+        await assert.rejects(insert(other, aliceFamily), /lock timeout/);
+      } finally {
+        await other.query('RESET lock_timeout');
+        other.release();
+      }
+    } finally {
+      await committing.query('ROLLBACK');
+      committing.release();
+    }
+  });
+
+  test('starts a stream at its own family\'s newest event', async () => {
+    await api.createAsset(alice, { name: 'Casa Alice' });
+    await api.createAsset(bob, { name: 'Casa Bob' });
+
+    const [ready] = await readStream(alice, '', 'ready');
+    assert.equal(ready.event, 'ready');
+    assert.equal(ready.id, await familyHead(aliceFamily));
+    assert.ok(ready.id < await familyHead(bobFamily));
+  });
+
+  test('replays what a resuming client missed, and resets when its event is gone', async () => {
+    const from = await familyHead(aliceFamily);
+    const asset = await api.createAsset(alice, { name: 'Casa Nueva' });
+    await api.createAsset(bob, { name: 'Casa Otra' });
+
+    const replayed = await readStream(alice, `?lastEventId=${from}`, 'asset.created');
+    assert.deepEqual(replayed.map(message => message.event), ['ready', 'asset.created']);
+    assert.equal(replayed[1].data.data.asset.id, asset.id);
+
+    await api.pool.query('DELETE FROM family_events WHERE family_id = $1 AND seq <= $2', [aliceFamily.id, from]);
+    const expired = await readStream(alice, `?lastEventId=${from}`, 'reset');
+    assert.deepEqual(expired.map(message => [message.event, message.data.reason]), [['reset', 'expired']]);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skip, startApp, inDays } = require('./helpers/api');
+
+describe('family management handlers', { skip }, () => {
+  let api;
+  let admin;
+  let member;
+  let family;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.signUp('admin');
+    member = await api.signUp('member');
+    family = await api.createFamily(admin, [{ user: member, tier: 2 }]);
+  });
+
+  after(() => api && api.close());
+
+  describe('invitations', () => {
+    test('only tier 1 admins can invite', async () => {
+      const invited = await api.request('POST', `/api/families/${family.id}/invitations`, {
+        token: member.token,
+        body: { email: 'someone@example.test', tier: 3 }
+      });
+      assert.equal(invited.status, 403);
+    });
+
+    test('mails the invitee a link and keeps the token out of notifications', async () => {
+      const invitee = await api.signUp('invitee');
+
+      const invited = await api.request('POST', `/api/families/${family.id}/invitations`, {
+        token: admin.token,
+        body: { email: invitee.email, tier: 3 }
+      });
+      assert.equal(invited.status, 200, JSON.stringify(invited.body));
+      assert.equal(invited.body.emailed, true);
+
+      const mail = api.sentMail().find(message => message.includes(`To: ${invitee.email}`) && message.includes('Join'));
+      assert.ok(mail.includes(`/invitations/accept?token=${invited.body.token}`));
+
+      const notifications = await api.request('GET', '/api/notifications', { token: invitee.token });
+      const notification = notifications.body.find(candidate => candidate.type === 'family.invited');
+      assert.ok(notification);
+      assert.ok(!JSON.stringify(notification).includes(invited.body.token));
+
+      const accepted = await api.request('POST', '/api/invitations/accept', {
+        token: invitee.token,
+        body: { token: invited.body.token }
+      });
+      assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+      assert.deepEqual(accepted.body, { id: family.id, name: family.name, tier: 3 });
+
+      const again = await api.request('POST', '/api/invitations/accept', {
+        token: invitee.token,
+        body: { token: invited.body.token }
+      });
+      assert.equal(again.status, 400);
+    });
+
+    test('refuses an invitation sent to another address', async () => {
+      const stranger = await api.signUp('stranger');
+      const invited = await api.request('POST', `/api/families/${family.id}/invitations`, {
+        token: admin.token,
+        body: { email: 'someone-else@example.test' }
+      });
+
+      const accepted = await api.request('POST', '/api/invitations/accept', {
+        token: stranger.token,
+        body: { token: invited.body.token }
+      });
+      assert.equal(accepted.status, 403);
+    });
+  });
+
+  describe('deactivating a member', () => {
+    test('cancels their upcoming bookings with a revision, a family event and a notification', async () => {
+      const departing = await api.signUp('departing');
+      await api.addMember(family, departing, 2);
+      const asset = await api.createAsset(admin, { name: 'Casa Coronado' });
+      const booked = await api.request('POST', '/api/reservations', {
+        token: departing.token,
+        body: { assetId: asset.id, startDate: inDays(5), endDate: inDays(7) }
+      });
+      assert.equal(booked.status, 200, JSON.stringify(booked.body));
+
+      const deactivated = await api.request('POST', `/api/families/${family.id}/members/${departing.id}/deactivate`, {
+        token: admin.token
+      });
+      assert.equal(deactivated.status, 200, JSON.stringify(deactivated.body));
+      assert.deepEqual(deactivated.body.cancelledReservations, [booked.body.id]);
+
+      const revisions = await api.request('GET', `/api/reservations/${booked.body.id}/revisions`, { token: admin.token });
+      const revision = revisions.body.find(candidate => candidate.action === 'cancelled');
+      assert.deepEqual(revision.changes.status, { from: 'confirmed', to: 'cancelled' });
+
+      const events = await api.pool.query(
+        `SELECT data FROM family_events WHERE family_id = $1 AND type = 'reservation.cancelled'`,
+        [family.id]
+      );
+      assert.ok(events.rows.some(event => event.data.reservation.id === booked.body.id));
+
+      const notifications = await api.request('GET', '/api/notifications', { token: departing.token });
+      assert.ok(notifications.body.some(candidate =>
+        candidate.type === 'reservation.cancelled' && candidate.data.reservationId === booked.body.id));
+    });
+
+    test('only tier 1 admins can deactivate members', async () => {
+      const deactivated = await api.request('POST', `/api/families/${family.id}/members/${admin.id}/deactivate`, {
+        token: member.token
+      });
+      assert.equal(deactivated.status, 403);
+    });
+  });
+});
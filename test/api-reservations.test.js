@@ -0,0 +1,71 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skip, startApp, inDays } = require('./helpers/api');
+
+describe('reservation handlers', { skip }, () => {
+  let api;
+  let owner;
+  let asset;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.signUp('owner');
+    await api.createFamily(owner);
+    asset = await api.createAsset(owner);
+  });
+
+  after(() => api && api.close());
+
+  const createSeries = async (rrule, startDay) => {
+    const created = await api.request('POST', '/api/reservation-series', {
+      token: owner.token,
+      body: { assetId: asset.id, startDate: inDays(startDay), endDate: inDays(startDay, 2), rrule }
+    });
+    assert.equal(created.status, 200, JSON.stringify(created.body));
+    return created.body;
+  };
+
+  describe('changing following occurrences', () => {
+    test('replaces the recurrence rule from the edited occurrence on', async () => {
+      const { created } = await createSeries('FREQ=WEEKLY;COUNT=4', 2);
+
+      const changed = await api.request('PATCH', `/api/reservations/${created[1].id}`, {
+        token: owner.token,
+        body: { scope: 'following', rrule: 'FREQ=WEEKLY;COUNT=2' }
+      });
+
+      assert.equal(changed.status, 200, JSON.stringify(changed.body));
+      assert.equal(changed.body.series.rrule, 'FREQ=WEEKLY;COUNT=2');
+      assert.equal(changed.body.created.length, 2);
+      assert.equal(changed.body.cancelled.length, 3);
+    });
+
+    test('refuses trip legs, which belong to a single occurrence', async () => {
+      const { created } = await createSeries('FREQ=WEEKLY;COUNT=2', 3);
+
+      const changed = await api.request('PATCH', `/api/reservations/${created[0].id}`, {
+        token: owner.token,
+        body: {
+          scope: 'following',
+          legs: [{ origin: 'PTY', destination: 'SJO', departsAt: inDays(3), arrivesAt: inDays(3, 1), passengers: 1 }]
+        }
+      });
+
+      assert.equal(changed.status, 400);
+      assert.deepEqual(changed.body.errors.map(problem => [problem.field, problem.code]), [['legs', 'not_allowed']]);
+    });
+
+    test('refuses a recurrence rule for a single occurrence', async () => {
+      const { created } = await createSeries('FREQ=WEEKLY;COUNT=2', 4);
+
+      const changed = await api.request('PATCH', `/api/reservations/${created[0].id}`, {
+        token: owner.token,
+        body: { rrule: 'FREQ=DAILY;COUNT=2' }
+      });
+
+      assert.equal(changed.status, 400);
+      assert.deepEqual(changed.body.errors.map(problem => [problem.field, problem.code]), [['rrule', 'not_allowed']]);
+    });
+  });
+});
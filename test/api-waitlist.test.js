@@ -0,0 +1,78 @@
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { skip, startApp, inDays } = require('./helpers/api');
+
+describe('waitlist handlers', { skip }, () => {
+  let api;
+  let admin;
+  let member;
+  let asset;
+
+  before(async () => {
+    api = await startApp();
+    admin = await api.signUp('admin');
+    member = await api.signUp('member');
+    await api.createFamily(admin, [{ user: member, tier: 2 }]);
+    asset = await api.createAsset(admin);
+  });
+
+  after(() => api && api.close());
+
+  const book = async (user, startDay, endDay) => {
+    const booked = await api.request('POST', '/api/reservations', {
+      token: user.token,
+      body: { assetId: asset.id, startDate: inDays(startDay), endDate: inDays(endDay) }
+    });
+    assert.equal(booked.status, 200, JSON.stringify(booked.body));
+    return booked.body;
+  };
+
+  test('refuses to wait for a slot that is free', async () => {
+    const joined = await api.request('POST', '/api/waitlist', {
+      token: member.token,
+      body: { assetId: asset.id, startDate: inDays(30), endDate: inDays(32) }
+    });
+    assert.equal(joined.status, 400);
+  });
+
+  test('offers a cancelled slot to the member waiting for it, who can claim it', async () => {
+    const booking = await book(admin, 10, 12);
+    const joined = await api.request('POST', '/api/waitlist', {
+      token: member.token,
+      body: { assetId: asset.id, startDate: inDays(10), endDate: inDays(12) }
+    });
+    assert.equal(joined.status, 200, JSON.stringify(joined.body));
+
+    const cancelled = await api.request('PATCH', `/api/reservations/${booking.id}/cancel`, { token: admin.token, body: {} });
+    assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+
+    const entries = await api.request('GET', '/api/waitlist', { token: member.token });
+    const entry = entries.body.find(candidate => candidate.id === joined.body.id);
+    assert.equal(entry.status, 'offered');
+
+    // The held slot keeps others out until the offer is claimed or expires
+    const taken = await api.request('POST', '/api/reservations', {
+      token: admin.token,
+      body: { assetId: asset.id, startDate: inDays(10), endDate: inDays(12) }
+    });
+    assert.equal(taken.status, 409);
+
+    const claimed = await api.request('POST', `/api/waitlist/${entry.id}/claim`, { token: member.token });
+    assert.equal(claimed.status, 200, JSON.stringify(claimed.body));
+    assert.equal(claimed.body.status, 'confirmed');
+    assert.equal(claimed.body.user_id, member.id);
+  });
+
+  test('only lets the waiting member claim their offer', async () => {
+    const booking = await book(member, 20, 21);
+    const joined = await api.request('POST', '/api/waitlist', {
+      token: admin.token,
+      body: { assetId: asset.id, startDate: inDays(20), endDate: inDays(21) }
+    });
+    await api.request('PATCH', `/api/reservations/${booking.id}/cancel`, { token: member.token, body: {} });
+
+    const claimed = await api.request('POST', `/api/waitlist/${joined.body.id}/claim`, { token: member.token });
+    assert.equal(claimed.status, 404);
+  });
+});
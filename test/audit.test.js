@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { GENESIS_HASH, auditChain, canonicalJson, diffChanges, hashEntry, verifyChain, formatCsv } = require('../lib/audit');
+
+// Stored rows as node-postgres returns them, chained from the genesis hash
+const buildChain = (count) => {
+  const rows = [];
+  let prevHash = GENESIS_HASH;
+  for (let i = 1; i <= count; i++) {
+    const entry = {
+      id: `00000000-0000-0000-0000-00000000000${i}`,
+      familyId: 'f1',
+      actorId: 'u1',
+      action: 'asset.updated',
+      entityType: 'asset',
+      entityId: 'a1',
+      changes: { name: { from: `Boat ${i - 1}`, to: `Boat ${i}` } },
+      ip: '10.0.0.1',
+      userAgent: 'test',
+      requestId: `r${i}`,
+      statusCode: 200,
+      createdAt: new Date(Date.UTC(2026, 0, i)).toISOString()
+    };
+    const hash = hashEntry(entry, prevHash);
+    rows.push({
+      seq: String(i),
+      id: entry.id,
+      family_id: entry.familyId,
+      actor_id: entry.actorId,
+      action: entry.action,
+      entity_type: entry.entityType,
+      entity_id: entry.entityId,
+      // JSONB hands keys back in its own order
+      changes: { name: { to: entry.changes.name.to, from: entry.changes.name.from } },
+      ip_address: entry.ip,
+      user_agent: entry.userAgent,
+      request_id: entry.requestId,
+      status_code: entry.statusCode,
+      created_at: new Date(entry.createdAt),
+      prev_hash: prevHash,
+      hash
+    });
+    prevHash = hash;
+  }
+  return rows;
+};
+
+test('serializes JSON with sorted keys', () => {
+  assert.equal(canonicalJson({ b: 1, a: [{ d: null, c: undefined }] }), '{"a":[{"d":null}],"b":1}');
+  assert.equal(canonicalJson(new Date(0)), '"1970-01-01T00:00:00.000Z"');
+});
+
+test('diffs snapshots and redacts secrets', () => {
+  assert.deepEqual(diffChanges({ status: 'confirmed', notes: 'x' }, { status: 'cancelled', notes: 'x' }),
+    { status: { from: 'confirmed', to: 'cancelled' } });
+  assert.deepEqual(diffChanges(null, { email: 'a@b.c', password_hash: 'h' }),
+    { email: { to: 'a@b.c' }, password_hash: '[redacted]' });
+  assert.equal(diffChanges({ a: 1 }, { a: 1 }), null);
+});
+
+test('verifies an untouched chain', () => {
+  const rows = buildChain(3);
+  assert.deepEqual(verifyChain(rows), { valid: true, checked: 3, lastHash: rows[2].hash });
+  assert.equal(verifyChain(rows.slice(1), rows[0].hash).valid, true);
+});
+
+test('detects edited, removed and reordered rows', () => {
+  const edited = buildChain(3);
+  edited[1].changes.name.to = 'Yacht';
+  assert.deepEqual(verifyChain(edited).brokenAt, { seq: '2', id: edited[1].id, reason: 'Entry contents do not match its hash' });
+
+  const removed = buildChain(3);
+  removed.splice(1, 1);
+  assert.equal(verifyChain(removed).brokenAt.seq, '3');
+  assert.equal(verifyChain(removed).checked, 1);
+
+  const reordered = buildChain(3);
+  [reordered[0], reordered[1]] = [reordered[1], reordered[0]];
+  assert.equal(verifyChain(reordered).brokenAt.seq, '2');
+});
+
+test('chains rows per family, then per user', () => {
+  assert.equal(auditChain({ familyId: 'f1', actorId: 'u1' }), 'family:f1');
+  assert.equal(auditChain({ familyId: null, actorId: 'u1' }), 'user:u1');
+  assert.equal(auditChain({ familyId: null, actorId: null }), 'anonymous');
+});
+
+test('verifies what is left after pruning from the checkpoint hash', () => {
+  const rows = buildChain(5);
+  const checkpoint = rows[1].hash; // rows 1 and 2 pruned
+  const remaining = rows.slice(2);
+
+  assert.equal(verifyChain(remaining, checkpoint).valid, true);
+  assert.equal(verifyChain(remaining).brokenAt.reason, 'Previous hash does not match the entry before it');
+
+  // Pruning one more row than the checkpoint records still shows
+  assert.equal(verifyChain(rows.slice(3), checkpoint).brokenAt.seq, '4');
+});
+
+test('writes CSV that spreadsheets read as text', () => {
+  assert.equal(formatCsv(['a', 'b'], [['=1+1', 'x,"y"'], [null, { k: 1 }], [-5, 'ok']]),
+    'a,b\r\n\'=1+1,"x,""y"""\r\n,"{""k"":1}"\r\n-5,ok\r\n');
+  assert.throws(() => formatCsv(['a'], [[1, 2]]), /one value per header/);
+});
@@ -0,0 +1,145 @@
+/**
+ * Handler tests run the app against a scratch database, created on the server
+ * TEST_DATABASE_URL points at and dropped afterwards. Suites pass `skip` to
+ * describe() so they are skipped where no database is available.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client, Pool } = require('pg');
+const { createMigrator } = require('../../lib/migrator');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+const PASSWORD = 'Correct-Horse-Battery-42';
+
+// Required specs of each asset type
+const SAMPLE_SPECS = {
+  plane: { tailNumber: 'HP-1234' },
+  boat: {},
+  home: { bedrooms: 3 },
+  vehicle: {}
+};
+
+const withAdminClient = async (fn) => {
+  const client = new Client({ connectionString: TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+};
+
+/**
+ * Create and migrate a database, then load the app on it and listen on a free
+ * port. Returns request helpers and close(), which stops the app and drops the
+ * database. One app per test file: server.js reads its settings once.
+ */
+const startApp = async () => {
+  const name = `reservepty_test_${process.pid}_${Date.now()}`;
+  await withAdminClient(client => client.query(`CREATE DATABASE ${name}`));
+
+  const url = new URL(TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  const migrationPool = new Pool({ connectionString: url.toString() });
+  try {
+    await createMigrator({ pool: migrationPool, dir: path.join(__dirname, '..', '..', 'migrations') }).migrate();
+  } finally {
+    await migrationPool.end();
+  }
+
+  const mailFile = path.join(os.tmpdir(), `${name}.mail`);
+  Object.assign(process.env, {
+    DATABASE_URL: url.toString(),
+    MAIL_TRANSPORT: 'file',
+    MAIL_FILE: mailFile
+  });
+
+  const { app, pool, eventHub } = require('../../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, route, { token, familyId, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (familyId) headers['X-Family-Id'] = familyId;
+
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  // A signed-in user with a verified email address
+  const signUp = async (label) => {
+    const email = `${label}-${Date.now()}@example.test`;
+    const registered = await request('POST', '/api/auth/register', {
+      body: { email, password: PASSWORD, name: label }
+    });
+    if (registered.status !== 200) {
+      throw new Error(`Sign-up failed: ${JSON.stringify(registered.body)}`);
+    }
+    await pool.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [registered.body.user.id]);
+    return { ...registered.body.user, email, token: registered.body.token, refreshToken: registered.body.refreshToken };
+  };
+
+  const addMember = (family, user, tier) => pool.query(
+    `INSERT INTO family_memberships (id, family_id, user_id, tier, active, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, TRUE, NOW(), NOW())`,
+    [crypto.randomUUID(), family.id, user.id, tier]
+  );
+
+  // A family with `admin` as its tier 1 member and the others at their tier
+  const createFamily = async (admin, members = []) => {
+    const family = await request('POST', '/api/families', { token: admin.token, body: { name: `${admin.name}'s family` } });
+    for (const { user, tier } of members) {
+      await addMember(family.body, user, tier);
+    }
+    return family.body;
+  };
+
+  const createAsset = async (admin, { name = 'Casa Boquete', type = 'home', metadata = SAMPLE_SPECS[type] } = {}) => {
+    const created = await request('POST', '/api/assets', { token: admin.token, body: { name, type, metadata } });
+    if (created.status !== 200) {
+      throw new Error(`Asset creation failed: ${JSON.stringify(created.body)}`);
+    }
+    return created.body;
+  };
+
+  // Messages the mail file transport wrote, oldest first
+  const sentMail = () => {
+    if (!fs.existsSync(mailFile)) return [];
+    return fs.readFileSync(mailFile, 'utf8').split(`${'-'.repeat(72)}\n`).filter(Boolean);
+  };
+
+  const close = async () => {
+    // Event streams stay open until the server ends them
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    eventHub.close();
+    await pool.end();
+    fs.rmSync(mailFile, { force: true });
+    await withAdminClient(client => client.query(`DROP DATABASE ${name} WITH (FORCE)`));
+  };
+
+  return { baseUrl, request, signUp, addMember, createFamily, createAsset, sentMail, pool, close };
+};
+
+// An ISO timestamp `days` (and `hours`) from now, on the hour
+const inDays = (days, hours = 0) => {
+  const date = new Date();
+  date.setUTCMinutes(0, 0, 0);
+  date.setUTCHours(date.getUTCHours() + days * 24 + hours);
+  return date.toISOString();
+};
+
+module.exports = { skip, startApp, inDays, PASSWORD };
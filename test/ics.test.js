@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IcsError, formatCalendar, parseCalendar } = require('../lib/ics');
+
+test('round-trips events through formatCalendar and parseCalendar', () => {
+  const text = formatCalendar({
+    name: 'Family',
+    events: [{
+      uid: 'r1@reservepty',
+      start: new Date(Date.UTC(2026, 2, 1, 15)),
+      end: new Date(Date.UTC(2026, 2, 1, 18)),
+      summary: 'Boat; day trip, with friends',
+      description: 'Line one\nLine two'
+    }]
+  });
+
+  const [event] = parseCalendar(text);
+  assert.equal(event.uid, 'r1@reservepty');
+  assert.equal(event.summary, 'Boat; day trip, with friends');
+  assert.equal(event.description, 'Line one\nLine two');
+  assert.deepEqual([event.start, event.end], [new Date(Date.UTC(2026, 2, 1, 15)), new Date(Date.UTC(2026, 2, 1, 18))]);
+});
+
+test('folds long lines at 75 octets', () => {
+  const text = formatCalendar({ events: [{ uid: 'u', start: new Date(0), end: new Date(1000), summary: 'é'.repeat(80) }] });
+  assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  assert.equal(parseCalendar(text)[0].summary, 'é'.repeat(80));
+});
+
+test('derives missing ends from DURATION or all-day dates', () => {
+  const events = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:a', 'DTSTART:20260301T150000Z', 'DURATION:PT2H30M', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:b', 'DTSTART;VALUE=DATE:20260301', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  assert.equal(events[0].end - events[0].start, 2.5 * 60 * 60 * 1000);
+  assert.equal(events[1].allDay, true);
+  assert.deepEqual(events[1].end, new Date(2026, 2, 2));
+});
+
+test('rejects documents that are not calendars', () => {
+  assert.throws(() => parseCalendar('hello'), IcsError);
+});
+
+test('reports unusable events one by one instead of failing the document', () => {
+  const events = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:bad', 'DTSTART:tomorrow', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:nostart', 'SUMMARY:No start', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:good', 'DTSTART:20260301T150000Z', 'DTEND:20260301T160000Z', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  assert.deepEqual(events.map(event => [event.uid, event.error]), [
+    ['bad', 'Invalid date: tomorrow'],
+    ['nostart', 'Event has no DTSTART'],
+    ['good', undefined]
+  ]);
+});
+
+test('ignores components nested in an event', () => {
+  const [event] = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:a', 'DESCRIPTION:Trip', 'DTSTART:20260301T150000Z', 'DTEND:20260301T160000Z',
+    'BEGIN:VALARM', 'DESCRIPTION:Reminder', 'TRIGGER:-PT15M', 'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  assert.equal(event.description, 'Trip');
+});
+
+test('reads EXDATE and RECURRENCE-ID', () => {
+  const [master, override] = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:s', 'DTSTART:20260302T150000Z', 'DTEND:20260302T160000Z', 'RRULE:FREQ=WEEKLY',
+    'EXDATE:20260309T150000Z,20260316T150000Z', 'EXDATE:20260323T150000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:s', 'RECURRENCE-ID:20260330T150000Z', 'DTSTART:20260330T170000Z', 'DTEND:20260330T180000Z', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  assert.deepEqual(master.exdates.map(date => date.toISOString()),
+    ['2026-03-09T15:00:00.000Z', '2026-03-16T15:00:00.000Z', '2026-03-23T15:00:00.000Z']);
+  assert.deepEqual(override.recurrenceId, new Date(Date.UTC(2026, 2, 30, 15)));
+});
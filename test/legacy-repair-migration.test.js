@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { repairedEndDate, overlappingReservations } = require('../migrations/000_repair_legacy_reservations');
+
+// Reservations as the original init-db seed created them (offsets in days from today)
+const originalSeed = () => {
+  const today = new Date();
+  const at = (offset) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() + offset);
+    return date;
+  };
+  return [
+    { id: 'home', asset_id: 'boquete', start_date: at(-2), end_date: at(3), status: 'active', metadata: {} },
+    { id: 'plane', asset_id: 'plane', start_date: at(7), end_date: at(7), status: 'confirmed', metadata: { departure: 'PTY', arrival: 'SJO' } },
+    { id: 'boat', asset_id: 'boat', start_date: at(14), end_date: at(16), status: 'confirmed', metadata: {} }
+  ];
+};
+
+test('gives the original seed trip an hour so it satisfies end_date > start_date', () => {
+  const trip = originalSeed().find(reservation => reservation.metadata.departure);
+  const end = repairedEndDate(trip);
+
+  assert.ok(end > trip.start_date);
+  assert.equal(end - trip.start_date, 60 * 60 * 1000);
+});
+
+test('keeps the end of bookings that already had a duration', () => {
+  for (const reservation of originalSeed().filter(r => r.id !== 'plane')) {
+    assert.deepEqual(repairedEndDate(reservation), reservation.end_date);
+  }
+});
+
+test('releases nothing from the original seed', () => {
+  const repaired = originalSeed().map(reservation => ({ ...reservation, end_date: repairedEndDate(reservation) }));
+  assert.deepEqual(overlappingReservations(repaired), []);
+});
+
+test('keeps the earliest-made of overlapping bookings per asset', () => {
+  const day = (d) => new Date(2026, 0, d);
+  const released = overlappingReservations([
+    { id: 'first', asset_id: 'a', start_date: day(1), end_date: day(3) },
+    { id: 'overlaps-first', asset_id: 'a', start_date: day(2), end_date: day(5) },
+    { id: 'overlaps-released-only', asset_id: 'a', start_date: day(4), end_date: day(6) },
+    { id: 'touching', asset_id: 'a', start_date: day(3), end_date: day(4) },
+    { id: 'other-asset', asset_id: 'b', start_date: day(1), end_date: day(3) }
+  ]);
+  assert.deepEqual(released, ['overlaps-first']);
+});
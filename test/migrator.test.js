@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MigrationError, loadMigrations, createMigrator } = require('../lib/migrator');
+
+// Migrations that log what they run through the client they are given
+const migrationSource = (name, { fail = false } = {}) => `
+module.exports = {
+  up: async (db) => { await db.query('${fail ? 'FAIL' : 'UP'} ${name}'); },
+  down: async (db) => { await db.query('DOWN ${name}'); }
+};
+`;
+
+const makeDir = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [file, source] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), source);
+  return dir;
+};
+
+// A pg Pool stand-in that keeps schema_migrations in memory
+const fakePool = ({ lockFree = true } = {}) => {
+  const applied = [];
+  const statements = [];
+  const client = {
+    query: async (sql, params = []) => {
+      statements.push(sql.trim().split('\n')[0]);
+      if (sql.startsWith('FAIL')) throw new Error('boom');
+      if (sql.includes('pg_try_advisory_lock')) return { rows: [{ locked: lockFree }] };
+      if (sql.startsWith('SELECT * FROM schema_migrations')) return { rows: applied.slice() };
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        const [version, name, checksum] = params;
+        applied.push({ version, name, checksum, applied_at: new Date(applied.length) });
+      }
+      if (sql.startsWith('DELETE FROM schema_migrations')) {
+        applied.splice(applied.findIndex(row => row.version === params[0]), 1);
+      }
+      return { rows: [] };
+    },
+    release: () => {}
+  };
+  return { applied, statements, connect: async () => client };
+};
+
+test('loads migrations in version order with checksums', () => {
+  const dir = makeDir({ '010_b.js': migrationSource('b'), '002_a.js': migrationSource('a'), 'README.md': '' });
+  const migrations = loadMigrations(dir);
+  assert.deepEqual(migrations.map(m => m.version), ['002', '010']);
+  assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+  assert.equal(path.isAbsolute(migrations[0].file), true);
+
+  assert.throws(() => loadMigrations(makeDir({ '1_a.js': '', '001_b.js': '' })), /share version/);
+});
+
+test('applies pending migrations once, each in a transaction, under the lock', async () => {
+  const dir = makeDir({ '001_one.js': migrationSource('one'), '002_two.js': migrationSource('two') });
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+
+  const first = await migrator.migrate();
+  assert.deepEqual(first.map(m => m.name), ['one', 'two']);
+  assert.deepEqual(pool.statements.filter(sql => /^(BEGIN|COMMIT|UP)/.test(sql)),
+    ['BEGIN', 'UP one', 'COMMIT', 'BEGIN', 'UP two', 'COMMIT']);
+  assert.ok(pool.statements.some(sql => sql.includes('pg_advisory_unlock')));
+
+  assert.deepEqual(await migrator.migrate(), []);
+  assert.deepEqual((await migrator.status()).map(m => m.state), ['applied', 'applied']);
+});
+
+test('waits for the lock when another migration holds it', async () => {
+  const dir = makeDir({ '001_one.js': migrationSource('one') });
+  const pool = fakePool({ lockFree: false });
+  await createMigrator({ pool, dir }).migrate();
+  assert.ok(pool.statements.some(sql => sql.startsWith('SELECT pg_advisory_lock')));
+});
+
+test('refuses to migrate when an applied file was edited', async () => {
+  const dir = makeDir({ '001_one.js': migrationSource('one') });
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+  await migrator.migrate();
+
+  fs.appendFileSync(path.join(dir, '001_one.js'), '\n// edited\n');
+  assert.equal((await migrator.status())[0].state, 'changed');
+  await assert.rejects(migrator.migrate(), /Applied migrations were edited: 001_one/);
+});
+
+test('rolls back a failed migration without recording it', async () => {
+  const dir = makeDir({ '001_one.js': migrationSource('one'), '002_bad.js': migrationSource('bad', { fail: true }) });
+  const pool = fakePool();
+
+  await assert.rejects(createMigrator({ pool, dir }).migrate(), (error) =>
+    error instanceof MigrationError && /up of 002_bad failed: boom/.test(error.message));
+  assert.deepEqual(pool.applied.map(row => row.version), ['001']);
+  assert.ok(pool.statements.includes('ROLLBACK'));
+});
+
+test('rolls back the latest migrations', async () => {
+  const dir = makeDir({ '001_one.js': migrationSource('one'), '002_two.js': migrationSource('two') });
+  const pool = fakePool();
+  const migrator = createMigrator({ pool, dir });
+  await migrator.migrate();
+
+  const reverted = await migrator.rollback();
+  assert.deepEqual(reverted.map(m => m.name), ['two']);
+  assert.ok(pool.statements.includes('DOWN two'));
+  assert.deepEqual(pool.applied.map(row => row.version), ['001']);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { periodBounds, periodsTouched, measureUsage, selectPolicies, maxDaysAhead } = require('../lib/quota');
+
+test('finds calendar periods', () => {
+  const { start, end } = periodBounds('quarter', new Date(2026, 4, 20));
+  assert.deepEqual([start, end], [new Date(2026, 3, 1), new Date(2026, 6, 1)]);
+  assert.equal(periodsTouched('month', new Date(2026, 0, 30), new Date(2026, 2, 2)).length, 3);
+  assert.throws(() => periodBounds('week', new Date()), /Unknown period/);
+});
+
+test('measures nights, hours, weekends and reservations', () => {
+  const start = new Date(2026, 0, 2, 15); // Friday afternoon
+  const end = new Date(2026, 0, 5, 11); // Monday morning
+  assert.equal(measureUsage({ kind: 'nights' }, start, end), 3);
+  assert.equal(measureUsage({ kind: 'hours' }, start, end), 68);
+  assert.equal(measureUsage({ kind: 'weekends' }, start, end), 1);
+  assert.equal(measureUsage({ kind: 'reservations' }, start, end), 1);
+});
+
+test('counts only the part inside the window and the season', () => {
+  const start = new Date(2026, 0, 30);
+  const end = new Date(2026, 1, 3);
+  assert.equal(measureUsage({ kind: 'nights' }, start, end, periodBounds('month', start)), 2);
+  assert.equal(measureUsage({ kind: 'reservations' }, start, end, periodBounds('month', end)), 0);
+
+  const winter = { kind: 'nights', season_start: '12-30', season_end: '01-01' };
+  assert.equal(measureUsage(winter, new Date(2025, 11, 29), new Date(2026, 0, 3)), 3);
+});
+
+test('lets the most specific member rule of a quota win', () => {
+  const user = { id: 'u1', tier: 3 };
+  const asset = { id: 'a1', type: 'home' };
+  const family = { id: 'p1', kind: 'nights', period: 'year', limit_value: 30 };
+  const tier = { id: 'p2', kind: 'nights', period: 'year', tier: 3, limit_value: 10 };
+  const member = { id: 'p3', kind: 'nights', period: 'year', user_id: 'u1', limit_value: 20 };
+  const otherType = { id: 'p4', kind: 'nights', period: 'year', asset_type: 'boat', limit_value: 1 };
+
+  assert.deepEqual(selectPolicies([family, tier, member, otherType], user, asset).map(p => p.id), ['p3']);
+  assert.deepEqual(selectPolicies([family, tier], user, asset).map(p => p.id), ['p2']);
+});
+
+test('uses the tightest advance limit or the tier default', () => {
+  const asset = { id: 'a1', type: 'plane' };
+  assert.equal(maxDaysAhead([], { id: 'u', tier: 1 }, asset), 365);
+  assert.equal(maxDaysAhead([], { id: 'u', tier: 4 }, asset), 30);
+  const policies = [
+    { kind: 'advance_days', limit_value: 60 },
+    { kind: 'advance_days', asset_type: 'plane', limit_value: 45 }
+  ];
+  assert.equal(maxDaysAhead(policies, { id: 'u', tier: 1 }, asset), 45);
+});
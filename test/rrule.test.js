@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RRuleError, parseRRule, formatRRule, expandRRule } = require('../lib/rrule');
+
+const days = (dates) => dates.map(date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`);
+
+test('parses and formats a rule canonically', () => {
+  const rule = parseRRule('RRULE:freq=weekly;interval=2;byday=mo,we;count=10');
+  assert.equal(rule.freq, 'WEEKLY');
+  assert.equal(rule.interval, 2);
+  assert.deepEqual(rule.byDay, [{ ordinal: null, day: 1 }, { ordinal: null, day: 3 }]);
+  assert.equal(formatRRule(rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10');
+});
+
+test('rejects unsupported or contradictory rules', () => {
+  assert.throws(() => parseRRule('FREQ=HOURLY'), RRuleError);
+  assert.throws(() => parseRRule('FREQ=WEEKLY;WKST=SU'), /Unsupported RRULE part: WKST/);
+  assert.throws(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20260101'), /cannot be combined/);
+  assert.throws(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO'), /only supported with FREQ=MONTHLY/);
+  assert.throws(() => parseRRule('INTERVAL=2'), /FREQ is required/);
+});
+
+test('expands weekly rules on the listed weekdays', () => {
+  const start = new Date(2026, 0, 5, 9); // Monday
+  const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=4');
+  assert.deepEqual(days(expandRRule(rule, start)), ['2026-1-5', '2026-1-9', '2026-1-12', '2026-1-16']);
+  assert.ok(expandRRule(rule, start).every(date => date.getHours() === 9));
+});
+
+test('skips months without the start day and picks numbered weekdays', () => {
+  const monthly = parseRRule('FREQ=MONTHLY;COUNT=3');
+  assert.deepEqual(days(expandRRule(monthly, new Date(2026, 0, 31))), ['2026-1-31', '2026-3-31', '2026-5-31']);
+
+  const lastFriday = parseRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2');
+  assert.deepEqual(days(expandRRule(lastFriday, new Date(2026, 0, 1))), ['2026-1-30', '2026-2-27']);
+});
+
+test('stops at UNTIL, the until cap and the limit', () => {
+  const start = new Date(2026, 0, 1, 8);
+  assert.equal(expandRRule(parseRRule('FREQ=DAILY;UNTIL=20260105'), start).length, 5);
+  assert.equal(expandRRule(parseRRule('FREQ=DAILY'), start, { until: new Date(2026, 0, 10) }).length, 9);
+  assert.equal(expandRRule(parseRRule('FREQ=DAILY'), start, { limit: 3 }).length, 3);
+});
+
+test('leaves out occurrences up to `after` but still counts them', () => {
+  const rule = parseRRule('FREQ=WEEKLY;COUNT=5');
+  const starts = expandRRule(rule, new Date(2026, 0, 5, 9), { after: new Date(2026, 0, 13) });
+  assert.deepEqual(days(starts), ['2026-1-19', '2026-1-26', '2026-2-2']);
+});
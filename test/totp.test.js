@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { totp, verifyTotp, generateSecret, normalizeRecoveryCode, generateRecoveryCodes } = require('../lib/totp');
+
+// RFC 6238 appendix B (SHA-1), secret "12345678901234567890", last six digits
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+test('matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(totp(SECRET, seconds * 1000), code, `at ${seconds}s`);
+  }
+});
+
+test('accepts one step of drift and returns the counter', () => {
+  const time = 1111111111 * 1000;
+  const previous = totp(SECRET, time - 30 * 1000);
+  assert.equal(verifyTotp(SECRET, previous, { time }), Math.floor(time / 30000) - 1);
+  assert.equal(verifyTotp(SECRET, totp(SECRET, time - 90 * 1000), { time }), null);
+});
+
+test('refuses codes at or below the last used counter', () => {
+  const time = 1234567890 * 1000;
+  const counter = verifyTotp(SECRET, '005924', { time });
+  assert.notEqual(counter, null);
+  assert.equal(verifyTotp(SECRET, '005924', { time, lastCounter: counter }), null);
+});
+
+test('rejects malformed codes', () => {
+  assert.equal(verifyTotp(SECRET, '12345'), null);
+  assert.equal(verifyTotp(SECRET, 'abcdef'), null);
+  assert.equal(verifyTotp(SECRET, undefined), null);
+});
+
+test('generates base32 secrets and normalizes recovery codes', () => {
+  assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+  const codes = generateRecoveryCodes(3);
+  assert.equal(codes.length, 3);
+  assert.ok(codes.every(code => /^[a-z2-9]{4}-[a-z2-9]{4}$/.test(code)));
+  assert.equal(normalizeRecoveryCode(' K7QM-2XND '), 'k7qm2xnd');
+});
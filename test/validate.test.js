@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const v = require('../lib/validate');
+
+const check = (validator, value, options) => {
+  const errors = [];
+  validator(value, 'field', errors, options);
+  return errors.map(error => error.code);
+};
+
+test('requires values unless optional or nullable', () => {
+  assert.deepEqual(check(v.string(), undefined), ['required']);
+  assert.deepEqual(check(v.string(), null), ['not_nullable']);
+  assert.deepEqual(check(v.string().optional(), undefined), []);
+  assert.deepEqual(check(v.string().optional(), null), ['not_nullable']);
+  assert.deepEqual(check(v.string().optional().nullable(), null), []);
+});
+
+test('treats blank strings as empty for min: 1', () => {
+  assert.deepEqual(check(v.string({ min: 1 }), '   '), ['empty']);
+  assert.deepEqual(check(v.string({ max: 3 }), 'four'), ['too_long']);
+  assert.deepEqual(check(v.string({ pattern: /^\d+$/ }), '12a'), ['invalid_format']);
+});
+
+test('reads numbers and booleans from strings only outside the body', () => {
+  assert.deepEqual(check(v.integer(), '5'), ['invalid_type']);
+  assert.deepEqual(check(v.integer({ max: 10 }), '5', { fromString: true }), []);
+  assert.deepEqual(check(v.integer({ max: 10 }), '11', { fromString: true }), ['too_large']);
+  assert.deepEqual(check(v.integer(), '', { fromString: true }), ['invalid_type']);
+  assert.deepEqual(check(v.integer(), 1.5), ['invalid_type']);
+  assert.deepEqual(check(v.boolean(), 'true', { fromString: true }), []);
+  assert.deepEqual(check(v.boolean(), 'yes', { fromString: true }), ['invalid_type']);
+});
+
+test('requires an offset on date-times', () => {
+  assert.deepEqual(check(v.datetime(), '2026-03-01T15:00:00Z'), []);
+  assert.deepEqual(check(v.datetime(), '2026-03-01T15:00:00-05:00'), []);
+  assert.deepEqual(check(v.datetime(), '2026-03-01T15:00:00'), ['invalid_datetime']);
+  assert.deepEqual(check(v.datetime(), '2026-13-01T15:00:00Z'), ['invalid_datetime']);
+});
+
+test('checks uuids, enums, arrays and JSON size', () => {
+  assert.deepEqual(check(v.uuid(), '6f1c2a8e-0b7d-4a8e-9c1f-3a2b4c5d6e7f'), []);
+  assert.deepEqual(check(v.uuid(), 'not-a-uuid'), ['invalid_uuid']);
+  assert.deepEqual(check(v.oneOf(['a', 'b']), 'c'), ['invalid_enum']);
+  assert.deepEqual(check(v.array(v.integer(), { max: 2 }), [1, 2, 3]), ['too_long']);
+  assert.deepEqual(check(v.array(v.integer()), [1, 'x']), ['invalid_type']);
+  assert.deepEqual(check(v.json({ maxBytes: 10 }), { key: 'a long value' }), ['too_large']);
+  assert.deepEqual(check(v.json(), []), ['invalid_type']);
+});
+
+test('runs cross-field rules only once every field is valid', () => {
+  const schema = v.object({
+    startDate: v.datetime(),
+    endDate: v.datetime()
+  }, { rules: [v.after('endDate', 'startDate')] });
+
+  assert.deepEqual(check(schema, { startDate: '2026-01-02T00:00:00Z', endDate: '2026-01-01T00:00:00Z' }), ['invalid_range']);
+  assert.deepEqual(check(schema, { startDate: '2026-01-02T00:00:00Z', endDate: 'soon' }), ['invalid_datetime']);
+});
+
+test('tags problems with their location', () => {
+  const problems = v.validateRequest({
+    params: { id: v.uuid() },
+    query: { limit: v.integer({ min: 1 }) },
+    body: { name: v.string({ min: 1 }) }
+  }, { params: { id: 'x' }, query: { limit: '0' }, body: {} });
+
+  assert.deepEqual(problems.map(({ location, field, code }) => [location, field, code]), [
+    ['params', 'id', 'invalid_uuid'],
+    ['query', 'limit', 'too_small'],
+    ['body', 'name', 'required']
+  ]);
+});